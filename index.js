@@ -2,14 +2,429 @@ const core = require('@actions/core');
 const github = require('@actions/github');
 const { WebClient } = require('@slack/web-api');
 const { loadConfig } = require('./src/config');
-const { parsePRData, parseCommentData, extractMentions, getSlackThreadTs, getSlackChannelId, getCodeOwners, PR_STATUS, getPRStatus, updatePRStatus } = require('./src/github');
-const { mapGitHubUsersToSlack, mapGitHubUserToSlack, getDefaultReviewersSlackIds } = require('./src/mapper');
-const { createPRNotificationMessage, sendSlackMessage, createCommentMessage, sendThreadReply, updateSlackMessage } = require('./src/slack');
+const { parsePRData, parseCommentData, extractMentions, extractTeamMentions, getChangedFiles, getCodeOwners, expandOwners, getPushedCommits, getChangesRequestedReviewers, getLatestReviews, getBranchRequirements, PR_STATUS } = require('./src/github');
+const { mapGitHubUsersToSlack, mapGitHubUserToSlack, mapSlackUserToGitHub, getDefaultReviewersSlackIds, setPullRequestContext, RESOLVE_CONCURRENCY } = require('./src/mapper');
+const { createPRNotificationMessage, sendSlackMessage, createCommentMessage, createSyncMessage, createReviewRequestMessage, createNoteMessage, createDigestMessage, createReminderMessage, createCIFailureMessage, createConflictMessage, createDMDigestMessage, getMessagePermalink, sendDirectMessage, sendEphemeralMessage, escapeMrkdwn, sendThreadReply, scheduleThreadReply, deleteScheduledMessage, updateSlackMessage, addReaction, removeReaction } = require('./src/slack');
+const { resolveChannels } = require('./src/router');
+const { evaluateFilters } = require('./src/filters');
+const { createStateStore, createEmptyState, setStatus, recordReply, recordReview, getPendingScheduled, recordScheduled } = require('./src/state');
+const { COMMENT_MARKER } = require('./src/state/comment');
+const { stripMarkers } = require('./src/state/pr-body');
+const { flushUserCaches } = require('./src/user-cache');
+const { describeFiles } = require('./src/codeowners');
+const { splitMappedTeams, getTeamGroupId, getTeamOptions } = require('./src/teams');
+const { autoAssignReviewers } = require('./src/assign');
+const { createAvailabilityChecker, getAlternates } = require('./src/availability');
+const { createDeliveryPlanner } = require('./src/quiet-hours');
+const { CI_STATE, findCheckedPRs, getCIStatus } = require('./src/ci');
+const { MERGEABILITY_CONCURRENCY, findBasePRs, getMergeability } = require('./src/conflicts');
+const { SLACK_CLIENT_OPTIONS, watchSlackRateLimits, retryGitHubRateLimits, mapWithConcurrency } = require('./src/rate-limit');
+const { getMessages, formatMessage, formatSlackDate } = require('./src/i18n');
+const { findStalePRs, findPendingReviews, groupByWaitingOn, wasRecentlyNudged } = require('./src/reminders');
+
+/**
+ * Get the Slack IDs of the reviewers shown on the PR card
+ * Uses the roster saved when the PR was first notified, so CODEOWNERS, default
+ * reviewers and people who already reviewed stay on the card
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} state - PR state
+ * @param {Object} prData - Parsed PR data
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Array<string>>} Array of Slack User IDs
+ */
+async function getRosterSlackIds(slackClient, octokit, state, prData, config) {
+  if (state.reviewer_slack_ids.length > 0) {
+    return state.reviewer_slack_ids;
+  }
+
+  // State saved before the roster was stored only knows requested reviewers
+  const reviewers = prData.reviewers.filter(r => r !== prData.author);
+  return mapGitHubUsersToSlack(slackClient, octokit, reviewers, config);
+}
+
+/**
+ * Get the diff stats of a PR as stored in state
+ * @param {Object} prData - Parsed PR data
+ * @returns {Object} {additions, deletions, changed_files}
+ */
+function getPRStats(prData) {
+  return {
+    additions: prData.additions,
+    deletions: prData.deletions,
+    changed_files: prData.changedFiles
+  };
+}
+
+/**
+ * Record where a reviewer came from (requested, codeowner or default)
+ * @param {Map<string, Set<string>>} sources - Sources keyed by reviewer
+ * @param {string} reviewer - GitHub username or Slack User ID
+ * @param {string} source - Reviewer source
+ */
+function addReviewerSource(sources, reviewer, source) {
+  if (!sources.has(reviewer)) {
+    sources.set(reviewer, new Set());
+  }
+  sources.get(reviewer).add(source);
+}
+
+/**
+ * Summarize the CODEOWNERS match of a PR for the card, largest owner first
+ * Only a description of each owner's files is stored, so state stays small on big PRs
+ * @param {Object} codeOwners - Result of getCodeOwners
+ * @returns {Array<Object>} Array of {owner, count, file, directory, extension}
+ */
+function summarizeCodeOwners(codeOwners) {
+  return Object.entries(codeOwners.ownerFiles)
+    .map(([owner, files]) => ({ owner, ...describeFiles(files) }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Collect card warnings about an incomplete CODEOWNERS lookup
+ * @param {Object} prData - Parsed PR data
+ * @param {Array<string>} changedFiles - Changed file paths
+ * @param {Object} codeOwners - Result of getCodeOwners
+ * @returns {Array<Object>} Array of {key, params} message references
+ */
+function getCodeOwnersWarnings(prData, changedFiles, codeOwners) {
+  const warnings = [];
+
+  if (changedFiles.length < prData.changedFiles) {
+    core.warning(`Only ${changedFiles.length} of ${prData.changedFiles} changed files could be listed, code owners may be incomplete`);
+    warnings.push({ key: 'warning_files_truncated', params: { shown: changedFiles.length, total: prData.changedFiles } });
+  }
+
+  if (codeOwners.errors.length > 0) {
+    warnings.push({
+      key: 'warning_codeowners_errors',
+      params: {
+        path: codeOwners.path,
+        count: codeOwners.errors.length,
+        lines: codeOwners.errors.map(error => error.line).join(', ')
+      }
+    });
+  }
+
+  return warnings;
+}
+
+/**
+ * Find the GitHub users whose Slack status says they are away
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {Object} octokit - GitHub API client
+ * @param {Array<string>} logins - GitHub usernames
+ * @param {Object} config - Configuration object
+ * @param {Object} availability - Availability checker
+ * @returns {Promise<Array<string>>} GitHub usernames of away users
+ */
+async function getAwayLogins(slackClient, octokit, logins, config, availability) {
+  const statuses = await mapWithConcurrency(logins, RESOLVE_CONCURRENCY, async login => (
+    availability.getAwayStatus(await mapGitHubUserToSlack(slackClient, octokit, login, config))
+  ));
+  return logins.filter((_, index) => statuses[index]);
+}
+
+/**
+ * Find an available reviewer to stand in for an away one
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} config - Configuration object
+ * @param {Object} availability - Availability checker
+ * @param {string} login - Away reviewer's GitHub username
+ * @param {Object} ownedFiles - getCodeOwners `files`, empty when code owners weren't looked up
+ * @param {Function} isTaken - Whether a GitHub username is already a reviewer (or the author)
+ * @returns {Promise<Object|null>} {login, slackId} or null when nobody is available
+ */
+async function findAlternate(slackClient, octokit, config, availability, login, ownedFiles, isTaken) {
+  for (const candidate of getAlternates(login, config.availability.backups, ownedFiles)) {
+    if (isTaken(candidate)) {
+      continue;
+    }
+
+    const slackId = await mapGitHubUserToSlack(slackClient, octokit, candidate, config);
+    if (slackId && !(await availability.getAwayStatus(slackId))) {
+      return { login: candidate, slackId };
+    }
+  }
+  return null;
+}
+
+/**
+ * List reviewers whose review request mention is still scheduled
+ * @param {Array<Object>} scheduled - Scheduled replies: {post_at, type, recipients}
+ * @returns {Array<Object>} Array of {slack_id, name, post_at}
+ */
+function getDeferredReviewers(scheduled) {
+  return scheduled
+    .filter(entry => entry.type === 'review_requested')
+    .flatMap(entry => entry.recipients.map(recipient => ({ ...recipient, post_at: entry.post_at })));
+}
+
+/**
+ * Get the extra card details stored in PR state
+ * @param {Object} state - PR state
+ * @returns {Object} {sources, codeowners, assignment, away, deferred, held, snoozed_until, reviews, required_approvals, ci, conflict, warnings}
+ */
+function getCardDetails(state) {
+  return {
+    sources: state.reviewer_sources,
+    codeowners: state.codeowners,
+    assignment: state.assignment,
+    away: state.away,
+    deferred: getDeferredReviewers(getPendingScheduled(state)),
+    held: state.held,
+    snoozed_until: state.snoozed_until,
+    reviews: state.reviews,
+    required_approvals: state.required_approvals,
+    ci: state.ci,
+    conflict: state.conflict,
+    warnings: state.warnings
+  };
+}
+
+/**
+ * Split a thread reply mentioning the given Slack IDs into one delivery per send time
+ * Recipients in working hours are mentioned now; everyone else gets their own
+ * copy at the start of their next working window, so nobody is pinged off hours
+ * @param {Object} planner - Delivery planner
+ * @param {Array<string>} slackIds - Slack IDs the reply mentions
+ * @param {boolean} postNow - Post a copy now even when nobody it mentions is in working hours (optional)
+ * @returns {Promise<Array<Object>>} Array of {post_at, slack_ids, recipients}; post_at is null for the copy sent now
+ */
+async function planReplyDeliveries(planner, slackIds, postNow = false) {
+  const { now, later } = await planner.plan(slackIds);
+  const deliveries = later.map(group => ({
+    post_at: group.post_at,
+    slack_ids: group.recipients.map(recipient => recipient.slack_id),
+    recipients: group.recipients
+  }));
+
+  if (now.length > 0 || deliveries.length === 0 || postNow) {
+    deliveries.unshift({ post_at: null, slack_ids: now, recipients: [] });
+  }
+  return deliveries;
+}
+
+/**
+ * Pick the reviewers a delivery mentions
+ * Reviewers without a Slack account can't be scheduled for, so the copy sent now names them
+ * @param {Array<Object>} reviewers - Array of {login, slackId}
+ * @param {Object} delivery - planReplyDeliveries entry
+ * @returns {Array<Object>} Reviewers of the delivery
+ */
+function getDeliveryReviewers(reviewers, delivery) {
+  return reviewers.filter(reviewer => (
+    reviewer.slackId ? delivery.slack_ids.includes(reviewer.slackId) : delivery.post_at === null
+  ));
+}
+
+/**
+ * Send a thread reply now, or schedule it and track it in PR state
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {Object} state - PR state
+ * @param {Object} thread - {channel, ts}
+ * @param {Object} message - Message payload
+ * @param {Object} delivery - {post_at, recipients}; post_at is null to send now
+ * @param {string} type - Reply type recorded in state
+ */
+async function deliverThreadReply(slackClient, state, thread, message, delivery, type) {
+  if (delivery.post_at === null) {
+    const result = await sendThreadReply(slackClient, thread.channel, thread.ts, message);
+    recordReply(state, { channel: result.channel, ts: result.ts, type });
+    return;
+  }
+
+  const result = await scheduleThreadReply(slackClient, thread.channel, thread.ts, message, delivery.post_at);
+  recordScheduled(state, {
+    channel: result.channel,
+    scheduled_message_id: result.scheduled_message_id,
+    post_at: delivery.post_at,
+    type,
+    recipients: delivery.recipients
+  });
+}
+
+/**
+ * Refresh each reviewer's latest review and the approvals merging requires in PR state
+ * Everyone who reviewed joins the card roster, so approvers stay on the card after
+ * GitHub drops them from the requested reviewers
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} repo - {owner, repo}
+ * @param {Object} state - PR state; its roster, reviews and approvals are updated
+ * @param {Object} prData - Parsed PR data
+ * @param {Object} config - Configuration object
+ * @returns {Promise<boolean>} Whether the review progress changed
+ */
+async function refreshReviewProgress(slackClient, octokit, repo, state, prData, config) {
+  if (!config.review_progress.enabled) {
+    return false;
+  }
+
+  const before = JSON.stringify([state.reviews, state.required_approvals]);
+
+  const latest = await getLatestReviews(octokit, repo.owner, repo.repo, prData.number);
+  if (latest) {
+    const reviews = latest.filter(review => review.login !== prData.author);
+    const slackIds = await mapWithConcurrency(reviews, RESOLVE_CONCURRENCY, review => (
+      mapGitHubUserToSlack(slackClient, octokit, review.login, config)
+    ));
+
+    state.reviewer_slack_ids = await getRosterSlackIds(slackClient, octokit, state, prData, config);
+    state.reviews = reviews.map((review, index) => ({ ...review, slack_id: slackIds[index] }));
+    for (const review of state.reviews) {
+      if (!state.reviewers.includes(review.login)) {
+        state.reviewers.push(review.login);
+      }
+      if (review.slack_id && !state.reviewer_slack_ids.includes(review.slack_id)) {
+        state.reviewer_slack_ids.push(review.slack_id);
+      }
+    }
+    state.approved_by = state.reviews.filter(review => review.state === 'approved').map(review => review.login);
+  }
+
+  const required = config.review_progress.required_approvals !== null
+    ? config.review_progress.required_approvals
+    : (await getBranchRequirements(octokit, repo.owner, repo.repo, prData.base)).approvals;
+  if (required !== null) {
+    state.required_approvals = required;
+  }
+
+  return JSON.stringify([state.reviews, state.required_approvals]) !== before;
+}
+
+/**
+ * Read the CI of a PR's head commit, counting the checks merging requires
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} repo - {owner, repo}
+ * @param {Object} prData - Parsed PR data
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Object|null>} getCIStatus result
+ */
+async function readCIStatus(octokit, repo, prData, config) {
+  const requiredChecks = config.ci.required_checks ||
+    (await getBranchRequirements(octokit, repo.owner, repo.repo, prData.base)).checks;
+  return getCIStatus(octokit, repo, prData.headSha, requiredChecks);
+}
+
+/**
+ * Decide whether reviewer mentions should wait for CI to pass
+ * A PR without any check yet is only held when its base requires checks,
+ * otherwise no CI event would ever come to release the reviewers
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} repo - {owner, repo}
+ * @param {Object} prData - Parsed PR data
+ * @param {Object|null} ci - CI summary of the PR's head commit
+ * @param {Object} config - Configuration object
+ * @returns {Promise<boolean>} Whether to hold the mentions
+ */
+async function shouldHoldMentions(octokit, repo, prData, ci, config) {
+  if (!config.ci.hold_mentions || prData.isDraft) {
+    return false;
+  }
+  if (ci) {
+    return ci.state !== CI_STATE.SUCCESS;
+  }
+
+  const requiredChecks = config.ci.required_checks ||
+    (await getBranchRequirements(octokit, repo.owner, repo.repo, prData.base)).checks;
+  return Boolean(requiredChecks && requiredChecks.length > 0);
+}
+
+/**
+ * Mention the reviewers held back by `ci.hold_mentions` in the PR's threads
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {Object} state - PR state with at least one thread; its held reviewers are cleared
+ * @param {Object} prData - Parsed PR data
+ * @param {Object} planner - Delivery planner
+ * @param {Object} config - Configuration object
+ */
+async function releaseHeldReviewers(slackClient, state, prData, planner, config) {
+  core.info(`Mentioning ${state.held.length} held reviewers`);
+  const reviewers = state.held.map(entry => ({ login: entry.name, slackId: entry.slack_id }));
+  for (const delivery of await planReplyDeliveries(planner, state.held.map(entry => entry.slack_id))) {
+    const request = createReviewRequestMessage(prData, {
+      requester: prData.author,
+      reviewers: getDeliveryReviewers(reviewers, delivery)
+    }, config);
+    for (const thread of state.threads) {
+      await deliverThreadReply(slackClient, state, thread, request, delivery, 'review_requested');
+    }
+  }
+  state.held = [];
+}
+
+/**
+ * Name reviewers whose mentions wait for CI, so the card lists them without pinging them
+ * User groups are named after the GitHub team mapped to them
+ * @param {Object} planner - Delivery planner
+ * @param {Array<string>} slackIds - Slack user or user group IDs
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Array<Object>>} Array of {slack_id, name}
+ */
+async function describeHeldReviewers(planner, slackIds, config) {
+  const teams = Object.entries(config.team_mappings);
+  return (await planner.describe(slackIds)).map(entry => {
+    const team = teams.find(([, groupId]) => groupId === entry.slack_id);
+    return team ? { ...entry, name: `@${team[0]}` } : entry;
+  });
+}
+
+/**
+ * Mirror the PR status, and optionally who approved it, as reactions on the parent messages
+ * Only reactions the bot added before are removed, so reactions people left stay
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {Object} state - PR state; its reactions are updated
+ * @param {Object} config - Configuration object
+ * @returns {Promise<boolean>} Whether the reactions in state changed
+ */
+async function syncStatusReactions(slackClient, state, config) {
+  const { enabled, statuses, approvers } = config.reactions;
+  if (!enabled) {
+    return false;
+  }
+
+  const wanted = [...new Set([
+    statuses[state.status],
+    ...state.approved_by.map(login => approvers[login.toLowerCase()])
+  ].filter(Boolean))];
+  const stale = state.reactions.filter(name => !wanted.includes(name));
+  const missing = wanted.filter(name => !state.reactions.includes(name));
+
+  if (stale.length === 0 && missing.length === 0) {
+    return false;
+  }
+  core.info(`Updating status reactions: ${wanted.map(name => `:${name}:`).join(' ') || 'none'}`);
+
+  for (const thread of state.threads) {
+    for (const name of stale) {
+      await removeReaction(slackClient, thread.channel, thread.ts, name);
+    }
+    for (const name of missing) {
+      await addReaction(slackClient, thread.channel, thread.ts, name);
+    }
+  }
+  state.reactions = wanted;
+  return true;
+}
 
-async function handlePROpened(slackClient, octokit, context, config, slackChannel) {
+async function handlePROpened(slackClient, octokit, context, config, slackChannel, store) {
   const prData = parsePRData(context);
   core.info(`Processing PR #${prData.number}: ${prData.title}`);
 
+  const filterResult = evaluateFilters(prData, config.filters);
+  if (!filterResult.notify) {
+    core.info(`Skipping notification: ${filterResult.reason}`);
+    return;
+  }
+
+  // Record the labels right away, so the labeled events that follow for labels
+  // given at creation know this notification covers them
+  const recorded = await store.load(prData.number);
+  await store.save(prData.number, { ...(recorded || createEmptyState()), labels: prData.labels });
+
   const authorSlackId = await mapGitHubUserToSlack(
     slackClient,
     octokit,
@@ -17,33 +432,86 @@ async function handlePROpened(slackClient, octokit, context, config, slackChanne
     config
   );
 
+  const availability = createAvailabilityChecker(slackClient, config.availability);
+  // Reviewers left out because their Slack status says they are away
+  const away = [];
+  const markAway = (slackId, awayStatus) => {
+    if (!away.some(entry => entry.slack_id === slackId)) {
+      away.push({ slack_id: slackId, name: awayStatus.name });
+    }
+  };
+
   const allReviewers = new Set();
   const sources = [];
+  // Where each reviewer came from, shown next to their mention on the card
+  const reviewerOrigins = new Map();
+  const addReviewer = (login, origin) => {
+    if (login === prData.author) {
+      return;
+    }
+    allReviewers.add(login);
+    addReviewerSource(reviewerOrigins, login, origin);
+  };
 
   if (prData.reviewers.length > 0) {
     core.info(`Found ${prData.reviewers.length} assigned reviewers`);
-    prData.reviewers.forEach(r => {
-      if (r !== prData.author) {
-        allReviewers.add(r);
-      }
-    });
+    prData.reviewers.forEach(r => addReviewer(r, 'requested'));
     sources.push('reviewers');
   }
 
-  const codeOwners = await getCodeOwners(
+  const teamOptions = getTeamOptions(config, prData);
+  // Slack user groups of mapped teams, mentioned instead of the team's members
+  const groupOrigins = new Map();
+
+  if (prData.teamReviewers.length > 0) {
+    const teams = prData.teamReviewers.map(team => `${context.repo.owner}/${team}`);
+    const { groups } = splitMappedTeams(teams, config.team_mappings);
+    const teamMembers = await expandOwners(octokit, context.repo.owner, teams, teamOptions);
+    core.info(`Found ${prData.teamReviewers.length} requested teams (${groups.length} user groups, ${teamMembers.length} members)`);
+    groups.forEach(({ groupId }) => addReviewerSource(groupOrigins, groupId, 'requested'));
+    teamMembers.forEach(m => addReviewer(m, 'requested'));
+    sources.push('teams');
+  }
+
+  const changedFiles = await getChangedFiles(
     octokit,
     context.repo.owner,
     context.repo.repo,
     prData.number
   );
 
-  if (codeOwners.length > 0) {
-    core.info(`Found ${codeOwners.length} code owners`);
-    codeOwners.forEach(o => {
-      if (o !== prData.author) {
-        allReviewers.add(o);
-      }
+  const codeOwners = await getCodeOwners(
+    octokit,
+    context.repo.owner,
+    context.repo.repo,
+    prData.number,
+    changedFiles,
+    prData.base,
+    teamOptions
+  );
+
+  const warnings = getCodeOwnersWarnings(prData, changedFiles, codeOwners);
+
+  let assignment = null;
+  const hasRequestedReviewers = prData.reviewers.length > 0 || prData.teamReviewers.length > 0;
+  if (config.auto_assign.enabled && !hasRequestedReviewers && !prData.isDraft) {
+    const pool = codeOwners.owners.length > 0 ? codeOwners.owners : config.auto_assign.pool;
+    const awayInPool = await getAwayLogins(slackClient, octokit, pool, config, availability);
+    assignment = await autoAssignReviewers(octokit, context.repo, prData, pool, {
+      ...config.auto_assign,
+      unavailable: [...config.auto_assign.unavailable, ...awayInPool]
     });
+  }
+
+  if (assignment) {
+    // The picked reviewers stand in for the whole owner pool, so the others aren't pinged
+    assignment.reviewers.forEach(({ login }) => addReviewer(login, 'auto'));
+    sources.push('auto-assign');
+  } else if (codeOwners.owners.length > 0 || codeOwners.teams.length > 0) {
+    core.info(`Found ${codeOwners.owners.length} code owners and ${codeOwners.teams.length} code owner user groups`);
+    codeOwners.owners.forEach(o => addReviewer(o, 'codeowner'));
+    splitMappedTeams(codeOwners.teams, config.team_mappings).groups
+      .forEach(({ groupId }) => addReviewerSource(groupOrigins, groupId, 'codeowner'));
     sources.push('codeowners');
   }
 
@@ -51,16 +519,43 @@ async function handlePROpened(slackClient, octokit, context, config, slackChanne
     core.info(`Filtered out PR author (${prData.author}) from reviewers`);
   }
 
-  let reviewerSlackIds = [];
+  const reviewerSources = new Map();
   let reviewerSource = 'none';
 
-  if (allReviewers.size > 0) {
-    reviewerSlackIds = await mapGitHubUsersToSlack(
-      slackClient,
-      octokit,
-      Array.from(allReviewers),
-      config
-    );
+  const origins = Array.from(reviewerOrigins);
+  const originSlackIds = await mapWithConcurrency(origins, RESOLVE_CONCURRENCY, ([login]) => (
+    mapGitHubUserToSlack(slackClient, octokit, login, config)
+  ));
+  const awayLogins = new Set();
+  const isTaken = login => login === prData.author || allReviewers.has(login) || awayLogins.has(login);
+  for (const [index, [login, loginOrigins]] of origins.entries()) {
+    const slackId = originSlackIds[index];
+    const awayStatus = await availability.getAwayStatus(slackId);
+
+    if (!awayStatus) {
+      if (slackId) {
+        loginOrigins.forEach(origin => addReviewerSource(reviewerSources, slackId, origin));
+      }
+      continue;
+    }
+
+    markAway(slackId, awayStatus);
+    awayLogins.add(login);
+    allReviewers.delete(login);
+
+    const alternate = await findAlternate(slackClient, octokit, config, availability, login, codeOwners.files, isTaken);
+    if (alternate) {
+      core.info(`${login} is away, asking ${alternate.login} instead`);
+      allReviewers.add(alternate.login);
+      addReviewerSource(reviewerSources, alternate.slackId, 'backup');
+    } else {
+      core.info(`${login} is away and no available alternate was found`);
+    }
+  }
+  groupOrigins.forEach((groupSources, groupId) => {
+    groupSources.forEach(origin => addReviewerSource(reviewerSources, groupId, origin));
+  });
+  if (allReviewers.size > 0 || groupOrigins.size > 0) {
     reviewerSource = sources.join(' + ');
   }
 
@@ -68,11 +563,19 @@ async function handlePROpened(slackClient, octokit, context, config, slackChanne
     core.info(`Found ${config.default_reviewers.length} default reviewers`);
     const defaultSlackIds = await getDefaultReviewersSlackIds(
       slackClient,
-      config.default_reviewers
+      octokit,
+      config.default_reviewers,
+      config
     );
 
-    const uniqueSlackIds = new Set([...reviewerSlackIds, ...defaultSlackIds]);
-    reviewerSlackIds = Array.from(uniqueSlackIds);
+    for (const id of defaultSlackIds) {
+      const awayStatus = await availability.getAwayStatus(id);
+      if (awayStatus) {
+        markAway(id, awayStatus);
+      } else {
+        addReviewerSource(reviewerSources, id, 'default');
+      }
+    }
 
     if (defaultSlackIds.length > 0) {
       sources.push('default');
@@ -80,28 +583,91 @@ async function handlePROpened(slackClient, octokit, context, config, slackChanne
     }
   }
 
+  const reviewerSlackIds = Array.from(reviewerSources.keys());
+
   if (reviewerSlackIds.length === 0) {
     core.info('No reviewers found from any source, will notify channel only');
   }
 
   core.info(`Notifying ${reviewerSlackIds.length} Slack users (source: ${reviewerSource})`);
 
-  const initialStatus = PR_STATUS.REVIEW_PENDING;
-  const message = createPRNotificationMessage(prData, reviewerSlackIds, authorSlackId, initialStatus);
-  const result = await sendSlackMessage(slackClient, slackChannel, message);
+  const initialStatus = prData.isDraft ? PR_STATUS.DRAFT : PR_STATUS.REVIEW_PENDING;
+  const state = {
+    ...createEmptyState(),
+    reviewers: Array.from(allReviewers),
+    reviewer_slack_ids: reviewerSlackIds,
+    reviewer_sources: Object.fromEntries(Array.from(reviewerSources, ([id, origins]) => [id, Array.from(origins)])),
+    codeowners: summarizeCodeOwners(codeOwners),
+    assignment,
+    away,
+    warnings,
+    stats: getPRStats(prData),
+    labels: prData.labels
+  };
+  setStatus(state, initialStatus);
+  await refreshReviewProgress(slackClient, octokit, context.repo, state, prData, config);
+
+  // Reviewers outside working hours are mentioned in a thread reply scheduled for their next working window
+  const planner = createDeliveryPlanner(slackClient, config.quiet_hours);
+
+  // Reviewers of a PR whose CI hasn't passed yet are mentioned once it does
+  if (config.ci.enabled) {
+    state.ci = await readCIStatus(octokit, context.repo, prData, config);
+    if (await shouldHoldMentions(octokit, context.repo, prData, state.ci, config)) {
+      state.held = await describeHeldReviewers(planner, reviewerSlackIds, config);
+      core.info(`Holding mentions of ${state.held.length} reviewers until CI passes`);
+    }
+  }
 
-  await octokit.rest.pulls.update({
-    owner: context.repo.owner,
-    repo: context.repo.repo,
-    pull_number: prData.number,
-    body: prData.body + `\n\n<!-- slack-thread-ts: ${result.ts} -->\n<!-- slack-channel: ${result.channel} -->\n<!-- slack-status: ${initialStatus} -->`
+  const { later } = state.held.length > 0 ? { later: [] } : await planner.plan(reviewerSlackIds);
+  const deferred = later.flatMap(group => group.recipients.map(recipient => ({ ...recipient, post_at: group.post_at })));
+  if (deferred.length > 0) {
+    core.info(`Deferring mentions of ${deferred.length} reviewers outside working hours`);
+  }
+
+  const message = createPRNotificationMessage(prData, reviewerSlackIds, authorSlackId, initialStatus, config, {
+    ...getCardDetails(state),
+    deferred
   });
 
-  core.info(`Saved Slack thread ts and status to PR #${prData.number}`);
+  const channels = await resolveChannels(
+    octokit,
+    prData,
+    changedFiles,
+    config,
+    context.repo.owner,
+    slackChannel
+  );
+
+  // Another run (a late labeled event, a redelivery) may have posted the card while reviewers were resolved
+  const posted = await store.load(prData.number);
+  if (posted && posted.threads.length > 0) {
+    core.info('PR already has a Slack thread, skipping');
+    return;
+  }
+
+  for (const channel of channels) {
+    const result = await sendSlackMessage(slackClient, channel, message);
+    const thread = { channel: result.channel, ts: result.ts };
+    state.threads.push(thread);
+
+    for (const group of later) {
+      const request = createReviewRequestMessage(prData, {
+        requester: prData.author,
+        reviewers: group.recipients.map(recipient => ({ login: recipient.name, slackId: recipient.slack_id }))
+      }, config);
+      await deliverThreadReply(slackClient, state, thread, request, group, 'review_requested');
+    }
+  }
+  await syncStatusReactions(slackClient, state, config);
+
+  if (await store.save(prData.number, state)) {
+    core.info(`Saved ${state.threads.length} Slack thread(s) and status to PR #${prData.number} (${store.name})`);
+  }
   core.info('✅ PR notification sent successfully!');
 }
 
-async function handleComment(slackClient, octokit, context, config, slackChannel) {
+async function handleComment(slackClient, octokit, context, config, slackChannel, store) {
   const commentData = parseCommentData(context);
   core.info(`Processing ${commentData.eventType} on PR #${commentData.prNumber}`);
 
@@ -110,36 +676,34 @@ async function handleComment(slackClient, octokit, context, config, slackChannel
     return;
   }
 
-  const threadTs = await getSlackThreadTs(
-    octokit,
-    context.repo.owner,
-    context.repo.repo,
-    commentData.prNumber
-  );
+  if (commentData.body && commentData.body.includes(COMMENT_MARKER)) {
+    core.info('Skipping notification for state store comment');
+    return;
+  }
 
-  if (!threadTs) {
-    core.warning('No Slack thread found for this PR, skipping notification');
+  const { data: pullRequest } = await octokit.rest.pulls.get({
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    pull_number: commentData.prNumber
+  });
+
+  const prData = parsePRData({ payload: { pull_request: pullRequest, repository: context.payload.repository } });
+
+  const filterResult = evaluateFilters(prData, config.filters);
+  if (!filterResult.notify) {
+    core.info(`Skipping notification: ${filterResult.reason}`);
     return;
   }
 
-  const channelId = await getSlackChannelId(
-    octokit,
-    context.repo.owner,
-    context.repo.repo,
-    commentData.prNumber
-  );
+  const state = await store.load(commentData.prNumber);
 
-  if (!channelId) {
-    core.warning('No Slack channel found for this PR, skipping notification');
+  if (!state || state.threads.length === 0) {
+    core.warning('No Slack thread found for this PR, skipping notification');
     return;
   }
 
-  const currentStatus = await getPRStatus(
-    octokit,
-    context.repo.owner,
-    context.repo.repo,
-    commentData.prNumber
-  );
+  const threads = state.threads;
+  const currentStatus = state.status;
 
   // Determine new status based on comment type
   let newStatus = currentStatus;
@@ -150,52 +714,28 @@ async function handleComment(slackClient, octokit, context, config, slackChannel
   } else if (commentData.reviewState === 'changes_requested') {
     newStatus = PR_STATUS.CHANGES_REQUESTED;
     core.info('Changes requested - updating status to changes-requested');
-  } else if (currentStatus === PR_STATUS.REVIEW_PENDING) {
+  } else if (currentStatus === PR_STATUS.REVIEW_PENDING || currentStatus === PR_STATUS.RE_REVIEW_REQUESTED ||
+             currentStatus === PR_STATUS.REOPENED) {
     // First comment on a review-pending PR changes status to in-review
     newStatus = PR_STATUS.IN_REVIEW;
     core.info('First comment detected - updating status to in-review');
   }
 
-  if (newStatus !== currentStatus) {
-    await updatePRStatus(
-      octokit,
-      context.repo.owner,
-      context.repo.repo,
-      commentData.prNumber,
-      newStatus
-    );
-
-    const { data: pr } = await octokit.rest.pulls.get({
-      owner: context.repo.owner,
-      repo: context.repo.repo,
-      pull_number: commentData.prNumber
-    });
-
-    const prData = {
-      ...parsePRData({ payload: { pull_request: pr, repository: context.payload.repository } }),
-      body: pr.body
-    };
+  const approvalsChanged = recordReview(state, commentData.author, commentData.reviewState);
+  // Submitted, edited and dismissed reviews all move a reviewer's state on the card
+  const progressChanged = commentData.eventType === 'pull_request_review' &&
+    await refreshReviewProgress(slackClient, octokit, context.repo, state, prData, config);
 
-    const allReviewers = new Set();
-    if (pr.requested_reviewers && pr.requested_reviewers.length > 0) {
-      pr.requested_reviewers.forEach(r => {
-        if (r.login !== pr.user.login) {
-          allReviewers.add(r.login);
-        }
-      });
-    }
+  if (newStatus !== currentStatus || progressChanged) {
+    setStatus(state, newStatus);
+    await store.save(commentData.prNumber, state);
 
-    const reviewerSlackIds = await mapGitHubUsersToSlack(
-      slackClient,
-      octokit,
-      Array.from(allReviewers),
-      config
-    );
+    const reviewerSlackIds = await getRosterSlackIds(slackClient, octokit, state, prData, config);
 
     const authorSlackIdForUpdate = await mapGitHubUserToSlack(
       slackClient,
       octokit,
-      pr.user.login,
+      prData.author,
       config
     );
 
@@ -203,23 +743,29 @@ async function handleComment(slackClient, octokit, context, config, slackChannel
       prData,
       reviewerSlackIds,
       authorSlackIdForUpdate,
-      newStatus
+      newStatus,
+      config,
+      getCardDetails(state)
     );
 
-    await updateSlackMessage(slackClient, channelId, threadTs, updatedMessage);
-    core.info(`✅ Slack message updated with new status: ${newStatus}`);
+    for (const thread of threads) {
+      await updateSlackMessage(slackClient, thread.channel, thread.ts, updatedMessage);
+    }
+    core.info(newStatus !== currentStatus
+      ? `✅ Slack message updated with new status: ${newStatus}`
+      : '✅ Slack message updated with review progress');
+  }
+
+  const reactionsChanged = await syncStatusReactions(slackClient, state, config);
+  if (approvalsChanged || reactionsChanged) {
+    await store.save(commentData.prNumber, state);
   }
 
   let targetUsers = [];
 
   if (commentData.reviewState === 'approved' || commentData.reviewState === 'changes_requested') {
-    const { data: pr } = await octokit.rest.pulls.get({
-      owner: context.repo.owner,
-      repo: context.repo.repo,
-      pull_number: commentData.prNumber
-    });
-    targetUsers.push(pr.user.login);
-    core.info(`Review notification - notifying PR author: ${pr.user.login}`);
+    targetUsers.push(prData.author);
+    core.info(`Review notification - notifying PR author: ${prData.author}`);
   }
 
   const mentions = extractMentions(commentData.body);
@@ -228,19 +774,24 @@ async function handleComment(slackClient, octokit, context, config, slackChannel
     core.info(`Found ${mentions.length} mentions: ${mentions.join(', ')}`);
   }
 
-  if (targetUsers.length === 0) {
+  const teamMentions = extractTeamMentions(commentData.body);
+  const { groups: mentionedGroups, rest: unmappedTeams } = splitMappedTeams(teamMentions, config.team_mappings);
+  if (teamMentions.length > 0) {
+    core.info(`Found ${teamMentions.length} team mentions: ${teamMentions.join(', ')}`);
+    targetUsers.push(...await expandOwners(octokit, context.repo.owner, unmappedTeams, getTeamOptions(config, prData)));
+  }
+
+  if (targetUsers.length === 0 && mentionedGroups.length === 0) {
     core.info('No mentions found and not a review, skipping notification');
     return;
   }
 
   targetUsers = [...new Set(targetUsers)];
 
-  const targetSlackIds = await mapGitHubUsersToSlack(
-    slackClient,
-    octokit,
-    targetUsers,
-    config
-  );
+  const targetSlackIds = [
+    ...await mapGitHubUsersToSlack(slackClient, octokit, targetUsers, config),
+    ...mentionedGroups.map(group => group.groupId)
+  ];
 
   if (targetSlackIds.length === 0) {
     core.warning('Could not find Slack users for any mentioned users');
@@ -254,65 +805,48 @@ async function handleComment(slackClient, octokit, context, config, slackChannel
     config
   );
 
-  const message = createCommentMessage(commentData, targetSlackIds, authorSlackId, null);
-  await sendThreadReply(slackClient, slackChannel, threadTs, message);
+  const deliveries = await planReplyDeliveries(createDeliveryPlanner(slackClient, config.quiet_hours), targetSlackIds);
+  for (const delivery of deliveries) {
+    const message = createCommentMessage(commentData, delivery.slack_ids, authorSlackId, null, config);
+    for (const thread of threads) {
+      await deliverThreadReply(slackClient, state, thread, message, delivery, commentData.eventType);
+    }
+  }
+  await store.save(commentData.prNumber, state);
 
   core.info(`✅ Comment notification sent to ${targetSlackIds.length} users`);
 }
 
-async function handlePRClosed(slackClient, octokit, context, config, slackChannel) {
+async function handlePRClosed(slackClient, octokit, context, config, slackChannel, store) {
   const prData = parsePRData(context);
   const merged = context.payload.pull_request?.merged;
   core.info(`Processing PR ${merged ? 'merge' : 'close'} #${prData.number}`);
 
-  const threadTs = await getSlackThreadTs(
-    octokit,
-    context.repo.owner,
-    context.repo.repo,
-    prData.number
-  );
-
-  if (!threadTs) {
-    core.warning('No Slack thread found for this PR, skipping notification');
+  const filterResult = evaluateFilters(prData, config.filters);
+  if (!filterResult.notify) {
+    core.info(`Skipping notification: ${filterResult.reason}`);
     return;
   }
 
-  const channelId = await getSlackChannelId(
-    octokit,
-    context.repo.owner,
-    context.repo.repo,
-    prData.number
-  );
+  const state = await store.load(prData.number);
 
-  if (!channelId) {
-    core.warning('No Slack channel found for this PR, skipping notification');
+  if (!state || state.threads.length === 0) {
+    core.warning('No Slack thread found for this PR, skipping notification');
     return;
   }
 
   const newStatus = merged ? PR_STATUS.MERGED : PR_STATUS.CLOSED;
-  await updatePRStatus(
-    octokit,
-    context.repo.owner,
-    context.repo.repo,
-    prData.number,
-    newStatus
-  );
+  setStatus(state, newStatus);
 
-  const allReviewers = new Set();
-  if (prData.reviewers.length > 0) {
-    prData.reviewers.forEach(r => {
-      if (r !== prData.author) {
-        allReviewers.add(r);
-      }
-    });
+  // Mentions waiting for working hours are pointless once the PR is done
+  for (const entry of getPendingScheduled(state)) {
+    await deleteScheduledMessage(slackClient, entry.channel, entry.scheduled_message_id);
   }
+  state.scheduled = [];
+  await syncStatusReactions(slackClient, state, config);
+  await store.save(prData.number, state);
 
-  const reviewerSlackIds = await mapGitHubUsersToSlack(
-    slackClient,
-    octokit,
-    Array.from(allReviewers),
-    config
-  );
+  const reviewerSlackIds = await getRosterSlackIds(slackClient, octokit, state, prData, config);
 
   const authorSlackId = await mapGitHubUserToSlack(
     slackClient,
@@ -325,52 +859,1099 @@ async function handlePRClosed(slackClient, octokit, context, config, slackChanne
     prData,
     reviewerSlackIds,
     authorSlackId,
-    newStatus
+    newStatus,
+    config,
+    getCardDetails(state)
   );
 
-  await updateSlackMessage(slackClient, channelId, threadTs, updatedMessage);
+  for (const thread of state.threads) {
+    await updateSlackMessage(slackClient, thread.channel, thread.ts, updatedMessage);
+  }
   core.info(`✅ Slack message updated with ${merged ? 'merged' : 'closed'} status`);
 }
 
-async function run() {
-  try {
-    const slackBotToken = core.getInput('slack_bot_token', { required: true });
-    const slackChannel = core.getInput('slack_channel', { required: true });
-    const githubToken = core.getInput('github_token', { required: true });
-    const configPath = core.getInput('config_path');
+async function handlePRSynchronize(slackClient, octokit, context, config, slackChannel, store) {
+  const prData = parsePRData(context);
+  const { before, after } = context.payload;
+  core.info(`Processing push to PR #${prData.number} (${before.substring(0, 7)}...${after.substring(0, 7)})`);
 
-    core.info('Starting PR Review Slack Notifier...');
+  const filterResult = evaluateFilters(prData, config.filters);
+  if (!filterResult.notify) {
+    core.info(`Skipping notification: ${filterResult.reason}`);
+    return;
+  }
 
-    const slackClient = new WebClient(slackBotToken);
-    const octokit = github.getOctokit(githubToken);
-    const context = github.context;
+  const state = await store.load(prData.number);
 
-    const config = loadConfig(configPath);
-    core.debug(`Loaded config: ${JSON.stringify(config, null, 2)}`);
+  if (!state || state.threads.length === 0) {
+    core.warning('No Slack thread found for this PR, skipping notification');
+    return;
+  }
 
-    const eventName = context.eventName;
-    core.info(`Event type: ${eventName}`);
+  const push = await getPushedCommits(
+    octokit,
+    context.repo.owner,
+    context.repo.repo,
+    prData.number,
+    before,
+    after
+  );
+  core.info(`Found ${push.commits.length} new commits${push.forced ? ' (force-push)' : ''}`);
 
-    if (eventName === 'pull_request') {
-      const action = context.payload.action;
+  let reReviewSlackIds = [];
+  if (state.status === PR_STATUS.CHANGES_REQUESTED) {
+    const reviewers = await getChangesRequestedReviewers(
+      octokit,
+      context.repo.owner,
+      context.repo.repo,
+      prData.number
+    );
 
-      if (action === 'closed') {
-        await handlePRClosed(slackClient, octokit, context, config, slackChannel);
-      } else if (action === 'opened' || action === 'ready_for_review') {
-        await handlePROpened(slackClient, octokit, context, config, slackChannel);
-      } else {
-        core.info(`Skipping pull_request action: ${action}`);
-      }
-    } else if (eventName === 'issue_comment' || eventName === 'pull_request_review' || eventName === 'pull_request_review_comment') {
-      await handleComment(slackClient, octokit, context, config, slackChannel);
-    } else {
-      core.warning(`Unsupported event type: ${eventName}`);
+    core.info('New commits after changes were requested - updating status to re-review-requested');
+    if (reviewers.length > 0) {
+      core.info(`Asking ${reviewers.join(', ')} to re-review`);
     }
+    setStatus(state, PR_STATUS.RE_REVIEW_REQUESTED);
 
-  } catch (error) {
-    core.setFailed(`Action failed: ${error.message}`);
-    core.debug(error.stack);
+    reReviewSlackIds = await mapGitHubUsersToSlack(
+      slackClient,
+      octokit,
+      reviewers.filter(r => r !== prData.author),
+      config
+    );
+  }
+
+  const previousStats = state.stats;
+  state.stats = getPRStats(prData);
+  // Branch protection may dismiss stale approvals on push
+  await refreshReviewProgress(slackClient, octokit, context.repo, state, prData, config);
+  if (config.ci.enabled) {
+    state.ci = await readCIStatus(octokit, context.repo, prData, config);
+    // The new head may already have passed, or have no checks left to wait for
+    if (state.held.length > 0 && !(await shouldHoldMentions(octokit, context.repo, prData, state.ci, config))) {
+      await releaseHeldReviewers(slackClient, state, prData, createDeliveryPlanner(slackClient, config.quiet_hours), config);
+    }
   }
+
+  const reviewerSlackIds = await getRosterSlackIds(slackClient, octokit, state, prData, config);
+
+  const authorSlackId = await mapGitHubUserToSlack(
+    slackClient,
+    octokit,
+    prData.author,
+    config
+  );
+
+  const updatedMessage = createPRNotificationMessage(
+    prData,
+    reviewerSlackIds,
+    authorSlackId,
+    state.status,
+    config,
+    getCardDetails(state)
+  );
+
+  // The push summary always goes out now; re-reviewers off hours get their own copy later
+  const deliveries = await planReplyDeliveries(createDeliveryPlanner(slackClient, config.quiet_hours), reReviewSlackIds, true);
+
+  for (const thread of state.threads) {
+    await updateSlackMessage(slackClient, thread.channel, thread.ts, updatedMessage);
+  }
+  for (const delivery of deliveries) {
+    const message = createSyncMessage(prData, push, previousStats, delivery.slack_ids, config);
+    for (const thread of state.threads) {
+      await deliverThreadReply(slackClient, state, thread, message, delivery, 'synchronize');
+    }
+  }
+  await syncStatusReactions(slackClient, state, config);
+
+  await store.save(prData.number, state);
+  core.info(`✅ Push notification sent for ${push.commits.length} commits`);
+}
+
+async function handlePRLabeled(slackClient, octokit, context, config, slackChannel, store) {
+  const prData = parsePRData(context);
+  const label = context.payload.label?.name;
+  core.info(`Processing label "${label}" added to PR #${prData.number}`);
+
+  if (context.payload.pull_request.state !== 'open') {
+    core.info('PR is not open, skipping');
+    return;
+  }
+
+  // Only post late when this label is what lets the PR pass the filters,
+  // otherwise the PR was either notified on open or is still filtered out
+  const withoutLabel = { ...prData, labels: prData.labels.filter(l => l !== label) };
+  if (evaluateFilters(withoutLabel, config.filters).notify) {
+    core.info('PR was already eligible for notification, skipping');
+    return;
+  }
+
+  const filterResult = evaluateFilters(prData, config.filters);
+  if (!filterResult.notify) {
+    core.info(`Skipping notification: ${filterResult.reason}`);
+    return;
+  }
+
+  const state = await store.load(prData.number);
+
+  if (state && state.threads.length > 0) {
+    core.info('PR already has a Slack thread, skipping');
+    return;
+  }
+
+  // Labels given while creating the PR arrive as labeled events after opened,
+  // which recorded them before notifying
+  if (state && state.labels.includes(label)) {
+    core.info('Label was already on the PR when it was notified, skipping');
+    return;
+  }
+
+  core.info('PR now passes notification filters, posting original notification');
+  await handlePROpened(slackClient, octokit, context, config, slackChannel, store);
+}
+
+/**
+ * Get the users affected by a review_requested or review_request_removed event
+ * A team mapped to a Slack user group is returned as its group, other teams
+ * are expanded to their members like CODEOWNERS teams
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub Actions context
+ * @param {Object} teamOptions - {teamMappings, expansion, seed}, see getTeamOptions
+ * @returns {Promise<Object>} {team, groupId, logins}
+ */
+async function getRequestedUsers(octokit, context, teamOptions) {
+  const { requested_reviewer: reviewer, requested_team: team } = context.payload;
+
+  if (team) {
+    const teamName = `${context.repo.owner}/${team.slug}`;
+    const groupId = getTeamGroupId(teamOptions.teamMappings, teamName);
+    const logins = groupId ? [] : await expandOwners(octokit, context.repo.owner, [teamName], teamOptions);
+    return { team: teamName, groupId, logins };
+  }
+
+  return { team: null, groupId: null, logins: reviewer ? [reviewer.login] : [] };
+}
+
+async function handleReviewRequested(slackClient, octokit, context, config, slackChannel, store) {
+  const prData = parsePRData(context);
+  core.info(`Processing review request on PR #${prData.number}`);
+
+  const filterResult = evaluateFilters(prData, config.filters);
+  if (!filterResult.notify) {
+    core.info(`Skipping notification: ${filterResult.reason}`);
+    return;
+  }
+
+  const state = await store.load(prData.number);
+
+  if (!state || state.threads.length === 0) {
+    core.warning('No Slack thread found for this PR, skipping notification');
+    return;
+  }
+
+  const { team, groupId, logins } = await getRequestedUsers(octokit, context, getTeamOptions(config, prData));
+  state.reviewer_slack_ids = await getRosterSlackIds(slackClient, octokit, state, prData, config);
+
+  // Reviewers requested when the PR was opened fire this event as well and are already on the card
+  const added = [];
+  if (groupId && !state.reviewer_slack_ids.includes(groupId)) {
+    state.reviewer_slack_ids.push(groupId);
+    state.reviewer_sources[groupId] = ['requested'];
+    added.push({ login: team, slackId: groupId });
+  }
+  const addToCard = (login, slackId, source) => {
+    state.reviewers.push(login);
+    if (slackId && !state.reviewer_slack_ids.includes(slackId)) {
+      state.reviewer_slack_ids.push(slackId);
+    }
+    if (slackId) {
+      state.reviewer_sources[slackId] = [...new Set([...(state.reviewer_sources[slackId] || []), source])];
+    }
+    added.push({ login, slackId });
+  };
+
+  const availability = createAvailabilityChecker(slackClient, config.availability);
+  const isTaken = login => login === prData.author || state.reviewers.includes(login) || logins.includes(login);
+  let awayCount = 0;
+
+  for (const login of logins) {
+    if (login === prData.author || state.reviewers.includes(login)) {
+      continue;
+    }
+
+    const slackId = await mapGitHubUserToSlack(slackClient, octokit, login, config);
+    const awayStatus = await availability.getAwayStatus(slackId);
+    if (!awayStatus) {
+      addToCard(login, slackId, 'requested');
+      continue;
+    }
+
+    if (!state.away.some(entry => entry.slack_id === slackId)) {
+      state.away.push({ slack_id: slackId, name: awayStatus.name });
+      awayCount += 1;
+    }
+
+    // Only configured backups here: the PR's code owners aren't looked up on this event
+    const alternate = await findAlternate(slackClient, octokit, config, availability, login, {}, isTaken);
+    if (alternate) {
+      core.info(`${login} is away, asking ${alternate.login} instead`);
+      addToCard(alternate.login, alternate.slackId, 'backup');
+    }
+  }
+
+  if (added.length === 0 && awayCount === 0) {
+    core.info(`${team ? `Team @${team}` : logins.join(', ')} already on the card, skipping`);
+    return;
+  }
+
+  core.info(`Added reviewers: ${added.map(r => r.login).join(', ') || '-'} (${awayCount} away)`);
+
+  const authorSlackId = await mapGitHubUserToSlack(
+    slackClient,
+    octokit,
+    prData.author,
+    config
+  );
+
+  const deliveries = await planReplyDeliveries(
+    createDeliveryPlanner(slackClient, config.quiet_hours),
+    added.map(reviewer => reviewer.slackId).filter(Boolean),
+    added.some(reviewer => !reviewer.slackId)
+  );
+  const details = getCardDetails(state);
+  details.deferred = [
+    ...details.deferred,
+    ...getDeferredReviewers(deliveries
+      .filter(delivery => delivery.post_at !== null)
+      .map(delivery => ({ ...delivery, type: 'review_requested' })))
+  ];
+
+  const updatedMessage = createPRNotificationMessage(
+    prData,
+    state.reviewer_slack_ids,
+    authorSlackId,
+    state.status,
+    config,
+    details
+  );
+
+  for (const thread of state.threads) {
+    await updateSlackMessage(slackClient, thread.channel, thread.ts, updatedMessage);
+  }
+
+  // Nobody to ping when every requested reviewer is away without a backup
+  if (added.length > 0) {
+    for (const delivery of deliveries) {
+      const message = createReviewRequestMessage(
+        prData,
+        { requester: context.payload.sender?.login, team, groupId, reviewers: getDeliveryReviewers(added, delivery) },
+        config
+      );
+      for (const thread of state.threads) {
+        await deliverThreadReply(slackClient, state, thread, message, delivery, 'review_requested');
+      }
+    }
+  }
+
+  await store.save(prData.number, state);
+  core.info(`✅ Review request notification sent to ${added.length} users`);
+}
+
+async function handleReviewRequestRemoved(slackClient, octokit, context, config, slackChannel, store) {
+  const prData = parsePRData(context);
+  core.info(`Processing review request removal on PR #${prData.number}`);
+
+  const filterResult = evaluateFilters(prData, config.filters);
+  if (!filterResult.notify) {
+    core.info(`Skipping notification: ${filterResult.reason}`);
+    return;
+  }
+
+  const state = await store.load(prData.number);
+
+  if (!state || state.threads.length === 0) {
+    core.warning('No Slack thread found for this PR, skipping notification');
+    return;
+  }
+
+  // Removing a team takes all of its members off the card, not only the sampled ones
+  const teamOptions = { ...getTeamOptions(config, prData), expansion: { ...config.team_expansion, max_members: null } };
+  const { team, groupId, logins } = await getRequestedUsers(octokit, context, teamOptions);
+  state.reviewer_slack_ids = await getRosterSlackIds(slackClient, octokit, state, prData, config);
+
+  // Team members who are still requested on their own stay on the card
+  const removed = logins.filter(login => !prData.reviewers.includes(login));
+  if (removed.length === 0 && !(groupId && state.reviewer_slack_ids.includes(groupId))) {
+    core.info(`${team ? `Team @${team}` : logins.join(', ')} still requested, skipping`);
+    return;
+  }
+
+  if (groupId) {
+    state.reviewer_slack_ids = state.reviewer_slack_ids.filter(id => id !== groupId);
+    delete state.reviewer_sources[groupId];
+  }
+
+  for (const login of removed) {
+    const slackId = await mapGitHubUserToSlack(slackClient, octokit, login, config);
+    state.reviewers = state.reviewers.filter(r => r !== login);
+    state.reviewer_slack_ids = state.reviewer_slack_ids.filter(id => id !== slackId);
+    delete state.reviewer_sources[slackId];
+  }
+
+  core.info(`Removed reviewers: ${[...(groupId ? [`@${team}`] : []), ...removed].join(', ')}`);
+  await store.save(prData.number, state);
+
+  const authorSlackId = await mapGitHubUserToSlack(
+    slackClient,
+    octokit,
+    prData.author,
+    config
+  );
+
+  const updatedMessage = createPRNotificationMessage(
+    prData,
+    state.reviewer_slack_ids,
+    authorSlackId,
+    state.status,
+    config,
+    getCardDetails(state)
+  );
+
+  for (const thread of state.threads) {
+    await updateSlackMessage(slackClient, thread.channel, thread.ts, updatedMessage);
+  }
+  core.info('✅ Slack message updated with current reviewers');
+}
+
+/**
+ * Move a notified PR to a new status, re-render its card and leave a note in every thread
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub Actions context
+ * @param {Object} config - Configuration object
+ * @param {Object} store - State store
+ * @param {Object} prData - Parsed PR data
+ * @param {Object} state - PR state with at least one thread
+ * @param {string} newStatus - Status to move to
+ * @param {string} noteKey - Message key of the thread note
+ */
+async function applyPRTransition(slackClient, octokit, context, config, store, prData, state, newStatus, noteKey) {
+  const action = context.payload.action;
+  core.info(`PR ${action} - updating status to ${newStatus}`);
+  setStatus(state, newStatus);
+
+  const reviewerSlackIds = await getRosterSlackIds(slackClient, octokit, state, prData, config);
+
+  const authorSlackId = await mapGitHubUserToSlack(
+    slackClient,
+    octokit,
+    prData.author,
+    config
+  );
+
+  const updatedMessage = createPRNotificationMessage(
+    prData,
+    reviewerSlackIds,
+    authorSlackId,
+    newStatus,
+    config,
+    getCardDetails(state)
+  );
+
+  const note = formatMessage(getMessages(config)[noteKey], { actor: `@${context.payload.sender?.login}` });
+  const message = createNoteMessage(prData, note, config);
+
+  for (const thread of state.threads) {
+    await updateSlackMessage(slackClient, thread.channel, thread.ts, updatedMessage);
+    const result = await sendThreadReply(slackClient, thread.channel, thread.ts, message);
+    recordReply(state, { channel: result.channel, ts: result.ts, type: action });
+  }
+  await syncStatusReactions(slackClient, state, config);
+
+  await store.save(prData.number, state);
+  core.info(`✅ Slack message updated with new status: ${newStatus}`);
+}
+
+/**
+ * Load the state of a notified PR for a status transition
+ * @param {Object} context - GitHub Actions context
+ * @param {Object} config - Configuration object
+ * @param {Object} store - State store
+ * @returns {Promise<Object|null>} {prData, state}, or null when the PR should be skipped
+ */
+async function loadNotifiedPR(context, config, store) {
+  const prData = parsePRData(context);
+  core.info(`Processing PR ${context.payload.action} #${prData.number}`);
+
+  const filterResult = evaluateFilters(prData, config.filters);
+  if (!filterResult.notify) {
+    core.info(`Skipping notification: ${filterResult.reason}`);
+    return null;
+  }
+
+  const state = await store.load(prData.number);
+
+  if (!state || state.threads.length === 0) {
+    core.warning('No Slack thread found for this PR, skipping notification');
+    return null;
+  }
+
+  return { prData, state };
+}
+
+async function handlePRReopened(slackClient, octokit, context, config, slackChannel, store) {
+  const notified = await loadNotifiedPR(context, config, store);
+  if (!notified) {
+    return;
+  }
+
+  const { prData, state } = notified;
+  const newStatus = prData.isDraft ? PR_STATUS.DRAFT : PR_STATUS.REOPENED;
+  await applyPRTransition(slackClient, octokit, context, config, store, prData, state, newStatus, 'note_reopened');
+}
+
+async function handlePRConvertedToDraft(slackClient, octokit, context, config, slackChannel, store) {
+  const notified = await loadNotifiedPR(context, config, store);
+  if (!notified) {
+    return;
+  }
+
+  const { prData, state } = notified;
+  await applyPRTransition(slackClient, octokit, context, config, store, prData, state, PR_STATUS.DRAFT, 'note_converted_to_draft');
+}
+
+async function handlePRReadyForReview(slackClient, octokit, context, config, slackChannel, store) {
+  const prData = parsePRData(context);
+
+  // A draft that was already notified keeps its thread instead of getting a second card
+  const state = await store.load(prData.number);
+  if (!state || state.threads.length === 0) {
+    await handlePROpened(slackClient, octokit, context, config, slackChannel, store);
+    return;
+  }
+
+  const filterResult = evaluateFilters(prData, config.filters);
+  if (!filterResult.notify) {
+    core.info(`Skipping notification: ${filterResult.reason}`);
+    return;
+  }
+
+  // Drafts are never held, so a PR whose CI hasn't passed starts holding its reviewers once it is ready
+  if (config.ci.enabled) {
+    state.ci = await readCIStatus(octokit, context.repo, prData, config);
+    const hold = await shouldHoldMentions(octokit, context.repo, prData, state.ci, config);
+    const planner = createDeliveryPlanner(slackClient, config.quiet_hours);
+    if (hold && state.held.length === 0) {
+      const reviewerSlackIds = await getRosterSlackIds(slackClient, octokit, state, prData, config);
+      state.held = await describeHeldReviewers(planner, reviewerSlackIds, config);
+      core.info(`Holding mentions of ${state.held.length} reviewers until CI passes`);
+    } else if (!hold && state.held.length > 0) {
+      await releaseHeldReviewers(slackClient, state, prData, planner, config);
+    }
+  }
+
+  await applyPRTransition(slackClient, octokit, context, config, store, prData, state, PR_STATUS.REVIEW_PENDING, 'note_ready_for_review');
+}
+
+async function handlePREdited(slackClient, octokit, context, config, slackChannel, store) {
+  // The pr-body store saving state is an edit too; re-rendering the cards for it would
+  // save again and loop whenever the saving token triggers events (webhook server, PAT)
+  const changes = context.payload.changes || {};
+  const body = context.payload.pull_request.body || '';
+  if (Object.keys(changes).length === 1 && changes.body && stripMarkers(changes.body.from || '') === stripMarkers(body)) {
+    core.info('Only the saved notification state changed, skipping');
+    return;
+  }
+
+  const notified = await loadNotifiedPR(context, config, store);
+  if (!notified) {
+    return;
+  }
+
+  const { prData, state } = notified;
+  const messages = getMessages(config);
+
+  const notes = [];
+  if (changes.title) {
+    notes.push(formatMessage(messages.note_title_changed, {
+      from: escapeMrkdwn(changes.title.from),
+      to: escapeMrkdwn(prData.title)
+    }));
+  }
+  if (changes.base) {
+    notes.push(formatMessage(messages.note_base_changed, {
+      from: changes.base.ref.from,
+      to: prData.base
+    }));
+    // The new base may require a different number of approvals
+    await refreshReviewProgress(slackClient, octokit, context.repo, state, prData, config);
+  }
+
+  const reviewerSlackIds = await getRosterSlackIds(slackClient, octokit, state, prData, config);
+
+  const authorSlackId = await mapGitHubUserToSlack(
+    slackClient,
+    octokit,
+    prData.author,
+    config
+  );
+
+  const updatedMessage = createPRNotificationMessage(
+    prData,
+    reviewerSlackIds,
+    authorSlackId,
+    state.status,
+    config,
+    getCardDetails(state)
+  );
+
+  for (const thread of state.threads) {
+    await updateSlackMessage(slackClient, thread.channel, thread.ts, updatedMessage);
+  }
+  core.info(`✅ Slack message updated with edited ${Object.keys(changes).join(', ') || 'PR'}`);
+
+  // Body edits (including state saved in the PR body) only refresh the card
+  if (notes.length === 0) {
+    return;
+  }
+
+  const message = createNoteMessage(prData, notes.join('\n'), config);
+  for (const thread of state.threads) {
+    const result = await sendThreadReply(slackClient, thread.channel, thread.ts, message);
+    recordReply(state, { channel: result.channel, ts: result.ts, type: 'edited' });
+  }
+
+  await store.save(prData.number, state);
+}
+
+async function handleCheckEvent(slackClient, octokit, context, config, slackChannel, store) {
+  if (!config.ci.enabled) {
+    core.info('CI status is disabled (ci.enabled), skipping');
+    return;
+  }
+
+  const { sha, numbers } = await findCheckedPRs(octokit, context);
+  if (numbers.length === 0) {
+    core.info(`No open PR has ${sha.substring(0, 7)} as its head, skipping`);
+    return;
+  }
+
+  for (const number of numbers) {
+    setPullRequestContext(config, { ...context.repo, number });
+    await updatePRChecks(slackClient, octokit, context.repo, config, store, number, sha);
+  }
+}
+
+/**
+ * Refresh the CI field of a notified PR's card
+ * The author is told in the thread when a required check starts failing, and
+ * reviewers held back by `ci.hold_mentions` are mentioned once CI passes
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} repo - {owner, repo}
+ * @param {Object} config - Configuration object
+ * @param {Object} store - State store
+ * @param {number} number - PR number
+ * @param {string} sha - Commit the checks ran on
+ */
+async function updatePRChecks(slackClient, octokit, repo, config, store, number, sha) {
+  const state = await store.load(number);
+  if (!state || state.threads.length === 0) {
+    core.info(`No Slack thread found for PR #${number}, skipping`);
+    return;
+  }
+
+  const { data: pullRequest } = await octokit.rest.pulls.get({ ...repo, pull_number: number });
+  const prData = parsePRData({ payload: { pull_request: pullRequest, repository: pullRequest.base.repo } });
+  if (prData.headSha !== sha) {
+    core.info(`Skipping checks of ${sha.substring(0, 7)}: PR #${number} has newer commits`);
+    return;
+  }
+
+  const ci = await readCIStatus(octokit, repo, prData, config);
+  if (!ci) {
+    return;
+  }
+
+  const previous = state.ci && state.ci.sha === sha ? state.ci : null;
+  if (previous && JSON.stringify(previous) === JSON.stringify(ci)) {
+    core.info(`CI of PR #${number} unchanged (${ci.state})`);
+    return;
+  }
+  core.info(`CI of PR #${number} is ${ci.state} (${ci.finished}/${ci.total} finished)`);
+  state.ci = ci;
+
+  const authorSlackId = await mapGitHubUserToSlack(slackClient, octokit, prData.author, config);
+  const planner = createDeliveryPlanner(slackClient, config.quiet_hours);
+
+  // Only checks that weren't already failing are reported, so re-runs that fail again stay quiet
+  const newlyFailed = ci.required_failed.filter(name => !(previous ? previous.required_failed : []).includes(name));
+  if (config.ci.notify_author && newlyFailed.length > 0) {
+    core.info(`Required checks failed: ${newlyFailed.join(', ')}`);
+    const message = createCIFailureMessage(prData, newlyFailed, authorSlackId, config);
+    for (const delivery of await planReplyDeliveries(planner, authorSlackId ? [authorSlackId] : [])) {
+      for (const thread of state.threads) {
+        await deliverThreadReply(slackClient, state, thread, message, delivery, 'ci_failure');
+      }
+    }
+  }
+
+  if (ci.state === CI_STATE.SUCCESS && state.held.length > 0) {
+    core.info('CI passed');
+    await releaseHeldReviewers(slackClient, state, prData, planner, config);
+  }
+
+  const reviewerSlackIds = await getRosterSlackIds(slackClient, octokit, state, prData, config);
+  const updatedMessage = createPRNotificationMessage(
+    prData,
+    reviewerSlackIds,
+    authorSlackId,
+    state.status,
+    config,
+    getCardDetails(state)
+  );
+
+  for (const thread of state.threads) {
+    await updateSlackMessage(slackClient, thread.channel, thread.ts, updatedMessage);
+  }
+
+  await store.save(number, state);
+  core.info(`✅ Slack message updated with CI status: ${ci.state}`);
+}
+
+async function handlePush(slackClient, octokit, context, config, slackChannel, store, background) {
+  if (!config.conflicts.enabled) {
+    core.info('Conflict detection is disabled (conflicts.enabled), skipping');
+    return;
+  }
+
+  const ref = context.payload.ref || '';
+  if (!ref.startsWith('refs/heads/') || context.payload.deleted) {
+    core.info(`Skipping push to ${ref || 'unknown ref'}`);
+    return;
+  }
+
+  const branch = ref.substring('refs/heads/'.length);
+  const numbers = await findBasePRs(octokit, context.repo, branch);
+  if (numbers.length === 0) {
+    core.info(`No open PR targets ${branch}, skipping`);
+    return;
+  }
+
+  core.info(`Checking ${numbers.length} PRs into ${branch} for conflicts`);
+  await background(exclusive => checkPRConflicts(slackClient, octokit, context.repo, config, store, numbers, exclusive));
+}
+
+/**
+ * Re-read whether notified PRs merge cleanly and refresh their conflict badges
+ * GitHub is polled for several PRs at once; each card is then updated through
+ * `exclusive`, so the update never races another event of the same PR
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} repo - {owner, repo}
+ * @param {Object} config - Configuration object
+ * @param {Object} store - State store
+ * @param {Array<number>} numbers - PR numbers
+ * @param {Function} exclusive - async (update) => void, runs a state update on its own
+ */
+async function checkPRConflicts(slackClient, octokit, repo, config, store, numbers, exclusive) {
+  // Only PRs with a Slack thread have a card to badge, so the rest aren't polled
+  const notified = [];
+  for (const number of numbers) {
+    const state = await store.load(number);
+    if (state && state.threads.length > 0) {
+      notified.push(number);
+    } else {
+      core.info(`No Slack thread found for PR #${number}, skipping`);
+    }
+  }
+
+  const results = await mapWithConcurrency(notified, MERGEABILITY_CONCURRENCY, number => (
+    getMergeability(octokit, repo, number)
+  ));
+
+  for (const [index, number] of notified.entries()) {
+    const mergeability = results[index];
+    if (!mergeability) {
+      continue;
+    }
+    if (mergeability.conflict === null) {
+      core.info(`GitHub is still computing whether PR #${number} merges cleanly, skipping`);
+      continue;
+    }
+
+    await exclusive(() => {
+      setPullRequestContext(config, { ...repo, number });
+      return updatePRConflicts(slackClient, octokit, config, store, number, mergeability);
+    });
+  }
+}
+
+/**
+ * Refresh the conflict badge on a notified PR's card
+ * The author is told in the thread when the PR starts conflicting with its base;
+ * the badge goes away once the conflict is resolved
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} config - Configuration object
+ * @param {Object} store - State store
+ * @param {number} number - PR number
+ * @param {Object} mergeability - getMergeability result with a known conflict
+ */
+async function updatePRConflicts(slackClient, octokit, config, store, number, mergeability) {
+  // Read again: another event may have updated the PR while GitHub was polled
+  const state = await store.load(number);
+  if (!state || state.threads.length === 0) {
+    return;
+  }
+  if (mergeability.conflict === state.conflict) {
+    core.info(`Conflicts of PR #${number} unchanged (${state.conflict ? 'conflicting' : 'clean'})`);
+    return;
+  }
+
+  const { pullRequest } = mergeability;
+  const prData = parsePRData({ payload: { pull_request: pullRequest, repository: pullRequest.base.repo } });
+  core.info(`PR #${number} ${mergeability.conflict ? 'now conflicts with' : 'merges cleanly into'} ${prData.base}`);
+  state.conflict = mergeability.conflict;
+
+  const authorSlackId = await mapGitHubUserToSlack(slackClient, octokit, prData.author, config);
+
+  if (state.conflict && config.conflicts.notify_author) {
+    const planner = createDeliveryPlanner(slackClient, config.quiet_hours);
+    const message = createConflictMessage(prData, authorSlackId, config);
+    for (const delivery of await planReplyDeliveries(planner, authorSlackId ? [authorSlackId] : [])) {
+      for (const thread of state.threads) {
+        await deliverThreadReply(slackClient, state, thread, message, delivery, 'conflict');
+      }
+    }
+  }
+
+  const reviewerSlackIds = await getRosterSlackIds(slackClient, octokit, state, prData, config);
+  const updatedMessage = createPRNotificationMessage(
+    prData,
+    reviewerSlackIds,
+    authorSlackId,
+    state.status,
+    config,
+    getCardDetails(state)
+  );
+
+  for (const thread of state.threads) {
+    await updateSlackMessage(slackClient, thread.channel, thread.ts, updatedMessage);
+  }
+
+  await store.save(number, state);
+  core.info(`✅ Slack message updated with conflicts: ${state.conflict}`);
+}
+
+async function handleStaleDigest(slackClient, octokit, context, config, slackChannel, store) {
+  core.info('Looking for stale PRs');
+
+  const stalePRs = await findStalePRs(octokit, store, config, context.repo);
+  if (stalePRs.length === 0) {
+    core.info('No stale PRs found, skipping digest');
+    return;
+  }
+
+  const slackIdCache = new Map();
+  const groups = groupByWaitingOn(stalePRs);
+  for (const group of groups) {
+    if (group.login) {
+      const [slackId] = await mapGitHubUsersToSlack(slackClient, octokit, [group.login], config);
+      group.slackId = slackId || null;
+      slackIdCache.set(group.login, group.slackId);
+    }
+  }
+
+  const { prData: firstPR } = stalePRs[0];
+  const message = createDigestMessage(groups, stalePRs.length, firstPR.repo, config);
+  const channel = config.reminders.channel || slackChannel;
+  await sendSlackMessage(slackClient, channel, message);
+  core.info(`✅ Digest of ${stalePRs.length} stale PRs sent to ${channel}`);
+
+  if (!config.reminders.nudge_threads) {
+    return;
+  }
+
+  const planner = createDeliveryPlanner(slackClient, config.quiet_hours);
+
+  for (const { prData, state, status, hours, threshold, waitingOn } of stalePRs) {
+    if (!state || state.threads.length === 0 || wasRecentlyNudged(state, threshold)) {
+      continue;
+    }
+
+    // Every user a PR waits on has a digest group, so their Slack IDs are already resolved
+    const slackIds = waitingOn.map(login => slackIdCache.get(login)).filter(Boolean);
+
+    for (const delivery of await planReplyDeliveries(planner, slackIds)) {
+      const reminder = createReminderMessage(prData, status, hours, delivery.slack_ids, config);
+      for (const thread of state.threads) {
+        await deliverThreadReply(slackClient, state, thread, reminder, delivery, 'reminder');
+      }
+    }
+
+    await store.save(prData.number, state);
+    core.info(`Nudged PR #${prData.number} thread(s)`);
+  }
+}
+
+async function handleDMDigest(slackClient, octokit, context, config, slackChannel, store) {
+  core.info('Building personal review digests');
+
+  const reviewers = await findPendingReviews(octokit, store, config, context.repo);
+  const permalinks = new Map();
+  let sent = 0;
+
+  for (const { login, prs } of reviewers) {
+    const slackId = await mapGitHubUserToSlack(slackClient, octokit, login, config);
+    if (!slackId) {
+      core.info(`Skipping DM digest for ${login}: no Slack user`);
+      continue;
+    }
+
+    for (const pr of prs) {
+      const thread = pr.state && pr.state.threads[0];
+      if (thread && !permalinks.has(pr.prData.number)) {
+        permalinks.set(pr.prData.number, await getMessagePermalink(slackClient, thread.channel, thread.ts));
+      }
+      pr.threadUrl = permalinks.get(pr.prData.number) || null;
+    }
+
+    // A failed DM (e.g. a deactivated user) shouldn't stop everyone else's digest
+    try {
+      await sendDirectMessage(slackClient, slackId, createDMDigestMessage(prs, config));
+      sent += 1;
+    } catch (error) {
+      core.warning(`Failed to send DM digest to ${login}: ${error.message}`);
+    }
+  }
+
+  core.info(`✅ DM digest sent to ${sent} reviewers`);
+}
+
+/**
+ * How long "Snooze" keeps a PR out of reminders
+ */
+const SNOOZE_HOURS = 24;
+
+/**
+ * Handle a click on one of the PR card's buttons
+ * The button value names the PR as `owner/repo#number`; the clicker gets an
+ * ephemeral reply and every card of the PR is updated in place
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} config - Configuration object, not shared with other events
+ * @param {Object} payload - Slack `block_actions` payload
+ */
+async function handleCardAction(slackClient, octokit, config, payload) {
+  const action = payload.actions[0];
+  const slackUserId = payload.user.id;
+  const channel = payload.channel.id;
+  const messages = getMessages(config);
+  const reply = text => sendEphemeralMessage(slackClient, channel, slackUserId, text);
+
+  const match = /^([^/]+)\/([^#]+)#(\d+)$/.exec(action.value || '');
+  if (!match) {
+    core.warning(`Ignoring Slack action ${action.action_id} with unexpected value "${action.value}"`);
+    return;
+  }
+
+  const repo = { owner: match[1], repo: match[2] };
+  const number = Number(match[3]);
+  core.info(`Slack action ${action.action_id} from ${slackUserId} on ${repo.owner}/${repo.repo}#${number}`);
+
+  const store = createStateStore(octokit, config, repo);
+  const state = await store.load(number);
+  if (!state || state.threads.length === 0) {
+    await reply(formatMessage(messages.action_failed, { error: 'no notification state for this PR' }));
+    return;
+  }
+
+  setPullRequestContext(config, { ...repo, number });
+  const { data: pullRequest } = await octokit.rest.pulls.get({ ...repo, pull_number: number });
+  const prData = parsePRData({ payload: { pull_request: pullRequest, repository: pullRequest.base.repo } });
+
+  let confirmation;
+  try {
+    if (action.action_id === 'claim_review') {
+      const roster = [prData.author, ...state.reviewers, ...state.reviews.map(review => review.login)];
+      const login = await mapSlackUserToGitHub(slackClient, octokit, slackUserId, roster, config);
+      if (!login) {
+        await reply(messages.action_claim_unknown_user);
+        return;
+      }
+      if (login.toLowerCase() === prData.author.toLowerCase()) {
+        await reply(messages.action_claim_own_pr);
+        return;
+      }
+
+      await octokit.rest.pulls.requestReviewers({ ...repo, pull_number: number, reviewers: [login] });
+
+      // The review_requested event that follows finds the reviewer on the card and skips it
+      if (!state.reviewers.includes(login)) {
+        state.reviewers.push(login);
+      }
+      if (!state.reviewer_slack_ids.includes(slackUserId)) {
+        state.reviewer_slack_ids.push(slackUserId);
+      }
+      state.reviewer_sources[slackUserId] = [...new Set([...(state.reviewer_sources[slackUserId] || []), 'claimed'])];
+      confirmation = formatMessage(messages.action_claimed, { reviewer: `@${login}` });
+    } else if (action.action_id === 'snooze') {
+      state.snoozed_until = new Date(Date.now() + SNOOZE_HOURS * 60 * 60 * 1000).toISOString();
+      confirmation = formatMessage(messages.action_snoozed, { time: formatSlackDate(state.snoozed_until, config) });
+    } else if (action.action_id === 'mark_urgent') {
+      const label = config.interactivity.urgent_label;
+      await octokit.rest.issues.addLabels({ ...repo, issue_number: number, labels: [label] });
+      if (!prData.labels.includes(label)) {
+        prData.labels.push(label);
+      }
+      confirmation = formatMessage(messages.action_marked_urgent, { label });
+    } else {
+      core.info(`Skipping unknown Slack action: ${action.action_id}`);
+      return;
+    }
+  } catch (error) {
+    core.warning(`Slack action ${action.action_id} failed: ${error.message}`);
+    await reply(formatMessage(messages.action_failed, { error: error.message }));
+    return;
+  }
+
+  const reviewerSlackIds = await getRosterSlackIds(slackClient, octokit, state, prData, config);
+  const authorSlackId = await mapGitHubUserToSlack(slackClient, octokit, prData.author, config);
+  const updatedMessage = createPRNotificationMessage(
+    prData,
+    reviewerSlackIds,
+    authorSlackId,
+    state.status,
+    config,
+    getCardDetails(state)
+  );
+
+  for (const thread of state.threads) {
+    await updateSlackMessage(slackClient, thread.channel, thread.ts, updatedMessage);
+  }
+
+  await store.save(number, state);
+  await reply(confirmation);
+  core.info(`✅ Slack action ${action.action_id} applied to PR #${number}`);
+}
+
+/**
+ * pull_request actions after which the PR's mergeability is read again
+ */
+const CONFLICT_CHECK_ACTIONS = ['opened', 'reopened', 'ready_for_review', 'synchronize'];
+
+/**
+ * Run the slow follow-up work of an event before the event is done
+ * Nothing else touches PR state during one Action run, so its updates run as they come
+ * @param {Function} task - async (exclusive) => void
+ */
+async function runInline(task) {
+  await task(update => update());
+}
+
+/**
+ * Handle one GitHub event with the handler for its type and action
+ * Shared by the Action entry point and the webhook server
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub Actions context, or a webhook context with the same shape
+ * @param {Object} config - Configuration object, not shared with other events
+ * @param {string} slackChannel - Default Slack channel
+ * @param {Function} background - Runs slow follow-up work such as conflict polling: async (task) => void, where
+ *   task is async (exclusive) => void and exclusive runs a state update apart from other events (default: run inline)
+ */
+async function handleEvent(slackClient, octokit, context, config, slackChannel, background = runInline) {
+  const store = createStateStore(octokit, config, context.repo);
+
+  const eventName = context.eventName;
+  core.info(`Event type: ${eventName}`);
+
+  const pullRequest = context.payload.pull_request || context.payload.issue;
+  if (pullRequest) {
+    setPullRequestContext(config, { ...context.repo, number: pullRequest.number });
+  }
+
+  if (eventName === 'pull_request') {
+    const action = context.payload.action;
+
+    if (action === 'closed') {
+      await handlePRClosed(slackClient, octokit, context, config, slackChannel, store);
+    } else if (action === 'opened') {
+      await handlePROpened(slackClient, octokit, context, config, slackChannel, store);
+    } else if (action === 'ready_for_review') {
+      await handlePRReadyForReview(slackClient, octokit, context, config, slackChannel, store);
+    } else if (action === 'reopened') {
+      await handlePRReopened(slackClient, octokit, context, config, slackChannel, store);
+    } else if (action === 'converted_to_draft') {
+      await handlePRConvertedToDraft(slackClient, octokit, context, config, slackChannel, store);
+    } else if (action === 'edited') {
+      await handlePREdited(slackClient, octokit, context, config, slackChannel, store);
+    } else if (action === 'synchronize') {
+      await handlePRSynchronize(slackClient, octokit, context, config, slackChannel, store);
+    } else if (action === 'labeled') {
+      await handlePRLabeled(slackClient, octokit, context, config, slackChannel, store);
+    } else if (action === 'review_requested') {
+      await handleReviewRequested(slackClient, octokit, context, config, slackChannel, store);
+    } else if (action === 'review_request_removed') {
+      await handleReviewRequestRemoved(slackClient, octokit, context, config, slackChannel, store);
+    } else {
+      core.info(`Skipping pull_request action: ${action}`);
+    }
+
+    // New commits, a reopen or a new base can each change whether the PR merges cleanly
+    const changesMergeability = CONFLICT_CHECK_ACTIONS.includes(action) ||
+      (action === 'edited' && Boolean(context.payload.changes && context.payload.changes.base));
+    if (config.conflicts.enabled && changesMergeability) {
+      const numbers = [context.payload.pull_request.number];
+      await background(exclusive => checkPRConflicts(slackClient, octokit, context.repo, config, store, numbers, exclusive));
+    }
+  } else if (eventName === 'push') {
+    await handlePush(slackClient, octokit, context, config, slackChannel, store, background);
+  } else if (eventName === 'issue_comment' || eventName === 'pull_request_review' || eventName === 'pull_request_review_comment') {
+    await handleComment(slackClient, octokit, context, config, slackChannel, store);
+  } else if (eventName === 'check_run' || eventName === 'check_suite' || eventName === 'workflow_run' || eventName === 'status') {
+    await handleCheckEvent(slackClient, octokit, context, config, slackChannel, store);
+  } else if (eventName === 'schedule' || eventName === 'workflow_dispatch') {
+    await handleStaleDigest(slackClient, octokit, context, config, slackChannel, store);
+    if (config.dm_digest.enabled) {
+      await handleDMDigest(slackClient, octokit, context, config, slackChannel, store);
+    }
+  } else {
+    core.warning(`Unsupported event type: ${eventName}`);
+  }
+}
+
+async function run() {
+  try {
+    const slackBotToken = core.getInput('slack_bot_token', { required: true });
+    const slackChannel = core.getInput('slack_channel', { required: true });
+    const githubToken = core.getInput('github_token', { required: true });
+    const configPath = core.getInput('config_path');
+
+    core.info('Starting PR Review Slack Notifier...');
+
+    const slackClient = new WebClient(slackBotToken, SLACK_CLIENT_OPTIONS);
+    watchSlackRateLimits(slackClient);
+    const octokit = github.getOctokit(githubToken);
+    retryGitHubRateLimits(octokit);
+
+    const config = loadConfig(configPath);
+    core.debug(`Loaded config: ${JSON.stringify(config, null, 2)}`);
+
+    await handleEvent(slackClient, octokit, github.context, config, slackChannel);
+  } catch (error) {
+    core.setFailed(`Action failed: ${error.message}`);
+    core.debug(error.stack);
+  } finally {
+    await flushUserCaches();
+  }
+}
+
+// The webhook server (server.js) reuses the handlers without running the Action
+if (require.main === module) {
+  run();
 }
 
-run();
+module.exports = { handleEvent, handleCardAction };
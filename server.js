@@ -0,0 +1,100 @@
+const fs = require('fs');
+const core = require('@actions/core');
+const github = require('@actions/github');
+const { WebClient } = require('@slack/web-api');
+const { loadConfig } = require('./src/config');
+const { SLACK_CLIENT_OPTIONS, watchSlackRateLimits, retryGitHubRateLimits } = require('./src/rate-limit');
+const { createWebhookContext, readServerSettings, createWebhookServer } = require('./src/webhook');
+const { flushUserCaches } = require('./src/user-cache');
+const { handleEvent, handleCardAction } = require('./index');
+
+const USAGE = `Usage:
+  node server.js                             Receive GitHub webhooks over HTTP
+  node server.js replay <event> <file...>    Handle recorded webhook payloads, e.g. replay pull_request opened.json`;
+
+/**
+ * Start the webhook server, or replay recorded payloads through the same handlers
+ * @param {Array<string>} args - Command line arguments
+ * @param {Object} env - Environment variables
+ */
+async function main(args, env) {
+  // Outside GitHub Actions core.debug always prints; show it only with RUNNER_DEBUG like the runner does
+  if (!core.isDebug()) {
+    core.debug = () => {};
+  }
+
+  const config = loadConfig(env.CONFIG_PATH || '.github/pr-notify-config.yml', env.USER_MAPPINGS || '');
+  const settings = readServerSettings(env, config.server);
+
+  const slackClient = new WebClient(settings.slackBotToken, SLACK_CLIENT_OPTIONS);
+  watchSlackRateLimits(slackClient);
+  const octokit = github.getOctokit(settings.githubToken);
+  retryGitHubRateLimits(octokit);
+
+  let webhook = null;
+
+  async function handleDelivery(eventName, payload, deliveryId) {
+    core.info(`Delivery ${deliveryId}: ${eventName}${payload.action ? `.${payload.action}` : ''} on ${payload.repository.full_name}`);
+
+    // Conflict checks poll GitHub for up to half a minute, so they run beside the
+    // delivery queue and only their state updates wait their turn in it
+    const background = async task => {
+      task(webhook.exclusive).catch(error => {
+        core.error(`Failed to finish delivery ${deliveryId}: ${error.message}`);
+        core.debug(error.stack);
+      });
+    };
+
+    // A fresh config object per delivery gives every event its own resolver caches
+    await handleEvent(slackClient, octokit, createWebhookContext(eventName, payload), { ...config }, settings.slackChannel, background);
+  }
+
+  async function handleAction(payload) {
+    await handleCardAction(slackClient, octokit, { ...config }, payload);
+  }
+
+  const [command, ...rest] = args;
+
+  if (command === 'replay') {
+    const [eventName, ...files] = rest;
+    if (!eventName || files.length === 0) {
+      throw new Error(USAGE);
+    }
+
+    webhook = createWebhookServer(settings, handleDelivery);
+    for (const file of files) {
+      await webhook.enqueue(eventName, JSON.parse(fs.readFileSync(file, 'utf8')), file);
+    }
+    await flushUserCaches();
+    return;
+  }
+
+  if (command) {
+    throw new Error(USAGE);
+  }
+
+  if (!settings.secret) {
+    throw new Error('GITHUB_WEBHOOK_SECRET is required to verify deliveries');
+  }
+
+  // The user cache is written in the background; write what is left before stopping
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+      flushUserCaches().finally(() => process.exit(0));
+    });
+  }
+
+  webhook = createWebhookServer(settings, handleDelivery, handleAction);
+  const { server } = webhook;
+  server.listen(settings.port, () => {
+    core.info(`Listening for GitHub webhooks on :${settings.port}${settings.path}`);
+    if (settings.signingSecret) {
+      core.info(`Listening for Slack card actions on :${settings.port}${settings.interactivityPath}`);
+    }
+  });
+}
+
+main(process.argv.slice(2), process.env).catch(error => {
+  core.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,109 @@
+const core = require('@actions/core');
+const { sampleTeamMembers } = require('./teams');
+
+/**
+ * Ways to pick auto-assigned reviewers
+ */
+const ASSIGN_STRATEGIES = ['least-loaded', 'round-robin', 'random'];
+
+/**
+ * Count the open review requests of every user across the repository's open PRs
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} repo - {owner, repo}
+ * @returns {Promise<Map<string, number>>} Lowercased GitHub username -> pending review requests
+ */
+async function getReviewLoad(octokit, repo) {
+  const load = new Map();
+
+  const pullRequests = await octokit.paginate(octokit.rest.pulls.list, {
+    owner: repo.owner,
+    repo: repo.repo,
+    state: 'open',
+    per_page: 100
+  });
+
+  for (const pullRequest of pullRequests) {
+    for (const reviewer of pullRequest.requested_reviewers || []) {
+      const key = reviewer.login.toLowerCase();
+      load.set(key, (load.get(key) || 0) + 1);
+    }
+  }
+
+  return load;
+}
+
+/**
+ * Pick reviewers from candidates with the configured strategy
+ * Least-loaded breaks ties in round-robin order, so equally idle reviewers take turns
+ * @param {Array<string>} candidates - Eligible GitHub usernames
+ * @param {Object} settings - Normalized `auto_assign`: {count, strategy}
+ * @param {number} seed - PR number
+ * @param {Map<string, number>|null} load - Review load, required for least-loaded
+ * @returns {Array<string>} Picked GitHub usernames
+ */
+function pickReviewers(candidates, settings, seed, load) {
+  if (settings.strategy !== 'least-loaded') {
+    return sampleTeamMembers(candidates, { max_members: settings.count, sampling: settings.strategy }, seed);
+  }
+
+  // Sorted and rotated by PR number like round-robin; sampleTeamMembers leaves a list it doesn't cut as it is
+  const sorted = [...candidates].sort();
+  const rotation = sorted.map((_, index) => sorted[(seed + index) % sorted.length]);
+  const loadOf = login => load.get(login.toLowerCase()) || 0;
+
+  return rotation
+    .map((login, index) => ({ login, index }))
+    .sort((a, b) => loadOf(a.login) - loadOf(b.login) || a.index - b.index)
+    .slice(0, settings.count)
+    .map(({ login }) => login);
+}
+
+/**
+ * Pick reviewers for a PR that has none and request them on GitHub
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} repo - {owner, repo}
+ * @param {Object} prData - Parsed PR data
+ * @param {Array<string>} pool - Candidate GitHub usernames, normally the PR's code owners
+ * @param {Object} settings - Normalized `auto_assign`: {count, strategy, unavailable}
+ * @returns {Promise<Object|null>} {strategy, reviewers: Array<{login, load}>}, null when nobody was assigned
+ */
+async function autoAssignReviewers(octokit, repo, prData, pool, settings) {
+  const unavailable = settings.unavailable.map(login => login.toLowerCase());
+  const unique = [...new Set(pool)];
+  const candidates = unique.filter(login => (
+    login.toLowerCase() !== prData.author.toLowerCase() && !unavailable.includes(login.toLowerCase())
+  ));
+
+  const excluded = unique.length - candidates.length;
+  if (candidates.length === 0) {
+    core.info(`Auto-assign: no candidates left out of ${unique.length} (author and unavailable users are excluded)`);
+    return null;
+  }
+
+  const load = settings.strategy === 'least-loaded' ? await getReviewLoad(octokit, repo) : null;
+  const picked = pickReviewers(candidates, settings, prData.number, load);
+
+  try {
+    await octokit.rest.pulls.requestReviewers({
+      owner: repo.owner,
+      repo: repo.repo,
+      pull_number: prData.number,
+      reviewers: picked
+    });
+  } catch (error) {
+    core.warning(`Failed to request auto-assigned reviewers ${picked.join(', ')}: ${error.message}`);
+    return null;
+  }
+
+  const reviewers = picked.map(login => ({ login, load: load ? load.get(login.toLowerCase()) || 0 : null }));
+  const described = reviewers.map(r => (r.load === null ? r.login : `${r.login} (${r.load} open reviews)`)).join(', ');
+  core.info(`Auto-assigned ${described} by ${settings.strategy} from ${candidates.length} candidates (${excluded} excluded)`);
+
+  return { strategy: settings.strategy, reviewers };
+}
+
+module.exports = {
+  ASSIGN_STRATEGIES,
+  pickReviewers,
+  autoAssignReviewers
+};
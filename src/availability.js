@@ -0,0 +1,81 @@
+const core = require('@actions/core');
+
+/**
+ * Check whether a Slack profile status marks the user as away
+ * A status with an expiration only counts until it expires
+ * @param {Object} profile - Slack user profile
+ * @param {Object} settings - Normalized `availability`: {status_emoji, status_text}
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {boolean} Whether the status says the user is away
+ */
+function isAwayStatus(profile, settings, now) {
+  const { status_emoji: emoji = '', status_text: text = '', status_expiration: expiration = 0 } = profile;
+
+  if (expiration > 0 && expiration * 1000 <= now) {
+    return false;
+  }
+
+  return settings.status_emoji.includes(emoji) || settings.status_text.some(pattern => pattern.test(text));
+}
+
+/**
+ * Create a per-run availability checker that reads each user's Slack status once
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {Object} settings - Normalized `availability` config
+ * @param {number} now - Current timestamp in milliseconds (optional)
+ * @returns {Object} {getAwayStatus(slackId): Promise<Object|null>}, resolving to {name, status} for away users
+ */
+function createAvailabilityChecker(slackClient, settings, now = Date.now()) {
+  const checked = new Map();
+
+  async function checkStatus(slackId) {
+    try {
+      const { profile } = await slackClient.users.profile.get({ user: slackId });
+      if (!profile || !isAwayStatus(profile, settings, now)) {
+        return null;
+      }
+
+      const status = `${profile.status_emoji || ''} ${profile.status_text || ''}`.trim();
+      core.info(`Slack user ${slackId} is away: ${status}`);
+      return { name: profile.display_name || profile.real_name || slackId, status };
+    } catch (error) {
+      // Someone whose status can't be read is better pinged than silently skipped
+      core.debug(`Failed to read Slack status of ${slackId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  return {
+    getAwayStatus(slackId) {
+      if (!settings.enabled || !slackId || slackId.startsWith('S')) {
+        return Promise.resolve(null);
+      }
+      if (!checked.has(slackId)) {
+        checked.set(slackId, checkStatus(slackId));
+      }
+      return checked.get(slackId);
+    }
+  };
+}
+
+/**
+ * List who could review in place of an away reviewer
+ * Configured backups come first, then the other code owners of the reviewer's files
+ * @param {string} login - Away reviewer's GitHub username
+ * @param {Object} backups - Normalized `availability.backups`: {login: Array<string>}
+ * @param {Object} ownedFiles - getCodeOwners `files`: {username: Array<string>}
+ * @returns {Array<string>} Candidate GitHub usernames, best first
+ */
+function getAlternates(login, backups, ownedFiles) {
+  const files = new Set(ownedFiles[login] || []);
+  const coOwners = Object.entries(ownedFiles)
+    .filter(([owner, ownerFiles]) => owner !== login && ownerFiles.some(file => files.has(file)))
+    .map(([owner]) => owner);
+
+  return [...new Set([...(backups[login.toLowerCase()] || []), ...coOwners])];
+}
+
+module.exports = {
+  createAvailabilityChecker,
+  getAlternates
+};
@@ -0,0 +1,127 @@
+const core = require('@actions/core');
+
+/**
+ * CI states shown on the PR card
+ */
+const CI_STATE = {
+  PENDING: 'pending',
+  SUCCESS: 'success',
+  FAILURE: 'failure'
+};
+
+/**
+ * Check run conclusions that don't block a PR
+ */
+const PASSING_CONCLUSIONS = ['success', 'neutral', 'skipped'];
+
+/**
+ * Find the commit a CI event is about and the open PRs it is the head of
+ * Check and workflow payloads list their PRs, except PRs from forks; commit
+ * statuses never do, so those PRs are looked up by commit
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub Actions context of a check_run, check_suite, workflow_run or status event
+ * @returns {Promise<Object>} {sha, numbers}
+ */
+async function findCheckedPRs(octokit, context) {
+  const { payload, repo } = context;
+  const source = payload.check_run || payload.check_suite || payload.workflow_run;
+  const sha = source ? source.head_sha : payload.sha;
+
+  let numbers = ((source && source.pull_requests) || []).map(pullRequest => pullRequest.number);
+  if (numbers.length === 0) {
+    try {
+      const { data: pullRequests } = await octokit.rest.repos.listPullRequestsAssociatedWithCommit({
+        owner: repo.owner,
+        repo: repo.repo,
+        commit_sha: sha
+      });
+      numbers = pullRequests
+        .filter(pullRequest => pullRequest.state === 'open' && pullRequest.head.sha === sha)
+        .map(pullRequest => pullRequest.number);
+    } catch (error) {
+      core.warning(`Failed to find PRs for commit ${sha}: ${error.message}`);
+    }
+  }
+
+  return { sha, numbers: [...new Set(numbers)] };
+}
+
+/**
+ * Summarize the CI of a commit from its check runs and commit statuses
+ * Only the latest run of each check counts. Failed checks are required when
+ * branch protection lists them, or always when the required checks are unknown
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} repo - {owner, repo}
+ * @param {string} sha - Commit SHA
+ * @param {Array<string>|null} requiredChecks - Required check names, null when unknown
+ * @returns {Promise<Object|null>} {sha, state, total, finished, failed, required_failed}, null when the commit has no checks or they could not be read
+ */
+async function getCIStatus(octokit, repo, sha, requiredChecks) {
+  const results = new Map();
+
+  try {
+    const runs = await octokit.paginate(octokit.rest.checks.listForRef, {
+      owner: repo.owner,
+      repo: repo.repo,
+      ref: sha,
+      filter: 'latest',
+      per_page: 100
+    });
+    for (const run of runs) {
+      if (run.status !== 'completed') {
+        results.set(run.name, CI_STATE.PENDING);
+      } else {
+        results.set(run.name, PASSING_CONCLUSIONS.includes(run.conclusion) ? CI_STATE.SUCCESS : CI_STATE.FAILURE);
+      }
+    }
+
+    // The combined status already keeps only the latest status of each context
+    const { data: combined } = await octokit.rest.repos.getCombinedStatusForRef({
+      owner: repo.owner,
+      repo: repo.repo,
+      ref: sha,
+      per_page: 100
+    });
+    for (const status of combined.statuses || []) {
+      if (status.state === 'pending') {
+        results.set(status.context, CI_STATE.PENDING);
+      } else {
+        results.set(status.context, status.state === 'success' ? CI_STATE.SUCCESS : CI_STATE.FAILURE);
+      }
+    }
+  } catch (error) {
+    core.warning(`Failed to get CI status of ${sha}: ${error.message}`);
+    return null;
+  }
+
+  if (results.size === 0) {
+    return null;
+  }
+
+  const names = Array.from(results.keys()).sort();
+  const failed = names.filter(name => results.get(name) === CI_STATE.FAILURE);
+  const pending = names.filter(name => results.get(name) === CI_STATE.PENDING);
+  const isRequired = name => !requiredChecks || requiredChecks.length === 0 || requiredChecks.includes(name);
+
+  let state = CI_STATE.SUCCESS;
+  if (failed.length > 0) {
+    state = CI_STATE.FAILURE;
+  } else if (pending.length > 0) {
+    state = CI_STATE.PENDING;
+  }
+
+  return {
+    sha,
+    state,
+    total: names.length,
+    finished: names.length - pending.length,
+    failed,
+    required_failed: failed.filter(isRequired)
+  };
+}
+
+module.exports = {
+  CI_STATE,
+  findCheckedPRs,
+  getCIStatus
+};
@@ -0,0 +1,145 @@
+const { globToRegExp } = require('./glob');
+
+/**
+ * Split a CODEOWNERS line into tokens, keeping escaped spaces inside a token
+ * and dropping a trailing `#` comment
+ * @param {string} line - CODEOWNERS line
+ * @returns {Array<string>} Tokens
+ */
+function tokenize(line) {
+  const tokens = line.match(/(?:\\.|\S)+/g) || [];
+  const commentIndex = tokens.findIndex(token => token.startsWith('#'));
+  return commentIndex === -1 ? tokens : tokens.slice(0, commentIndex);
+}
+
+/**
+ * Parse a CODEOWNERS file following GitHub's rules
+ *
+ * - Patterns follow gitignore syntax, except `!` negation and `[ ]` ranges,
+ *   which GitHub rejects; such lines are reported and skipped
+ * - A pattern without owners unsets ownership for the files it matches
+ * - Owners are `@user` or `@org/team`; email owners can't be resolved to
+ *   GitHub users and are skipped
+ * @param {string} content - CODEOWNERS file content
+ * @returns {Object} {rules: Array<{pattern, owners, line, regex}>, errors: Array<{line, message}>}
+ */
+function parseCodeowners(content) {
+  const rules = [];
+  const errors = [];
+
+  content.split('\n').forEach((raw, index) => {
+    const line = index + 1;
+    const trimmed = raw.trim();
+
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    const [pattern, ...owners] = tokenize(trimmed);
+
+    if (pattern.startsWith('!')) {
+      errors.push({ line, message: `negation pattern "${pattern}" is not supported` });
+      return;
+    }
+
+    if (/(^|[^\\])\[/.test(pattern)) {
+      errors.push({ line, message: `character range in "${pattern}" is not supported` });
+      return;
+    }
+
+    const invalidOwner = owners.find(owner => !owner.startsWith('@') && !owner.includes('@'));
+    if (invalidOwner) {
+      errors.push({ line, message: `invalid owner "${invalidOwner}"` });
+      return;
+    }
+
+    rules.push({
+      pattern,
+      owners: owners.filter(owner => owner.startsWith('@')).map(owner => owner.substring(1)),
+      line,
+      regex: globToRegExp(pattern, { wildcardMatchesDirectories: false })
+    });
+  });
+
+  return { rules, errors };
+}
+
+/**
+ * Find the owners of a file; the last matching rule wins
+ * @param {Array<Object>} rules - Rules from parseCodeowners
+ * @param {string} file - File path relative to the repository root
+ * @returns {Array<string>} Owners (users or `org/team`), empty when unowned
+ */
+function findOwners(rules, file) {
+  for (let i = rules.length - 1; i >= 0; i--) {
+    if (rules[i].regex.test(file)) {
+      return rules[i].owners;
+    }
+  }
+  return [];
+}
+
+/**
+ * Attribute changed files to their CODEOWNERS owners
+ * @param {Array<Object>} rules - Rules from parseCodeowners
+ * @param {Array<string>} files - File paths relative to the repository root
+ * @returns {Object} {files: {owner: Array<string>}, unowned: Array<string>}
+ */
+function matchCodeowners(rules, files) {
+  const ownerFiles = {};
+  const unowned = [];
+
+  for (const file of files) {
+    const owners = findOwners(rules, file);
+    if (owners.length === 0) {
+      unowned.push(file);
+      continue;
+    }
+
+    for (const owner of owners) {
+      (ownerFiles[owner] = ownerFiles[owner] || []).push(file);
+    }
+  }
+
+  return { files: ownerFiles, unowned };
+}
+
+/**
+ * Describe a set of files briefly: a single file, their common directory,
+ * or their common extension
+ * @param {Array<string>} files - File paths relative to the repository root
+ * @returns {Object} {count, file, directory, extension}; unset fields are null
+ */
+function describeFiles(files) {
+  const description = { count: files.length, file: null, directory: null, extension: null };
+
+  if (files.length === 1) {
+    description.file = files[0];
+    return description;
+  }
+
+  const [first, ...rest] = files.map(file => file.split('/').slice(0, -1));
+  let depth = first.length;
+  for (const dirs of rest) {
+    while (depth > 0 && dirs.slice(0, depth).join('/') !== first.slice(0, depth).join('/')) {
+      depth -= 1;
+    }
+  }
+
+  if (depth > 0) {
+    description.directory = `${first.slice(0, depth).join('/')}/`;
+    return description;
+  }
+
+  const extensions = new Set(files.map(file => (file.match(/\.[^./]+$/) || [''])[0]));
+  if (extensions.size === 1 && !extensions.has('')) {
+    description.extension = [...extensions][0];
+  }
+
+  return description;
+}
+
+module.exports = {
+  parseCodeowners,
+  findOwners,
+  matchCodeowners,
+  describeFiles
+};
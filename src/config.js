@@ -1,14 +1,48 @@
 const fs = require('fs');
 const yaml = require('js-yaml');
 const core = require('@actions/core');
+const { TEMPLATE_EVENTS, validateMessage } = require('./templates');
+const { MESSAGES, DEFAULT_LOCALE } = require('./i18n');
+const { STATE_BACKENDS } = require('./state');
+const { PR_STATUS } = require('./github');
+const { ASSIGN_STRATEGIES } = require('./assign');
+const { IDENTITY_RESOLVERS, DEFAULT_IDENTITY_RESOLVERS, loadMappingFile } = require('./identity');
+const { WEEKDAYS } = require('./quiet-hours');
+
+/**
+ * Hours a PR may wait in each status before it shows up in the reminder digest
+ */
+const DEFAULT_REMINDER_THRESHOLDS = {
+  [PR_STATUS.REVIEW_PENDING]: 24,
+  [PR_STATUS.IN_REVIEW]: 48,
+  [PR_STATUS.RE_REVIEW_REQUESTED]: 24,
+  [PR_STATUS.REOPENED]: 24,
+  [PR_STATUS.CHANGES_REQUESTED]: 72,
+  [PR_STATUS.APPROVED]: 48
+};
+
+/**
+ * Slack statuses treated as out of office unless `availability` overrides them
+ */
+const DEFAULT_AWAY_EMOJI = [':palm_tree:', ':desert_island:', ':beach_with_umbrella:', ':airplane:'];
+const DEFAULT_AWAY_TEXT = ['\\bOOO\\b', 'out of office', 'vacation', '휴가', '부재'];
+
+/**
+ * Ways to pick members of an unmapped team that exceeds team_expansion.max_members
+ */
+const TEAM_SAMPLING = ['random', 'round-robin'];
+
+/**
+ * Working hours assumed by `quiet_hours` unless configured
+ */
+const DEFAULT_WORKING_HOURS = { start: '09:00', end: '18:00', days: ['mon', 'tue', 'wed', 'thu', 'fri'] };
 
 /**
  * Load user mappings from input
+ * @param {string} userMappingsInput - JSON string of user mappings (empty when not set)
  * @returns {Object} User mappings object
  */
-function loadUserMappings() {
-  const userMappingsInput = core.getInput('user_mappings');
-
+function loadUserMappings(userMappingsInput) {
   if (userMappingsInput) {
     try {
       const mappings = JSON.parse(userMappingsInput);
@@ -19,43 +53,668 @@ function loadUserMappings() {
     }
   }
 
-  core.info('No user mappings provided, relying on auto_match_by_email');
+  core.info('No user mappings provided, relying on the other identity resolvers');
   return {};
 }
 
+/**
+ * Normalize a value that may be a single item or a list into a list
+ * @param {*} value - Single value, array or undefined
+ * @returns {Array} Array of values
+ */
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Normalize channel routing rules from config
+ * @param {Array<Object>} routes - Raw `routes` entries from config file
+ * @returns {Array<Object>} Array of {channels, labels, paths, base_branches, author_teams}
+ */
+function normalizeRoutes(routes) {
+  if (!Array.isArray(routes)) return [];
+
+  return routes
+    .map((route, index) => {
+      const channels = [...toList(route.channel), ...toList(route.channels)].map(String);
+      if (channels.length === 0) {
+        core.warning(`Ignoring route #${index + 1}: no channel configured`);
+        return null;
+      }
+
+      return {
+        channels,
+        labels: toList(route.labels).map(String),
+        paths: toList(route.paths).map(String),
+        base_branches: toList(route.base_branches).map(String),
+        author_teams: toList(route.author_teams).map(String)
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Compile regular expressions from config, skipping invalid ones
+ * @param {Array<string>} patterns - Regular expression sources
+ * @param {string} key - Config key, for warnings
+ * @param {string} flags - Regular expression flags (optional)
+ * @returns {Array<RegExp>} Compiled regular expressions
+ */
+function compilePatterns(patterns, key, flags = '') {
+  return toList(patterns)
+    .map(pattern => {
+      try {
+        return new RegExp(String(pattern), flags);
+      } catch (error) {
+        core.warning(`Ignoring invalid ${key} pattern "${pattern}": ${error.message}`);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Normalize PR notification filters from config
+ * @param {Object} filters - Raw `filters` section from config file
+ * @returns {Object} Normalized filters
+ */
+function normalizeFilters(filters) {
+  const raw = filters || {};
+
+  return {
+    include_labels: toList(raw.include_labels).map(String),
+    exclude_labels: toList(raw.exclude_labels).map(String),
+    exclude_authors: toList(raw.exclude_authors).map(String),
+    include_base_branches: toList(raw.include_base_branches).map(String),
+    exclude_base_branches: toList(raw.exclude_base_branches).map(String),
+    include_title_patterns: compilePatterns(raw.include_title_patterns, 'include_title_patterns'),
+    exclude_title_patterns: compilePatterns(raw.exclude_title_patterns, 'exclude_title_patterns')
+  };
+}
+
+/**
+ * Normalize custom message templates from config
+ * Templates whose structure breaks Slack limits are dropped so the built-in one is used
+ * @param {Object} templates - Raw `templates` section from config file
+ * @returns {Object} Templates keyed by event type
+ */
+function normalizeTemplates(templates) {
+  if (!templates || typeof templates !== 'object') return {};
+
+  const normalized = {};
+
+  for (const [event, template] of Object.entries(templates)) {
+    if (!TEMPLATE_EVENTS.includes(event)) {
+      core.warning(`Ignoring template for unknown event "${event}" (expected one of: ${TEMPLATE_EVENTS.join(', ')})`);
+      continue;
+    }
+
+    if (!template || !Array.isArray(template.blocks)) {
+      core.warning(`Ignoring template "${event}": blocks must be an array`);
+      continue;
+    }
+
+    const errors = validateMessage({ blocks: template.blocks, text: template.text });
+    if (errors.length > 0) {
+      core.warning(`Ignoring template "${event}": ${errors.join('; ')}`);
+      continue;
+    }
+
+    normalized[event] = {
+      blocks: template.blocks,
+      text: template.text ? String(template.text) : null
+    };
+  }
+
+  return normalized;
+}
+
+/**
+ * Validate the configured locale
+ * @param {string} locale - Raw `locale` value from config file
+ * @returns {string} Supported locale
+ */
+function normalizeLocale(locale) {
+  if (!locale) return DEFAULT_LOCALE;
+
+  if (!MESSAGES[locale]) {
+    core.warning(`Unsupported locale "${locale}" (expected one of: ${Object.keys(MESSAGES).join(', ')}), using ${DEFAULT_LOCALE}`);
+    return DEFAULT_LOCALE;
+  }
+
+  return locale;
+}
+
+/**
+ * Normalize message overrides from config
+ * @param {Object} messages - Raw `messages` section from config file
+ * @returns {Object} Message overrides keyed by message id
+ */
+function normalizeMessages(messages) {
+  if (!messages || typeof messages !== 'object') return {};
+
+  const overrides = {};
+
+  for (const [key, value] of Object.entries(messages)) {
+    if (!(key in MESSAGES[DEFAULT_LOCALE])) {
+      core.warning(`Ignoring unknown message override "${key}"`);
+      continue;
+    }
+    overrides[key] = String(value);
+  }
+
+  return overrides;
+}
+
+/**
+ * Normalize state store settings from config
+ * @param {Object} state - Raw `state` section from config file
+ * @returns {Object} {backend, branch, path}
+ */
+function normalizeState(state) {
+  const raw = state || {};
+  let backend = raw.backend || 'pr-body';
+
+  if (!STATE_BACKENDS.includes(backend)) {
+    core.warning(`Unknown state backend "${backend}" (expected one of: ${STATE_BACKENDS.join(', ')}), using pr-body`);
+    backend = 'pr-body';
+  }
+
+  return {
+    backend,
+    branch: raw.branch || 'pr-notify-state',
+    path: raw.path || '.pr-notify-state.json'
+  };
+}
+
+/**
+ * Normalize stale-PR reminder settings from config
+ * Configured thresholds replace the defaults, so only the listed statuses are reminded
+ * @param {Object} reminders - Raw `reminders` section from config file
+ * @returns {Object} {channel, thresholds, nudge_threads}
+ */
+function normalizeReminders(reminders) {
+  const raw = reminders || {};
+  const statuses = Object.values(PR_STATUS).filter(s => s !== PR_STATUS.MERGED && s !== PR_STATUS.CLOSED);
+  let thresholds = DEFAULT_REMINDER_THRESHOLDS;
+
+  if (raw.thresholds && typeof raw.thresholds === 'object') {
+    thresholds = {};
+    for (const [status, hours] of Object.entries(raw.thresholds)) {
+      if (!statuses.includes(status)) {
+        core.warning(`Ignoring reminder threshold for unknown status "${status}" (expected one of: ${statuses.join(', ')})`);
+        continue;
+      }
+      if (typeof hours !== 'number' || hours <= 0) {
+        core.warning(`Ignoring reminder threshold for "${status}": expected a positive number of hours`);
+        continue;
+      }
+      thresholds[status] = hours;
+    }
+  }
+
+  return {
+    channel: raw.channel || null,
+    thresholds,
+    nudge_threads: raw.nudge_threads !== false
+  };
+}
+
+/**
+ * Normalize personal DM digest settings from config
+ * @param {Object} dmDigest - Raw `dm_digest` section from config file
+ * @returns {Object} {enabled, opt_out}
+ */
+function normalizeDMDigest(dmDigest) {
+  const raw = dmDigest || {};
+
+  return {
+    enabled: raw.enabled === true,
+    opt_out: toList(raw.opt_out).map(String)
+  };
+}
+
+/**
+ * Normalize persistent user cache settings from config
+ * @param {Object} userCache - Raw `user_cache` section from config file
+ * @returns {Object} {enabled, path, ttl_hours, negative_ttl_hours}
+ */
+function normalizeUserCache(userCache) {
+  const raw = userCache || {};
+
+  const hours = (value, fallback, name) => {
+    if (value === undefined) return fallback;
+    if (typeof value !== 'number' || value < 0) {
+      core.warning(`Ignoring user_cache.${name}: expected a number of hours, using ${fallback}`);
+      return fallback;
+    }
+    return value;
+  };
+
+  return {
+    enabled: raw.enabled === true,
+    path: raw.path || '.pr-notify-users.json',
+    ttl_hours: hours(raw.ttl_hours, 24, 'ttl_hours'),
+    negative_ttl_hours: hours(raw.negative_ttl_hours, 1, 'negative_ttl_hours')
+  };
+}
+
+/**
+ * Normalize the identity resolver chain from config
+ * Without `resolvers`, the default chain is used; `auto_match_by_email: false`
+ * keeps its old meaning and drops the GitHub profile email lookup from it
+ * @param {Object} identity - Raw `identity` section from config file
+ * @param {boolean} autoMatchByEmail - `auto_match_by_email` setting
+ * @returns {Object} {resolvers, mapping_file, file_mappings, slack_profile_field}
+ */
+function normalizeIdentity(identity, autoMatchByEmail) {
+  const raw = identity || {};
+  const slackProfileField = raw.slack_profile_field ? String(raw.slack_profile_field) : null;
+
+  let resolvers = raw.resolvers
+    ? toList(raw.resolvers).map(String)
+    : DEFAULT_IDENTITY_RESOLVERS.filter(name => autoMatchByEmail || name !== 'github_email');
+
+  resolvers = resolvers.filter(name => {
+    if (!IDENTITY_RESOLVERS[name]) {
+      core.warning(`Ignoring unknown identity resolver "${name}" (expected one of: ${Object.keys(IDENTITY_RESOLVERS).join(', ')})`);
+      return false;
+    }
+    if (name === 'slack_profile' && !slackProfileField) {
+      core.warning('Ignoring identity resolver "slack_profile": identity.slack_profile_field is not set');
+      return false;
+    }
+    return true;
+  });
+
+  return {
+    resolvers: Array.from(new Set(resolvers)),
+    mapping_file: raw.mapping_file || null,
+    file_mappings: raw.mapping_file ? loadMappingFile(raw.mapping_file) : {},
+    slack_profile_field: slackProfileField
+  };
+}
+
+/**
+ * Reactions mirroring the PR status on the parent Slack message unless `reactions.statuses` overrides them
+ */
+const DEFAULT_STATUS_REACTIONS = {
+  [PR_STATUS.IN_REVIEW]: 'eyes',
+  [PR_STATUS.APPROVED]: 'white_check_mark',
+  [PR_STATUS.CHANGES_REQUESTED]: 'red_circle',
+  [PR_STATUS.MERGED]: 'tada'
+};
+
+/**
+ * Normalize GitHub team to Slack user group mappings from config
+ * @param {Object} teamMappings - Raw `team_mappings` section: {`org/slug` or `slug`: user group ID}
+ * @returns {Object} Lowercased team -> Slack user group ID
+ */
+function normalizeTeamMappings(teamMappings) {
+  if (!teamMappings || typeof teamMappings !== 'object') return {};
+
+  const mappings = {};
+  for (const [team, groupId] of Object.entries(teamMappings)) {
+    const id = String(groupId).trim();
+    if (!/^S[A-Z0-9]+$/.test(id)) {
+      core.warning(`Ignoring team mapping for ${team}: "${id}" is not a Slack user group ID (S...)`);
+      continue;
+    }
+    mappings[team.replace(/^@/, '').toLowerCase()] = id;
+  }
+  return mappings;
+}
+
+/**
+ * Normalize how unmapped teams are expanded to members
+ * @param {Object} teamExpansion - Raw `team_expansion` section from config file
+ * @returns {Object} {max_members, sampling}; max_members is null for no cap
+ */
+function normalizeTeamExpansion(teamExpansion) {
+  const raw = teamExpansion || {};
+  let maxMembers = null;
+  let sampling = raw.sampling || 'random';
+
+  if (raw.max_members !== undefined && raw.max_members !== null) {
+    if (Number.isInteger(raw.max_members) && raw.max_members > 0) {
+      maxMembers = raw.max_members;
+    } else {
+      core.warning('Ignoring team_expansion.max_members: expected a positive integer');
+    }
+  }
+
+  if (!TEAM_SAMPLING.includes(sampling)) {
+    core.warning(`Unknown team_expansion.sampling "${sampling}" (expected one of: ${TEAM_SAMPLING.join(', ')}), using random`);
+    sampling = 'random';
+  }
+
+  return { max_members: maxMembers, sampling };
+}
+
+/**
+ * Normalize automatic reviewer assignment settings from config
+ * @param {Object} autoAssign - Raw `auto_assign` section from config file
+ * @returns {Object} {enabled, count, strategy, pool, unavailable}
+ */
+function normalizeAutoAssign(autoAssign) {
+  const raw = autoAssign || {};
+  let count = 2;
+  let strategy = raw.strategy || 'least-loaded';
+
+  if (raw.count !== undefined) {
+    if (Number.isInteger(raw.count) && raw.count > 0) {
+      count = raw.count;
+    } else {
+      core.warning('Ignoring auto_assign.count: expected a positive integer, using 2');
+    }
+  }
+
+  if (!ASSIGN_STRATEGIES.includes(strategy)) {
+    core.warning(`Unknown auto_assign.strategy "${strategy}" (expected one of: ${ASSIGN_STRATEGIES.join(', ')}), using least-loaded`);
+    strategy = 'least-loaded';
+  }
+
+  return {
+    enabled: raw.enabled === true,
+    count,
+    strategy,
+    pool: toList(raw.pool).map(String),
+    unavailable: toList(raw.unavailable).map(String)
+  };
+}
+
+/**
+ * Normalize reviewer availability settings from config
+ * @param {Object} availability - Raw `availability` section from config file
+ * @returns {Object} {enabled, status_emoji, status_text, backups}
+ */
+function normalizeAvailability(availability) {
+  const raw = availability || {};
+  const backups = {};
+
+  if (raw.backups && typeof raw.backups === 'object') {
+    for (const [login, alternates] of Object.entries(raw.backups)) {
+      backups[login.toLowerCase()] = toList(alternates).map(String);
+    }
+  }
+
+  return {
+    enabled: raw.enabled === true,
+    status_emoji: raw.status_emoji ? toList(raw.status_emoji).map(String) : DEFAULT_AWAY_EMOJI,
+    status_text: compilePatterns(raw.status_text || DEFAULT_AWAY_TEXT, 'availability.status_text', 'i'),
+    backups
+  };
+}
+
+/**
+ * Parse an `HH:MM` time of day
+ * @param {string} value - Time of day
+ * @returns {number|null} Minutes since midnight or null when invalid
+ */
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+    return null;
+  }
+  return Math.min(Number(match[1]) * 60 + Number(match[2]), 24 * 60);
+}
+
+/**
+ * Normalize quiet hours settings from config
+ * Invalid working hours disable quiet hours rather than guess a window
+ * @param {Object} quietHours - Raw `quiet_hours` section from config file
+ * @returns {Object} {enabled, start, end, days, timezone}; start/end in minutes since midnight, days indexed like Date#getDay
+ */
+function normalizeQuietHours(quietHours) {
+  const raw = quietHours || {};
+  let enabled = raw.enabled === true;
+  let timezone = raw.timezone ? String(raw.timezone) : 'UTC';
+
+  const start = parseTimeOfDay(raw.start || DEFAULT_WORKING_HOURS.start);
+  const end = parseTimeOfDay(raw.end || DEFAULT_WORKING_HOURS.end);
+  if (start === null || end === null || start >= end) {
+    if (enabled) {
+      core.warning('Disabling quiet_hours: start and end must be HH:MM times with start before end');
+    }
+    enabled = false;
+  }
+
+  const days = [];
+  for (const day of toList(raw.days || DEFAULT_WORKING_HOURS.days)) {
+    const index = WEEKDAYS.indexOf(String(day).toLowerCase().slice(0, 3));
+    if (index === -1) {
+      core.warning(`Ignoring unknown quiet_hours day "${day}" (expected one of: ${WEEKDAYS.join(', ')})`);
+    } else if (!days.includes(index)) {
+      days.push(index);
+    }
+  }
+  if (days.length === 0 && enabled) {
+    core.warning('Disabling quiet_hours: no working days configured');
+    enabled = false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (error) {
+    core.warning(`Unknown quiet_hours.timezone "${timezone}", using UTC`);
+    timezone = 'UTC';
+  }
+
+  return { enabled, start, end, days, timezone };
+}
+
+/**
+ * Normalize Slack card button settings from config
+ * @param {Object} interactivity - Raw `interactivity` section from config file
+ * @returns {Object} {enabled, urgent_label}
+ */
+function normalizeInteractivity(interactivity) {
+  const raw = interactivity || {};
+
+  return {
+    enabled: raw.enabled === true,
+    urgent_label: raw.urgent_label ? String(raw.urgent_label) : 'urgent'
+  };
+}
+
+/**
+ * Normalize a Slack emoji name, accepting it with or without colons
+ * @param {*} value - Raw emoji name
+ * @returns {string|null} Emoji name without colons, null when invalid
+ */
+function toEmojiName(value) {
+  const name = String(value).trim().replace(/^:|:$/g, '');
+  return /^[a-z0-9_+'-]+(::skin-tone-[2-6])?$/i.test(name) ? name : null;
+}
+
+/**
+ * Normalize status reaction settings from config
+ * Configured statuses replace the defaults, so only the listed statuses get a reaction
+ * @param {Object} reactions - Raw `reactions` section from config file
+ * @returns {Object} {enabled, statuses, approvers}; approvers maps lowercased GitHub login -> emoji name
+ */
+function normalizeReactions(reactions) {
+  const raw = reactions || {};
+  const statuses = Object.values(PR_STATUS);
+  let statusReactions = DEFAULT_STATUS_REACTIONS;
+
+  if (raw.statuses && typeof raw.statuses === 'object') {
+    statusReactions = {};
+    for (const [status, emoji] of Object.entries(raw.statuses)) {
+      if (!statuses.includes(status)) {
+        core.warning(`Ignoring reaction for unknown status "${status}" (expected one of: ${statuses.join(', ')})`);
+        continue;
+      }
+      if (!emoji) continue;
+      const name = toEmojiName(emoji);
+      if (!name) {
+        core.warning(`Ignoring reaction for "${status}": "${emoji}" is not an emoji name`);
+        continue;
+      }
+      statusReactions[status] = name;
+    }
+  }
+
+  const approvers = {};
+  if (raw.approvers && typeof raw.approvers === 'object') {
+    for (const [login, emoji] of Object.entries(raw.approvers)) {
+      const name = toEmojiName(emoji);
+      if (!name) {
+        core.warning(`Ignoring approver reaction for ${login}: "${emoji}" is not an emoji name`);
+        continue;
+      }
+      approvers[login.replace(/^@/, '').toLowerCase()] = name;
+    }
+  }
+
+  return {
+    enabled: raw.enabled === true,
+    statuses: statusReactions,
+    approvers
+  };
+}
+
+/**
+ * Normalize per-reviewer review progress settings from config
+ * @param {Object} reviewProgress - Raw `review_progress` section from config file
+ * @returns {Object} {enabled, required_approvals}; required_approvals is null to read it from branch protection
+ */
+function normalizeReviewProgress(reviewProgress) {
+  const raw = reviewProgress || {};
+  let requiredApprovals = null;
+
+  if (raw.required_approvals !== undefined && raw.required_approvals !== null) {
+    if (Number.isInteger(raw.required_approvals) && raw.required_approvals >= 0) {
+      requiredApprovals = raw.required_approvals;
+    } else {
+      core.warning('Ignoring review_progress.required_approvals: expected a whole number, reading it from branch protection');
+    }
+  }
+
+  return {
+    enabled: raw.enabled === true,
+    required_approvals: requiredApprovals
+  };
+}
+
+/**
+ * Normalize CI status settings from config
+ * @param {Object} ci - Raw `ci` section from config file
+ * @returns {Object} {enabled, required_checks, notify_author, hold_mentions}; required_checks is null to read them from branch protection
+ */
+function normalizeCI(ci) {
+  const raw = ci || {};
+
+  return {
+    enabled: raw.enabled === true,
+    required_checks: raw.required_checks !== undefined && raw.required_checks !== null
+      ? toList(raw.required_checks).map(String)
+      : null,
+    notify_author: raw.notify_author !== false,
+    hold_mentions: raw.hold_mentions === true
+  };
+}
+
+/**
+ * Normalize merge conflict settings from config
+ * @param {Object} conflicts - Raw `conflicts` section from config file
+ * @returns {Object} {enabled, notify_author}
+ */
+function normalizeConflicts(conflicts) {
+  const raw = conflicts || {};
+
+  return {
+    enabled: raw.enabled === true,
+    notify_author: raw.notify_author !== false
+  };
+}
+
+/**
+ * Normalize webhook server settings from config
+ * Only used by the standalone server; secrets always come from the environment
+ * @param {Object} server - Raw `server` section from config file
+ * @returns {Object} {port, path, interactivity_path, slack_channel}
+ */
+function normalizeServer(server) {
+  const raw = server || {};
+  let port = 3000;
+
+  if (raw.port !== undefined) {
+    if (Number.isInteger(raw.port) && raw.port > 0 && raw.port < 65536) {
+      port = raw.port;
+    } else {
+      core.warning('Ignoring server.port: expected a port number, using 3000');
+    }
+  }
+
+  const toPath = value => `/${String(value).replace(/^\/+/, '')}`;
+
+  return {
+    port,
+    path: raw.path ? toPath(raw.path) : '/webhook',
+    interactivity_path: raw.interactivity_path ? toPath(raw.interactivity_path) : '/slack/actions',
+    slack_channel: raw.slack_channel || null
+  };
+}
+
+/**
+ * Build the configuration object from parsed config file contents
+ * @param {Object} fileConfig - Parsed YAML config (empty object when absent)
+ * @param {Object} mappings - User mappings from input
+ * @returns {Object} Configuration object
+ */
+function buildConfig(fileConfig, mappings) {
+  return {
+    email_mappings: mappings,
+    default_reviewers: toList(fileConfig.default_reviewers).map(String),
+    auto_match_by_email: fileConfig.auto_match_by_email !== false,
+    identity: normalizeIdentity(fileConfig.identity, fileConfig.auto_match_by_email !== false),
+    team_mappings: normalizeTeamMappings(fileConfig.team_mappings),
+    team_expansion: normalizeTeamExpansion(fileConfig.team_expansion),
+    auto_assign: normalizeAutoAssign(fileConfig.auto_assign),
+    availability: normalizeAvailability(fileConfig.availability),
+    quiet_hours: normalizeQuietHours(fileConfig.quiet_hours),
+    interactivity: normalizeInteractivity(fileConfig.interactivity),
+    reactions: normalizeReactions(fileConfig.reactions),
+    review_progress: normalizeReviewProgress(fileConfig.review_progress),
+    ci: normalizeCI(fileConfig.ci),
+    conflicts: normalizeConflicts(fileConfig.conflicts),
+    routes: normalizeRoutes(fileConfig.routes),
+    filters: normalizeFilters(fileConfig.filters),
+    templates: normalizeTemplates(fileConfig.templates),
+    locale: normalizeLocale(fileConfig.locale),
+    messages: normalizeMessages(fileConfig.messages),
+    state: normalizeState(fileConfig.state),
+    reminders: normalizeReminders(fileConfig.reminders),
+    dm_digest: normalizeDMDigest(fileConfig.dm_digest),
+    user_cache: normalizeUserCache(fileConfig.user_cache),
+    server: normalizeServer(fileConfig.server)
+  };
+}
+
 /**
  * Load configuration from YAML file
  * @param {string} configPath - Path to config file
+ * @param {string} userMappingsInput - JSON string of user mappings (default: the `user_mappings` input)
  * @returns {Object} Configuration object
  */
-function loadConfig(configPath) {
-  const mappings = loadUserMappings();
+function loadConfig(configPath, userMappingsInput = core.getInput('user_mappings')) {
+  const mappings = loadUserMappings(userMappingsInput);
 
   try {
     if (!fs.existsSync(configPath)) {
       core.info(`Config file not found at ${configPath}, using defaults`);
-      return {
-        email_mappings: mappings,
-        default_reviewers: [],
-        auto_match_by_email: true
-      };
+      return buildConfig({}, mappings);
     }
 
     const fileContents = fs.readFileSync(configPath, 'utf8');
-    const config = yaml.load(fileContents);
+    const config = yaml.load(fileContents) || {};
 
-    return {
-      email_mappings: mappings,
-      default_reviewers: config.default_reviewers || [],
-      auto_match_by_email: config.auto_match_by_email !== false
-    };
+    return buildConfig(config, mappings);
   } catch (error) {
     core.warning(`Failed to load config file: ${error.message}`);
-    return {
-      email_mappings: mappings,
-      default_reviewers: [],
-      auto_match_by_email: true
-    };
+    return buildConfig({}, mappings);
   }
 }
 
@@ -0,0 +1,81 @@
+const core = require('@actions/core');
+
+/**
+ * Waits between reads of a PR whose mergeability GitHub is still computing, in milliseconds
+ * The first read starts the computation, so most PRs are known by the second
+ */
+const MERGEABILITY_RETRY_DELAYS = [1000, 2000, 4000, 8000, 16000];
+
+/**
+ * PRs polled in parallel after a push to their base
+ */
+const MERGEABILITY_CONCURRENCY = 4;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Find the open PRs into a branch, whose mergeability a push to it may change
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} repo - {owner, repo}
+ * @param {string} branch - Base branch name
+ * @returns {Promise<Array<number>>} PR numbers
+ */
+async function findBasePRs(octokit, repo, branch) {
+  try {
+    const pullRequests = await octokit.paginate(octokit.rest.pulls.list, {
+      owner: repo.owner,
+      repo: repo.repo,
+      state: 'open',
+      base: branch,
+      per_page: 100
+    });
+    return pullRequests.map(pullRequest => pullRequest.number);
+  } catch (error) {
+    core.warning(`Failed to list PRs into ${branch}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Read whether a PR merges cleanly into its base
+ * GitHub computes mergeability in the background after the base or head moves,
+ * so the PR is read again with backoff until it is known
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} repo - {owner, repo}
+ * @param {number} number - PR number
+ * @param {Array<number>} delays - Waits between reads in milliseconds (optional)
+ * @returns {Promise<Object|null>} {pullRequest, conflict}; conflict is null when GitHub didn't finish in time. null when the PR could not be read
+ */
+async function getMergeability(octokit, repo, number, delays = MERGEABILITY_RETRY_DELAYS) {
+  for (let attempt = 0; ; attempt++) {
+    let pullRequest;
+    try {
+      ({ data: pullRequest } = await octokit.rest.pulls.get({ ...repo, pull_number: number }));
+    } catch (error) {
+      core.warning(`Failed to get mergeability of PR #${number}: ${error.message}`);
+      return null;
+    }
+
+    // Closed PRs are never recomputed
+    if (pullRequest.state !== 'open') {
+      return { pullRequest, conflict: false };
+    }
+    if (pullRequest.mergeable !== null && pullRequest.mergeable_state !== 'unknown') {
+      return { pullRequest, conflict: pullRequest.mergeable === false || pullRequest.mergeable_state === 'dirty' };
+    }
+    if (attempt >= delays.length) {
+      return { pullRequest, conflict: null };
+    }
+
+    core.debug(`Mergeability of PR #${number} not computed yet, reading again in ${delays[attempt]}ms`);
+    await sleep(delays[attempt]);
+  }
+}
+
+module.exports = {
+  MERGEABILITY_CONCURRENCY,
+  findBasePRs,
+  getMergeability
+};
@@ -0,0 +1,57 @@
+const { matchWildcard } = require('./glob');
+
+/**
+ * Check whether a list contains a value, ignoring case
+ * @param {Array<string>} list - Values to search
+ * @param {string} value - Value to find
+ * @returns {boolean} Whether the value is in the list
+ */
+function includesIgnoreCase(list, value) {
+  const lower = value.toLowerCase();
+  return list.some(item => item.toLowerCase() === lower);
+}
+
+/**
+ * Decide whether a PR should be notified based on config filters
+ * @param {Object} prData - Parsed PR data
+ * @param {Object} filters - Normalized filters from config
+ * @returns {Object} {notify, reason}
+ */
+function evaluateFilters(prData, filters) {
+  if (includesIgnoreCase(filters.exclude_authors, prData.author)) {
+    return { notify: false, reason: `author ${prData.author} is excluded` };
+  }
+
+  const excludedLabel = prData.labels.find(label => includesIgnoreCase(filters.exclude_labels, label));
+  if (excludedLabel) {
+    return { notify: false, reason: `label "${excludedLabel}" is excluded` };
+  }
+
+  if (filters.include_labels.length > 0 &&
+      !prData.labels.some(label => includesIgnoreCase(filters.include_labels, label))) {
+    return { notify: false, reason: `none of the required labels (${filters.include_labels.join(', ')}) are set` };
+  }
+
+  if (filters.exclude_base_branches.some(pattern => matchWildcard(prData.base, pattern))) {
+    return { notify: false, reason: `base branch ${prData.base} is excluded` };
+  }
+
+  if (filters.include_base_branches.length > 0 &&
+      !filters.include_base_branches.some(pattern => matchWildcard(prData.base, pattern))) {
+    return { notify: false, reason: `base branch ${prData.base} is not included` };
+  }
+
+  const excludedTitle = filters.exclude_title_patterns.find(pattern => pattern.test(prData.title));
+  if (excludedTitle) {
+    return { notify: false, reason: `title matches excluded pattern ${excludedTitle}` };
+  }
+
+  if (filters.include_title_patterns.length > 0 &&
+      !filters.include_title_patterns.some(pattern => pattern.test(prData.title))) {
+    return { notify: false, reason: 'title does not match any included pattern' };
+  }
+
+  return { notify: true, reason: null };
+}
+
+module.exports = { evaluateFilters };
@@ -1,4 +1,8 @@
 const core = require('@actions/core');
+const { parseCodeowners, matchCodeowners } = require('./codeowners');
+const { getMessages } = require('./i18n');
+const { getTeamGroupId, sampleTeamMembers } = require('./teams');
+const { stripMarkers } = require('./state/pr-body');
 
 /**
  * Parse PR data from GitHub context
@@ -21,11 +25,15 @@ function parsePRData(context) {
     body: pull_request.body || '',
     base: pull_request.base.ref,
     head: pull_request.head.ref,
+    headSha: pull_request.head.sha,
     additions: pull_request.additions || 0,
     deletions: pull_request.deletions || 0,
     changedFiles: pull_request.changed_files || 0,
     isDraft: pull_request.draft || false,
+    createdAt: pull_request.created_at || null,
     reviewers: (pull_request.requested_reviewers || []).map(r => r.login),
+    teamReviewers: (pull_request.requested_teams || []).map(t => t.slug),
+    labels: (pull_request.labels || []).map(l => l.name),
     repo: {
       name: context.payload.repository.name,
       fullName: context.payload.repository.full_name,
@@ -40,22 +48,27 @@ function parsePRData(context) {
 
 /**
  * Get a summary of the PR body (first 3 lines or 200 chars)
+ * State markers the pr-body store keeps at the end of the body are left out
  * @param {string} body - PR body text
+ * @param {Object} messages - Message pack (optional)
  * @returns {string} Summarized body
  */
-function summarizePRBody(body) {
-  if (!body || body.trim().length === 0) {
-    return '_설명 없음_';
+function summarizePRBody(body, messages = getMessages()) {
+  const noDescription = `_${messages.no_description}_`;
+
+  const text = stripMarkers(body || '');
+  if (text.trim().length === 0) {
+    return noDescription;
   }
 
-  const lines = body.split('\n').filter(line => line.trim().length > 0);
+  const lines = text.split('\n').filter(line => line.trim().length > 0);
   const summary = lines.slice(0, 3).join('\n');
 
   if (summary.length > 200) {
     return summary.substring(0, 197) + '...';
   }
 
-  return summary || '_설명 없음_';
+  return summary || noDescription;
 }
 
 /**
@@ -107,13 +120,14 @@ function parseCommentData(context) {
 
 /**
  * Extract GitHub username mentions from text
+ * Team mentions (`@org/team`) are not user mentions, see extractTeamMentions
  * @param {string} text - Comment body text
  * @returns {Array<string>} Array of mentioned usernames
  */
 function extractMentions(text) {
   if (!text) return [];
 
-  const mentionPattern = /@([a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?)/g;
+  const mentionPattern = /@([a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?)(?![a-zA-Z0-9/-])/g;
   const matches = text.matchAll(mentionPattern);
   const mentions = [...matches].map(match => match[1]);
 
@@ -121,63 +135,27 @@ function extractMentions(text) {
 }
 
 /**
- * Get Slack thread timestamp from PR body
- * @param {Object} octokit - GitHub API client
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @param {number} prNumber - PR number
- * @returns {Promise<string|null>} Slack thread ts or null
+ * Extract GitHub team mentions from text
+ * @param {string} text - Comment body text
+ * @returns {Array<string>} Array of mentioned teams as `org/slug`
  */
-async function getSlackThreadTs(octokit, owner, repo, prNumber) {
-  try {
-    const { data: pr } = await octokit.rest.pulls.get({
-      owner,
-      repo,
-      pull_number: prNumber
-    });
+function extractTeamMentions(text) {
+  if (!text) return [];
 
-    const body = pr.body || '';
-    const match = body.match(/<!-- slack-thread-ts: (.+?) -->/);
+  const mentionPattern = /@([a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?\/[a-zA-Z0-9_-]+)/g;
+  const mentions = [...text.matchAll(mentionPattern)].map(match => match[1]);
 
-    if (match && match[1]) {
-      core.debug(`Found Slack thread ts: ${match[1]}`);
-      return match[1];
-    }
-
-    core.warning(`No Slack thread ts found in PR #${prNumber}`);
-    return null;
-  } catch (error) {
-    core.error(`Failed to get Slack thread ts: ${error.message}`);
-    return null;
-  }
+  return [...new Set(mentions)];
 }
 
-async function getSlackChannelId(octokit, owner, repo, prNumber) {
-  try {
-    const { data: pr } = await octokit.rest.pulls.get({
-      owner,
-      repo,
-      pull_number: prNumber
-    });
-
-    const body = pr.body || '';
-    const match = body.match(/<!-- slack-channel: (.+?) -->/);
-
-    if (match && match[1]) {
-      core.debug(`Found Slack channel: ${match[1]}`);
-      return match[1];
-    }
-
-    core.warning(`No Slack channel found in PR #${prNumber}`);
-    return null;
-  } catch (error) {
-    core.error(`Failed to get Slack channel: ${error.message}`);
-    return null;
-  }
-}
+/**
+ * GitHub's pulls.listFiles stops returning files after this many
+ */
+const MAX_LISTED_FILES = 3000;
 
 /**
  * Get changed files in PR
+ * Pages through every file GitHub lists, up to MAX_LISTED_FILES
  * @param {Object} octokit - GitHub API client
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
@@ -186,12 +164,17 @@ async function getSlackChannelId(octokit, owner, repo, prNumber) {
  */
 async function getChangedFiles(octokit, owner, repo, prNumber) {
   try {
-    const { data: files } = await octokit.rest.pulls.listFiles({
+    const files = await octokit.paginate(octokit.rest.pulls.listFiles, {
       owner,
       repo,
-      pull_number: prNumber
+      pull_number: prNumber,
+      per_page: 100
     });
 
+    if (files.length >= MAX_LISTED_FILES) {
+      core.warning(`PR #${prNumber} lists ${files.length} files, which is GitHub's limit; later files are not checked`);
+    }
+
     return files.map(file => file.filename);
   } catch (error) {
     core.warning(`Failed to get changed files: ${error.message}`);
@@ -199,61 +182,6 @@ async function getChangedFiles(octokit, owner, repo, prNumber) {
   }
 }
 
-/**
- * Parse CODEOWNERS file
- * @param {string} content - CODEOWNERS file content
- * @returns {Array<Object>} Array of {pattern, owners}
- */
-function parseCodeowners(content) {
-  const rules = [];
-  const lines = content.split('\n');
-
-  for (const line of lines) {
-    const trimmed = line.trim();
-
-    if (!trimmed || trimmed.startsWith('#')) continue;
-
-    const parts = trimmed.split(/\s+/);
-    if (parts.length < 2) continue;
-
-    const pattern = parts[0];
-    const owners = parts.slice(1)
-      .filter(o => o.startsWith('@'))
-      .map(o => o.substring(1));
-
-    if (owners.length > 0) {
-      rules.push({ pattern, owners });
-    }
-  }
-
-  return rules.reverse();
-}
-
-/**
- * Match file to CODEOWNERS pattern
- * @param {string} file - File path
- * @param {string} pattern - CODEOWNERS pattern
- * @returns {boolean} Whether file matches pattern
- */
-function matchPattern(file, pattern) {
-  if (pattern === '*') return true;
-
-  if (pattern.startsWith('*.')) {
-    const ext = pattern.substring(1);
-    return file.endsWith(ext);
-  }
-
-  if (pattern.endsWith('/')) {
-    return file.startsWith(pattern) || file.startsWith(pattern.substring(0, pattern.length - 1));
-  }
-
-  if (pattern.startsWith('/')) {
-    return file === pattern.substring(1) || file.startsWith(pattern.substring(1) + '/');
-  }
-
-  return file.includes(pattern);
-}
-
 /**
  * Get team members from GitHub API
  * @param {Object} octokit - GitHub API client
@@ -263,9 +191,10 @@ function matchPattern(file, pattern) {
  */
 async function getTeamMembers(octokit, org, teamSlug) {
   try {
-    const { data: members } = await octokit.rest.teams.listMembersInOrg({
+    const members = await octokit.paginate(octokit.rest.teams.listMembersInOrg, {
       org,
-      team_slug: teamSlug
+      team_slug: teamSlug,
+      per_page: 100
     });
 
     const usernames = members.map(member => member.login);
@@ -279,18 +208,33 @@ async function getTeamMembers(octokit, org, teamSlug) {
 
 /**
  * Expand owners (individual users and teams) to individual usernames
+ * With team options, teams mapped to a Slack user group are left out (the
+ * caller mentions the group instead) and other teams are sampled down to the cap
  * @param {Object} octokit - GitHub API client
  * @param {string} repoOwner - Repository owner
  * @param {Array<string>} owners - Array of owners (may include teams)
+ * @param {Object} teamOptions - {teamMappings, expansion, seed} (optional)
  * @returns {Promise<Array<string>>} Array of individual usernames
  */
-async function expandOwners(octokit, repoOwner, owners) {
+async function expandOwners(octokit, repoOwner, owners, teamOptions = null) {
   const expandedUsers = new Set();
 
   for (const owner of owners) {
     if (owner.includes('/')) {
+      if (teamOptions && getTeamGroupId(teamOptions.teamMappings, owner)) {
+        core.debug(`Team @${owner} is mapped to a Slack user group, not expanding`);
+        continue;
+      }
+
       const [org, teamSlug] = owner.split('/');
-      const teamMembers = await getTeamMembers(octokit, org, teamSlug);
+      let teamMembers = await getTeamMembers(octokit, org, teamSlug);
+      if (teamOptions) {
+        const sampled = sampleTeamMembers(teamMembers, teamOptions.expansion, teamOptions.seed);
+        if (sampled.length < teamMembers.length) {
+          core.info(`Picked ${sampled.length} of ${teamMembers.length} members of @${owner} (${teamOptions.expansion.sampling}): ${sampled.join(', ')}`);
+        }
+        teamMembers = sampled;
+      }
       teamMembers.forEach(member => expandedUsers.add(member));
     } else {
       expandedUsers.add(owner);
@@ -301,34 +245,69 @@ async function expandOwners(octokit, repoOwner, owners) {
 }
 
 /**
- * Get code owners from CODEOWNERS file
+ * Check whether a user is an active member of a team
+ * @param {Object} octokit - GitHub API client
+ * @param {string} org - Organization name
+ * @param {string} teamSlug - Team slug
+ * @param {string} username - GitHub username
+ * @returns {Promise<boolean>} Whether the user belongs to the team
+ */
+async function isTeamMember(octokit, org, teamSlug, username) {
+  try {
+    const { data: membership } = await octokit.rest.teams.getMembershipForUserInOrg({
+      org,
+      team_slug: teamSlug,
+      username
+    });
+
+    return membership.state === 'active';
+  } catch (error) {
+    if (error.status !== 404) {
+      core.warning(`Failed to check membership of ${username} in @${org}/${teamSlug}: ${error.message}`);
+    }
+    return false;
+  }
+}
+
+/**
+ * Get code owners from CODEOWNERS file, with the files each owner was matched for
+ * Teams are expanded to their members, who inherit the team's files; teams
+ * mapped to a Slack user group are listed in `teams` instead
  * @param {Object} octokit - GitHub API client
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {number} prNumber - PR number
- * @returns {Promise<Array<string>>} Array of owner usernames
+ * @param {Array<string>} files - Already fetched changed files (optional)
+ * @param {string} ref - Branch to read CODEOWNERS from, normally the PR's base (optional, default branch)
+ * @param {Object} teamOptions - {teamMappings, expansion, seed}, see expandOwners (optional)
+ * @returns {Promise<Object>} {owners, teams, files: {username: Array<string>}, ownerFiles: {owner: Array<string>}, unowned, path, errors}
  */
-async function getCodeOwners(octokit, owner, repo, prNumber) {
+async function getCodeOwners(octokit, owner, repo, prNumber, files = null, ref = null, teamOptions = null) {
+  const result = { owners: [], teams: [], files: {}, ownerFiles: {}, unowned: [], path: null, errors: [] };
+
   try {
-    const changedFiles = await getChangedFiles(octokit, owner, repo, prNumber);
+    const changedFiles = files || await getChangedFiles(octokit, owner, repo, prNumber);
     if (changedFiles.length === 0) {
-      return [];
+      return result;
     }
 
     const paths = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
     let codeownersContent = null;
+    let codeownersPath = null;
 
     for (const path of paths) {
       try {
         const { data } = await octokit.rest.repos.getContent({
           owner,
           repo,
-          path
+          path,
+          ...(ref && { ref })
         });
 
         if (data.content) {
           codeownersContent = Buffer.from(data.content, 'base64').toString('utf-8');
-          core.info(`Found CODEOWNERS at ${path}`);
+          codeownersPath = path;
+          core.info(`Found CODEOWNERS at ${path}${ref ? ` on ${ref}` : ''}`);
           break;
         }
       } catch (error) {
@@ -338,150 +317,287 @@ async function getCodeOwners(octokit, owner, repo, prNumber) {
 
     if (!codeownersContent) {
       core.debug('No CODEOWNERS file found');
-      return [];
+      result.unowned = changedFiles;
+      return result;
     }
 
-    const rules = parseCodeowners(codeownersContent);
-    const ownersSet = new Set();
+    const { rules, errors } = parseCodeowners(codeownersContent);
+    errors.forEach(error => core.warning(`${codeownersPath}:${error.line}: ${error.message}`));
+    result.path = codeownersPath;
+    result.errors = errors;
 
-    for (const file of changedFiles) {
-      for (const rule of rules) {
-        if (matchPattern(file, rule.pattern)) {
-          rule.owners.forEach(owner => ownersSet.add(owner));
-          break;
-        }
-      }
-    }
+    const matched = matchCodeowners(rules, changedFiles);
+    result.unowned = matched.unowned;
+    result.ownerFiles = matched.files;
 
-    const owners = Array.from(ownersSet);
+    const owners = Object.keys(matched.files);
     if (owners.length > 0) {
       core.info(`Found ${owners.length} code owners from CODEOWNERS: ${owners.join(', ')}`);
     }
 
-    const expandedOwners = await expandOwners(octokit, owner, owners);
-    if (expandedOwners.length > owners.length) {
-      core.info(`Expanded to ${expandedOwners.length} individual users: ${expandedOwners.join(', ')}`);
+    for (const [codeOwner, ownedFiles] of Object.entries(matched.files)) {
+      if (teamOptions && codeOwner.includes('/') && getTeamGroupId(teamOptions.teamMappings, codeOwner)) {
+        result.teams.push(codeOwner);
+        continue;
+      }
+
+      const users = await expandOwners(octokit, owner, [codeOwner], teamOptions);
+      for (const user of users) {
+        result.files[user] = [...new Set([...(result.files[user] || []), ...ownedFiles])];
+      }
+    }
+
+    result.owners = Object.keys(result.files);
+    if (result.owners.length > owners.length) {
+      core.info(`Expanded to ${result.owners.length} individual users: ${result.owners.join(', ')}`);
     }
 
-    return expandedOwners;
+    return result;
   } catch (error) {
     core.warning(`Failed to get code owners: ${error.message}`);
-    return [];
+    return result;
   }
 }
 
 /**
- * PR Status constants
+ * Get commits added by a push to a PR branch
+ * @param {Object} octokit - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} prNumber - PR number
+ * @param {string} before - Head SHA before the push
+ * @param {string} after - Head SHA after the push
+ * @returns {Promise<Object>} {commits: Array<{sha, message, author, url}>, forced}
  */
-const PR_STATUS = {
-  REVIEW_PENDING: 'review-pending',
-  IN_REVIEW: 'in-review',
-  APPROVED: 'approved',
-  CHANGES_REQUESTED: 'changes-requested',
-  MERGED: 'merged',
-  CLOSED: 'closed'
-};
+async function getPushedCommits(octokit, owner, repo, prNumber, before, after) {
+  const toCommit = commit => ({
+    sha: commit.sha,
+    message: commit.commit.message.split('\n')[0],
+    author: commit.author ? commit.author.login : commit.commit.author.name,
+    url: commit.html_url
+  });
+
+  try {
+    const { data: comparison } = await octokit.rest.repos.compareCommits({
+      owner,
+      repo,
+      base: before,
+      head: after
+    });
+
+    // A fast-forward push is "ahead"; anything else rewrote the branch history
+    return {
+      commits: comparison.commits.map(toCommit),
+      forced: comparison.status !== 'ahead'
+    };
+  } catch (error) {
+    // The old head may be gone after a force-push, fall back to the PR commits
+    core.warning(`Failed to compare ${before}...${after}: ${error.message}`);
+
+    try {
+      const commits = await octokit.paginate(octokit.rest.pulls.listCommits, {
+        owner,
+        repo,
+        pull_number: prNumber,
+        per_page: 100
+      });
+
+      return {
+        commits: commits.map(toCommit),
+        forced: true
+      };
+    } catch (listError) {
+      core.warning(`Failed to list PR commits: ${listError.message}`);
+      return { commits: [], forced: true };
+    }
+  }
+}
 
 /**
- * Get PR status display info
- * @param {string} status - PR status
- * @returns {Object} {emoji, text}
+ * Get reviewers whose latest review requested changes
+ * @param {Object} octokit - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} prNumber - PR number
+ * @returns {Promise<Array<string>>} Array of reviewer usernames
  */
-function getStatusDisplay(status) {
-  const displays = {
-    'review-pending': { emoji: '🟡', text: '리뷰 대기중' },
-    'in-review': { emoji: '🔵', text: '리뷰 중' },
-    'approved': { emoji: '✅', text: '승인됨' },
-    'changes-requested': { emoji: '🔴', text: '변경 요청됨' },
-    'merged': { emoji: '🎉', text: '머지됨' },
-    'closed': { emoji: '⚫', text: '닫힘' }
-  };
+async function getChangesRequestedReviewers(octokit, owner, repo, prNumber) {
+  const reviews = await getLatestReviews(octokit, owner, repo, prNumber);
 
-  return displays[status] || displays['review-pending'];
+  return (reviews || [])
+    .filter(review => review.state === 'changes_requested')
+    .map(review => review.login);
 }
 
 /**
- * Get current PR status from PR body
+ * Get the latest review state of every user who reviewed a PR
+ * Plain comments don't replace an earlier approval or change request, like on GitHub
  * @param {Object} octokit - GitHub API client
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {number} prNumber - PR number
- * @returns {Promise<string|null>} Current status or null
+ * @returns {Promise<Array<Object>|null>} Array of {login, state} in review order, state being
+ *   approved, changes_requested, commented or dismissed; null when the reviews could not be read
  */
-async function getPRStatus(octokit, owner, repo, prNumber) {
+async function getLatestReviews(octokit, owner, repo, prNumber) {
   try {
-    const { data: pr } = await octokit.rest.pulls.get({
+    const reviews = await octokit.paginate(octokit.rest.pulls.listReviews, {
       owner,
       repo,
-      pull_number: prNumber
+      pull_number: prNumber,
+      per_page: 100
     });
 
-    const body = pr.body || '';
-    const match = body.match(/<!-- slack-status: (.+?) -->/);
-
-    if (match && match[1]) {
-      core.debug(`Found PR status: ${match[1]}`);
-      return match[1];
+    const latestStates = new Map();
+    for (const review of reviews) {
+      if (!review.user || review.state === 'PENDING') {
+        continue;
+      }
+      const previous = latestStates.get(review.user.login);
+      if (review.state === 'COMMENTED' && (previous === 'approved' || previous === 'changes_requested')) {
+        continue;
+      }
+      latestStates.set(review.user.login, review.state.toLowerCase());
     }
 
-    return null;
+    return Array.from(latestStates, ([login, state]) => ({ login, state }));
   } catch (error) {
-    core.warning(`Failed to get PR status: ${error.message}`);
+    core.warning(`Failed to get PR reviews: ${error.message}`);
     return null;
   }
 }
 
 /**
- * Update PR status in PR body
+ * Get what merging into a branch requires: approving reviews and passing checks
+ * Both rulesets and classic branch protection are read and combined, the stricter
+ * approval count winning. Classic protection can only be read with admin access,
+ * so without it only rulesets count
  * @param {Object} octokit - GitHub API client
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
- * @param {number} prNumber - PR number
- * @param {string} newStatus - New status
- * @returns {Promise<boolean>} Success
+ * @param {string} branch - Base branch name
+ * @returns {Promise<Object>} {approvals, checks}: required approvals and required check names, each null when neither could be read
  */
-async function updatePRStatus(octokit, owner, repo, prNumber, newStatus) {
-  try {
-    const { data: pr } = await octokit.rest.pulls.get({
-      owner,
-      repo,
-      pull_number: prNumber
-    });
+async function getBranchRequirements(octokit, owner, repo, branch) {
+  const counts = [];
+  let checks = null;
+  const addChecks = names => {
+    checks = [...new Set([...(checks || []), ...names])];
+  };
 
-    let body = pr.body || '';
-    const statusPattern = /<!-- slack-status: .+? -->/;
+  try {
+    const { data: rules } = await octokit.rest.repos.getBranchRules({ owner, repo, branch, per_page: 100 });
+    counts.push(0, ...rules
+      .filter(rule => rule.type === 'pull_request')
+      .map(rule => (rule.parameters && rule.parameters.required_approving_review_count) || 0));
+    addChecks(rules
+      .filter(rule => rule.type === 'required_status_checks')
+      .flatMap(rule => ((rule.parameters && rule.parameters.required_status_checks) || []).map(check => check.context)));
+  } catch (error) {
+    core.debug(`Failed to read rulesets of ${branch}: ${error.message}`);
+  }
 
-    if (statusPattern.test(body)) {
-      body = body.replace(statusPattern, `<!-- slack-status: ${newStatus} -->`);
+  try {
+    const { data: protection } = await octokit.rest.repos.getBranchProtection({ owner, repo, branch });
+    const reviews = protection.required_pull_request_reviews;
+    const statusChecks = protection.required_status_checks;
+    counts.push((reviews && reviews.required_approving_review_count) || 0);
+    addChecks(statusChecks ? [...(statusChecks.contexts || []), ...(statusChecks.checks || []).map(check => check.context)] : []);
+  } catch (error) {
+    if (error.status === 404 && /not protected/i.test(error.message)) {
+      counts.push(0);
+      addChecks([]);
     } else {
-      body += `\n\n<!-- slack-status: ${newStatus} -->`;
+      core.debug(`Failed to read branch protection of ${branch}: ${error.message}`);
     }
+  }
+
+  return {
+    approvals: counts.length > 0 ? Math.max(...counts) : null,
+    checks
+  };
+}
 
-    await octokit.rest.pulls.update({
+/**
+ * Get users who have submitted any review on a PR
+ * @param {Object} octokit - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} prNumber - PR number
+ * @returns {Promise<Array<string>>} Array of GitHub usernames
+ */
+async function getReviewedUsers(octokit, owner, repo, prNumber) {
+  try {
+    const reviews = await octokit.paginate(octokit.rest.pulls.listReviews, {
       owner,
       repo,
       pull_number: prNumber,
-      body
+      per_page: 100
     });
 
-    core.info(`Updated PR status to: ${newStatus}`);
-    return true;
+    const reviewers = reviews
+      .filter(review => review.user && review.state !== 'PENDING')
+      .map(review => review.user.login);
+
+    return [...new Set(reviewers)];
   } catch (error) {
-    core.warning(`Failed to update PR status: ${error.message}`);
-    return false;
+    core.warning(`Failed to get PR reviews: ${error.message}`);
+    return [];
   }
 }
 
+/**
+ * PR Status constants
+ */
+const PR_STATUS = {
+  REVIEW_PENDING: 'review-pending',
+  IN_REVIEW: 'in-review',
+  APPROVED: 'approved',
+  CHANGES_REQUESTED: 'changes-requested',
+  RE_REVIEW_REQUESTED: 're-review-requested',
+  DRAFT: 'draft',
+  REOPENED: 'reopened',
+  MERGED: 'merged',
+  CLOSED: 'closed'
+};
+
+/**
+ * Get PR status display info
+ * @param {string} status - PR status
+ * @param {Object} messages - Message pack (optional)
+ * @returns {Object} {emoji, text}
+ */
+function getStatusDisplay(status, messages = getMessages()) {
+  const displays = {
+    'review-pending': { emoji: '🟡', text: messages.status_review_pending },
+    'in-review': { emoji: '🔵', text: messages.status_in_review },
+    'approved': { emoji: '✅', text: messages.status_approved },
+    'changes-requested': { emoji: '🔴', text: messages.status_changes_requested },
+    're-review-requested': { emoji: '🔁', text: messages.status_re_review_requested },
+    'draft': { emoji: '📝', text: messages.status_draft },
+    'reopened': { emoji: '🔓', text: messages.status_reopened },
+    'merged': { emoji: '🎉', text: messages.status_merged },
+    'closed': { emoji: '⚫', text: messages.status_closed }
+  };
+
+  return displays[status] || displays['review-pending'];
+}
+
 module.exports = {
   parsePRData,
   summarizePRBody,
   parseCommentData,
   extractMentions,
-  getSlackThreadTs,
-  getSlackChannelId,
+  extractTeamMentions,
+  getChangedFiles,
   getCodeOwners,
+  expandOwners,
+  isTeamMember,
+  getPushedCommits,
+  getChangesRequestedReviewers,
+  getLatestReviews,
+  getBranchRequirements,
+  getReviewedUsers,
   PR_STATUS,
-  getStatusDisplay,
-  getPRStatus,
-  updatePRStatus
+  getStatusDisplay
 };
@@ -0,0 +1,140 @@
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Convert a gitignore-style glob pattern to a regular expression
+ *
+ * - `*` matches anything except `/`, `?` matches one character except `/`
+ * - `**` matches across directories (`docs/**`, `**\/test`, `a/**\/b`)
+ * - A pattern with a leading or middle slash is anchored to the repo root,
+ *   otherwise it matches at any depth
+ * - A trailing slash matches everything inside that directory
+ * - A pattern that names a directory also matches the files inside it
+ *
+ * CODEOWNERS differs from gitignore in one place: `docs/*` only covers files
+ * directly inside `docs`, so a wildcard in the last segment can be told not to
+ * match directories with `wildcardMatchesDirectories: false`.
+ * @param {string} pattern - Glob pattern
+ * @param {Object} options - {wildcardMatchesDirectories} (optional)
+ * @returns {RegExp} Regular expression matching file paths
+ */
+function globToRegExp(pattern, { wildcardMatchesDirectories = true } = {}) {
+  let body = pattern;
+  let directoryOnly = false;
+
+  if (body.endsWith('/') && !body.endsWith('\\/')) {
+    directoryOnly = true;
+    body = body.substring(0, body.length - 1);
+  }
+
+  const anchored = body.includes('/');
+  if (body.startsWith('/')) {
+    body = body.substring(1);
+  }
+
+  let source = '';
+  let i = 0;
+
+  while (i < body.length) {
+    const char = body[i];
+
+    if (char === '*') {
+      if (body[i + 1] === '*') {
+        const afterSlash = i === 0 || body[i - 1] === '/';
+        if (afterSlash && body[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 3;
+          continue;
+        }
+        if (afterSlash && i + 2 === body.length) {
+          source += '.*';
+          i += 2;
+          continue;
+        }
+        source += '[^/]*';
+        i += 2;
+        continue;
+      }
+      source += '[^/]*';
+      i += 1;
+      continue;
+    }
+
+    if (char === '?') {
+      source += '[^/]';
+      i += 1;
+      continue;
+    }
+
+    if (char === '\\' && i + 1 < body.length) {
+      source += escapeRegExp(body[i + 1]);
+      i += 2;
+      continue;
+    }
+
+    if (char === '[') {
+      const close = body.indexOf(']', i + 2);
+      if (close !== -1) {
+        let range = body.substring(i + 1, close).replace(/\\/g, '\\\\');
+        if (range.startsWith('!')) {
+          range = '^' + range.substring(1);
+        }
+        source += `[${range}]`;
+        i = close + 1;
+        continue;
+      }
+    }
+
+    source += escapeRegExp(char);
+    i += 1;
+  }
+
+  const lastSegment = body.substring(body.lastIndexOf('/') + 1);
+  const wildcardLast = /(^|[^\\])[*?]/.test(lastSegment);
+
+  const prefix = anchored ? '^' : '^(?:.*/)?';
+  let suffix = directoryOnly ? '/.*$' : '(?:/.*)?$';
+  if (!directoryOnly && wildcardLast && !wildcardMatchesDirectories) {
+    suffix = '$';
+  }
+
+  return new RegExp(prefix + source + suffix);
+}
+
+/**
+ * Check whether a file path matches a glob pattern
+ * @param {string} file - File path relative to the repository root
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean} Whether the file matches
+ */
+function matchGlob(file, pattern) {
+  return globToRegExp(pattern).test(file);
+}
+
+/**
+ * Check whether a name (such as a branch) fully matches a wildcard pattern
+ * Unlike file globs, `*` also matches `/` so `release/*` covers nested branches
+ * @param {string} name - Name to test
+ * @param {string} pattern - Wildcard pattern
+ * @returns {boolean} Whether the name matches
+ */
+function matchWildcard(name, pattern) {
+  const source = pattern
+    .split('*')
+    .map(part => part.split('?').map(escapeRegExp).join('.'))
+    .join('.*');
+
+  return new RegExp(`^${source}$`).test(name);
+}
+
+module.exports = {
+  globToRegExp,
+  matchGlob,
+  matchWildcard
+};
@@ -0,0 +1,292 @@
+/**
+ * Message packs for every user-visible string
+ * `{name}` placeholders are filled by formatMessage.
+ */
+const MESSAGES = {
+  ko: {
+    status_review_pending: '리뷰 대기중',
+    status_in_review: '리뷰 중',
+    status_approved: '승인됨',
+    status_changes_requested: '변경 요청됨',
+    status_re_review_requested: '재리뷰 요청됨',
+    status_merged: '머지됨',
+    status_closed: '닫힘',
+    status_draft: '초안 (Draft)',
+    status_reopened: '다시 열림',
+    no_description: '설명 없음',
+    none: '없음',
+    card_header: '👀 코드 리뷰 요청',
+    card_fallback: '새로운 PR: {title}',
+    field_author: '작성자',
+    field_reviewers: '리뷰어',
+    field_changes: '변경사항',
+    field_status: '상태',
+    field_ci: 'CI',
+    field_codeowners: '코드 소유자',
+    reviewer_source_requested: '요청',
+    reviewer_source_codeowner: '코드 소유자',
+    reviewer_source_default: '기본',
+    reviewer_source_auto: '자동 배정',
+    reviewer_source_backup: '대체',
+    reviewer_source_claimed: '리뷰 맡음',
+    reviewer_away: '{name} _(부재중)_',
+    reviewer_deferred: '{name} _({time}에 알림 예정)_',
+    reviewer_held: '{name} _(CI 통과 후 알림)_',
+    review_state_pending: '⏳ 대기',
+    review_state_commented: '💬 코멘트',
+    review_state_approved: '✅ 승인',
+    review_state_changes_requested: '🔴 변경 요청',
+    review_state_dismissed: '⚪ 리뷰 해제됨',
+    approvals_required: '승인 {approved}/{required}',
+    approvals_count: '승인 {approved}명',
+    ci_pending: '⏳ 진행 중 ({finished}/{total})',
+    ci_success: '✅ 통과',
+    ci_failure: '❌ 실패: {checks}',
+    conflict_badge: '⚠️ 충돌 있음',
+    assign_summary: '🎯 자동 배정 ({strategy}): {reviewers}',
+    assign_load: '{reviewer} (대기 리뷰 {count}건)',
+    assign_strategy_least_loaded: '대기 리뷰가 가장 적은 순',
+    assign_strategy_round_robin: '순서대로',
+    assign_strategy_random: '무작위',
+    owner_files: '파일 {count}개',
+    owner_files_in_directory: '`{directory}` 아래 파일 {count}개',
+    owner_files_with_extension: '`*{extension}` 파일 {count}개',
+    owners_more: '…외 {count}명',
+    warning_files_truncated: '⚠️ 변경 파일 {total}개 중 {shown}개만 확인했습니다 (GitHub API 제한). 코드 소유자가 빠졌을 수 있습니다',
+    warning_codeowners_errors: '⚠️ `{path}` 문법 오류 {count}건 (줄 {lines}), 해당 줄은 무시했습니다',
+    changes_summary: '+{additions} / -{deletions} ({files} files)',
+    button_view_pr: 'PR 보기',
+    button_view_files: '변경사항',
+    button_claim_review: '🙋 제가 리뷰할게요',
+    button_snooze: '💤 하루 미루기',
+    button_mark_urgent: '🚨 긴급',
+    snoozed_until: '💤 {time}까지 리마인더를 보내지 않습니다',
+    action_claimed: '🙋 {reviewer}님을 GitHub 리뷰어로 요청했습니다',
+    action_claim_unknown_user: '⚠️ Slack 계정에 연결된 GitHub 사용자를 찾지 못했습니다. `user_mappings`에 GitHub 아이디를 추가해 주세요',
+    action_claim_own_pr: '⚠️ 본인이 작성한 PR은 리뷰할 수 없습니다',
+    action_snoozed: '💤 {time}까지 이 PR의 리마인더를 미뤘습니다',
+    action_marked_urgent: '🚨 `{label}` 라벨을 추가했습니다',
+    action_failed: '⚠️ 처리하지 못했습니다: {error}',
+    just_now: '방금 전',
+    comment_new: '새 코멘트',
+    comment_approved: '승인 (Approved)',
+    comment_changes_requested: '변경 요청 (Changes Requested)',
+    comment_review: '리뷰 코멘트',
+    comment_line: '코드 라인 코멘트',
+    comment_action: '{author}님이 코멘트를 남겼습니다',
+    comment_fallback: '{title}: {author}',
+    mentions_label: '멘션',
+    button_view_comment: '코멘트 보기',
+    state_comment_note: '_Slack 알림 상태 저장용 코멘트입니다. 삭제하지 마세요._',
+    sync_title: '새 커밋 {count}개가 푸시되었습니다',
+    sync_forced: '⚠️ 강제 푸시 (force-push)',
+    sync_more_commits: '…외 {count}개',
+    sync_fallback: '새 커밋 {count}개: {title}',
+    changes_delta: '{additions} / {deletions}, 파일 {files}',
+    sync_changes: '*{label}:* {changes} (이전 대비 {delta})',
+    re_review_request: '🔁 {reviewers} 변경사항이 반영되었습니다. 재리뷰 부탁드립니다',
+    review_request_title: '리뷰 요청',
+    review_request_action: '{requester}님이 {reviewers}에게 리뷰를 요청했습니다',
+    review_request_fallback: '리뷰 요청: {title}',
+    note_reopened: '🔓 {actor}님이 PR을 다시 열었습니다',
+    note_converted_to_draft: '📝 {actor}님이 PR을 초안으로 전환했습니다',
+    note_ready_for_review: '👀 {actor}님이 PR을 리뷰 가능 상태로 전환했습니다',
+    note_title_changed: '✏️ 제목 변경: ~{from}~ → {to}',
+    note_base_changed: '🔀 베이스 브랜치 변경: `{from}` → `{to}`',
+    note_fallback: 'PR 변경: {title}',
+    digest_header: '⏰ 오래 대기 중인 PR',
+    digest_summary: '*{count}개*의 PR이 기준 시간보다 오래 대기 중입니다',
+    digest_unassigned: '담당자 없음',
+    digest_more: '…외 {count}명',
+    digest_fallback: '오래 대기 중인 PR {count}개',
+    duration_hours: '{hours}시간',
+    duration_days: '{days}일 {hours}시간',
+    reminder_nudge: '⏰ *{status}* 상태로 {age}째 대기 중입니다 {mentions}',
+    ci_failed_nudge: '❌ 필수 체크가 실패했습니다: {checks} {mention}',
+    conflict_nudge: '⚠️ `{base}` 브랜치와 충돌이 생겼습니다. 충돌을 해결해 주세요 {mention}',
+    dm_digest_header: '📬 내 리뷰 대기 목록',
+    dm_digest_summary: '*{count}개*의 PR이 리뷰를 기다리고 있습니다',
+    dm_digest_size: '{lines}줄',
+    dm_digest_requested: '리뷰 요청',
+    dm_digest_codeowner: '코드 소유자',
+    dm_digest_thread: '스레드',
+    dm_digest_more: '…외 {count}개',
+    dm_digest_fallback: '리뷰 대기 중인 PR {count}개'
+  },
+  en: {
+    status_review_pending: 'Review pending',
+    status_in_review: 'In review',
+    status_approved: 'Approved',
+    status_changes_requested: 'Changes requested',
+    status_re_review_requested: 'Re-review requested',
+    status_merged: 'Merged',
+    status_closed: 'Closed',
+    status_draft: 'Draft',
+    status_reopened: 'Reopened',
+    no_description: 'No description',
+    none: 'None',
+    card_header: '👀 Review requested',
+    card_fallback: 'New PR: {title}',
+    field_author: 'Author',
+    field_reviewers: 'Reviewers',
+    field_changes: 'Changes',
+    field_status: 'Status',
+    field_ci: 'CI',
+    field_codeowners: 'Code owners',
+    reviewer_source_requested: 'requested',
+    reviewer_source_codeowner: 'code owner',
+    reviewer_source_default: 'default',
+    reviewer_source_auto: 'auto-assigned',
+    reviewer_source_backup: 'backup',
+    reviewer_source_claimed: 'claimed',
+    reviewer_away: '{name} _(away)_',
+    reviewer_deferred: '{name} _(will be notified {time})_',
+    reviewer_held: '{name} _(will be notified when CI passes)_',
+    review_state_pending: '⏳ pending',
+    review_state_commented: '💬 commented',
+    review_state_approved: '✅ approved',
+    review_state_changes_requested: '🔴 changes requested',
+    review_state_dismissed: '⚪ dismissed',
+    approvals_required: '{approved}/{required} approvals',
+    approvals_count: 'Approved by {approved}',
+    ci_pending: '⏳ Running ({finished}/{total})',
+    ci_success: '✅ Passing',
+    ci_failure: '❌ Failing: {checks}',
+    conflict_badge: '⚠️ Has conflicts',
+    assign_summary: '🎯 Auto-assigned ({strategy}): {reviewers}',
+    assign_load: '{reviewer} ({count} open reviews)',
+    assign_strategy_least_loaded: 'fewest open reviews',
+    assign_strategy_round_robin: 'round-robin',
+    assign_strategy_random: 'random',
+    owner_files: '{count} files',
+    owner_files_in_directory: '{count} files under `{directory}`',
+    owner_files_with_extension: '{count} `*{extension}` files',
+    owners_more: '…and {count} more',
+    warning_files_truncated: '⚠️ Only {shown} of {total} changed files were checked (GitHub API limit); code owners may be missing',
+    warning_codeowners_errors: '⚠️ {count} syntax error(s) in `{path}` (line {lines}); those lines were ignored',
+    changes_summary: '+{additions} / -{deletions} ({files} files)',
+    button_view_pr: 'View PR',
+    button_view_files: 'Files changed',
+    button_claim_review: "🙋 I'll review this",
+    button_snooze: '💤 Snooze 1 day',
+    button_mark_urgent: '🚨 Mark as urgent',
+    snoozed_until: '💤 Reminders snoozed until {time}',
+    action_claimed: '🙋 Requested {reviewer} as a reviewer on GitHub',
+    action_claim_unknown_user: '⚠️ No GitHub user is linked to your Slack account. Add your GitHub username to `user_mappings`',
+    action_claim_own_pr: "⚠️ You can't review your own PR",
+    action_snoozed: '💤 Reminders for this PR are snoozed until {time}',
+    action_marked_urgent: '🚨 Added the `{label}` label',
+    action_failed: "⚠️ Couldn't do that: {error}",
+    just_now: 'just now',
+    comment_new: 'New comment',
+    comment_approved: 'Approved',
+    comment_changes_requested: 'Changes requested',
+    comment_review: 'Review comment',
+    comment_line: 'Line comment',
+    comment_action: '{author} left a comment',
+    comment_fallback: '{title}: {author}',
+    mentions_label: 'Mentions',
+    button_view_comment: 'View comment',
+    state_comment_note: '_Stores Slack notification state. Please do not delete._',
+    sync_title: '{count} new commit(s) pushed',
+    sync_forced: '⚠️ Force-pushed',
+    sync_more_commits: '…and {count} more',
+    sync_fallback: '{count} new commit(s): {title}',
+    changes_delta: '{additions} / {deletions}, {files} files',
+    sync_changes: '*{label}:* {changes} ({delta} since last push)',
+    re_review_request: '🔁 {reviewers} changes have been addressed, please re-review',
+    review_request_title: 'Review requested',
+    review_request_action: '{requester} requested a review from {reviewers}',
+    review_request_fallback: 'Review requested: {title}',
+    note_reopened: '🔓 {actor} reopened the PR',
+    note_converted_to_draft: '📝 {actor} converted the PR to draft',
+    note_ready_for_review: '👀 {actor} marked the PR as ready for review',
+    note_title_changed: '✏️ Title changed: ~{from}~ → {to}',
+    note_base_changed: '🔀 Base branch changed: `{from}` → `{to}`',
+    note_fallback: 'PR updated: {title}',
+    digest_header: '⏰ Stale pull requests',
+    digest_summary: '*{count}* PR(s) have been waiting longer than expected',
+    digest_unassigned: 'Unassigned',
+    digest_more: '…and {count} more people',
+    digest_fallback: '{count} stale PR(s)',
+    duration_hours: '{hours}h',
+    duration_days: '{days}d {hours}h',
+    reminder_nudge: '⏰ Waiting in *{status}* for {age} {mentions}',
+    ci_failed_nudge: '❌ Required checks failed: {checks} {mention}',
+    conflict_nudge: '⚠️ This PR now conflicts with `{base}`. Please resolve the conflicts {mention}',
+    dm_digest_header: '📬 Your pending reviews',
+    dm_digest_summary: '*{count}* PR(s) are waiting for your review',
+    dm_digest_size: '{lines} lines',
+    dm_digest_requested: 'Requested',
+    dm_digest_codeowner: 'Code owner',
+    dm_digest_thread: 'Thread',
+    dm_digest_more: '…and {count} more',
+    dm_digest_fallback: '{count} PR(s) waiting for your review'
+  }
+};
+
+/**
+ * BCP 47 tags used for date formatting
+ */
+const LOCALE_TAGS = {
+  ko: 'ko-KR',
+  en: 'en-US'
+};
+
+const DEFAULT_LOCALE = 'ko';
+
+/**
+ * Get the message pack for the configured locale, with overrides applied
+ * @param {Object} config - Configuration object (optional)
+ * @returns {Object} Message pack
+ */
+function getMessages(config = {}) {
+  const locale = MESSAGES[config.locale] ? config.locale : DEFAULT_LOCALE;
+  return {
+    ...MESSAGES[locale],
+    ...(config.messages || {})
+  };
+}
+
+/**
+ * Fill `{name}` placeholders in a message
+ * @param {string} message - Message with placeholders
+ * @param {Object} params - Placeholder values
+ * @returns {string} Formatted message
+ */
+function formatMessage(message, params = {}) {
+  return message.replace(/\{(\w+)\}/g, (match, key) => (
+    params[key] === undefined ? match : String(params[key])
+  ));
+}
+
+/**
+ * Format a timestamp as a Slack date token, which Slack renders in each
+ * reader's own timezone, with a fallback formatted for the configured locale
+ * @param {string} isoDate - ISO 8601 timestamp
+ * @param {Object} config - Configuration object (optional)
+ * @returns {string} Slack mrkdwn date token
+ */
+function formatSlackDate(isoDate, config = {}) {
+  const date = new Date(isoDate);
+  if (!isoDate || isNaN(date.getTime())) {
+    return getMessages(config).just_now;
+  }
+
+  const locale = LOCALE_TAGS[config.locale] || LOCALE_TAGS[DEFAULT_LOCALE];
+  const fallback = new Intl.DateTimeFormat(locale, {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    timeZone: 'UTC'
+  }).format(date);
+
+  return `<!date^${Math.floor(date.getTime() / 1000)}^{date_short_pretty} {time}|${fallback} UTC>`;
+}
+
+module.exports = {
+  MESSAGES,
+  DEFAULT_LOCALE,
+  getMessages,
+  formatMessage,
+  formatSlackDate
+};
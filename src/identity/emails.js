@@ -0,0 +1,93 @@
+const core = require('@actions/core');
+const { emailToSlackId } = require('./slack-users');
+
+/**
+ * GitHub's noreply addresses never belong to a Slack user
+ */
+const NOREPLY_EMAIL_PATTERN = /(^|[@.])noreply\.github\.com$|^noreply@github\.com$/i;
+
+/**
+ * Get GitHub user's email from GitHub API
+ * @param {Object} octokit - GitHub API client
+ * @param {string} username - GitHub username
+ * @returns {Promise<string|null>} Email or null
+ */
+async function getGitHubUserEmail(octokit, username) {
+  try {
+    const { data: user } = await octokit.rest.users.getByUsername({ username });
+    return user.email;
+  } catch (error) {
+    core.debug(`Failed to get GitHub user email for ${username}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Collect the emails of the PR's commit authors and committers by GitHub username
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} pullRequest - {owner, repo, number}
+ * @returns {Promise<Map<string, Set<string>>>} Lowercased GitHub username -> emails
+ */
+async function getCommitEmails(octokit, { owner, repo, number }) {
+  const emails = new Map();
+
+  try {
+    const commits = await octokit.paginate(octokit.rest.pulls.listCommits, {
+      owner,
+      repo,
+      pull_number: number,
+      per_page: 100
+    });
+
+    for (const commit of commits) {
+      for (const role of ['author', 'committer']) {
+        const login = commit[role] && commit[role].login;
+        const email = commit.commit[role] && commit.commit[role].email;
+        if (!login || !email || NOREPLY_EMAIL_PATTERN.test(email)) continue;
+
+        const key = login.toLowerCase();
+        if (!emails.has(key)) {
+          emails.set(key, new Set());
+        }
+        emails.get(key).add(email);
+      }
+    }
+  } catch (error) {
+    core.debug(`Failed to list commits of PR #${number}: ${error.message}`);
+  }
+
+  return emails;
+}
+
+const githubEmailResolver = {
+  name: 'github_email',
+
+  async resolve(username, session) {
+    const email = await getGitHubUserEmail(session.octokit, username);
+    return email ? emailToSlackId(session.slackClient, email) : null;
+  }
+};
+
+const commitEmailResolver = {
+  name: 'commit_email',
+
+  async resolve(username, session) {
+    if (!session.pullRequest) {
+      return null;
+    }
+
+    const commitEmails = await session.memo('commit_emails', () => getCommitEmails(session.octokit, session.pullRequest));
+    for (const email of commitEmails.get(username.toLowerCase()) || []) {
+      const slackId = await emailToSlackId(session.slackClient, email);
+      if (slackId) {
+        return slackId;
+      }
+    }
+    return null;
+  }
+};
+
+module.exports = {
+  githubEmailResolver,
+  commitEmailResolver
+};
@@ -0,0 +1,77 @@
+const core = require('@actions/core');
+const { loadMappingFile, getConfiguredMapping, findGitHubUser, userMappingsResolver, mappingFileResolver } = require('./mappings');
+const { githubEmailResolver, commitEmailResolver } = require('./emails');
+const { slackProfileResolver, displayNameResolver } = require('./profiles');
+const { isSlackUserId, emailToSlackId } = require('./slack-users');
+
+/**
+ * Sources a GitHub user can be resolved to a Slack user from, by config name
+ */
+const IDENTITY_RESOLVERS = Object.fromEntries([
+  userMappingsResolver,
+  mappingFileResolver,
+  githubEmailResolver,
+  commitEmailResolver,
+  slackProfileResolver,
+  displayNameResolver
+].map(resolver => [resolver.name, resolver]));
+
+/**
+ * Resolver chain used when `identity.resolvers` is not configured
+ */
+const DEFAULT_IDENTITY_RESOLVERS = ['user_mappings', 'mapping_file', 'github_email'];
+
+/**
+ * Create the state shared by resolvers during a run
+ * `memo` runs an expensive lookup (e.g. listing Slack users) at most once per run
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} config - Configuration object
+ * @param {Object|null} pullRequest - {owner, repo, number} of the PR being handled, if any
+ * @param {Map} memos - Per-run memo storage
+ * @returns {Object} Resolver session
+ */
+function createIdentitySession(slackClient, octokit, config, pullRequest, memos) {
+  return {
+    slackClient,
+    octokit,
+    config,
+    pullRequest,
+    memo(key, fn) {
+      if (!memos.has(key)) {
+        memos.set(key, fn());
+      }
+      return memos.get(key);
+    }
+  };
+}
+
+/**
+ * Resolve a GitHub user to a Slack user by trying each configured source in order
+ * @param {string} username - GitHub username
+ * @param {Object} session - Resolver session
+ * @returns {Promise<Object|null>} {slackId, source} or null when no source knows the user
+ */
+async function resolveIdentity(username, session) {
+  for (const name of session.config.identity.resolvers) {
+    const slackId = await IDENTITY_RESOLVERS[name].resolve(username, session);
+    if (slackId) {
+      core.info(`Resolved ${username} to Slack user ${slackId} via ${name}`);
+      return { slackId, source: name };
+    }
+    core.debug(`No Slack user for ${username} via ${name}`);
+  }
+  return null;
+}
+
+module.exports = {
+  IDENTITY_RESOLVERS,
+  DEFAULT_IDENTITY_RESOLVERS,
+  createIdentitySession,
+  resolveIdentity,
+  loadMappingFile,
+  getConfiguredMapping,
+  findGitHubUser,
+  isSlackUserId,
+  emailToSlackId
+};
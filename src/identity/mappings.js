@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const core = require('@actions/core');
+const { mappingToSlackId } = require('./slack-users');
+
+/**
+ * Parse a CSV mapping file: one `github_username,email_or_slack_id` pair per line
+ * A header row and `#` comment lines are skipped
+ * @param {string} content - CSV file content
+ * @returns {Object} GitHub username -> email or Slack User ID
+ */
+function parseMappingCsv(content) {
+  const mappings = {};
+
+  content.split('\n').forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const [username, value] = line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+    if (index === 0 && /^github/i.test(username)) return;
+
+    if (!username || !value) {
+      core.warning(`Ignoring mapping file line ${index + 1}: expected "github_username,email"`);
+      return;
+    }
+    mappings[username] = value;
+  });
+
+  return mappings;
+}
+
+/**
+ * Load a GitHub username -> email or Slack User ID mapping file from the repository
+ * `.csv` files are read as CSV, everything else as a YAML map
+ * @param {string} filePath - Path to the mapping file
+ * @returns {Object} GitHub username -> email or Slack User ID
+ */
+function loadMappingFile(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) {
+      core.warning(`Mapping file not found at ${filePath}`);
+      return {};
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    const mappings = path.extname(filePath).toLowerCase() === '.csv'
+      ? parseMappingCsv(content)
+      : yaml.load(content) || {};
+
+    if (typeof mappings !== 'object' || Array.isArray(mappings)) {
+      core.warning(`Ignoring mapping file ${filePath}: expected a map of GitHub username to email`);
+      return {};
+    }
+
+    core.info(`Loaded ${Object.keys(mappings).length} user mappings from ${filePath}`);
+    return Object.fromEntries(Object.entries(mappings).map(([username, value]) => [username, String(value)]));
+  } catch (error) {
+    core.warning(`Failed to load mapping file ${filePath}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Find the mapping of a GitHub user; GitHub usernames are case-insensitive
+ * @param {Object} mappings - GitHub username -> email or Slack User ID
+ * @param {string} username - GitHub username
+ * @returns {string|null} Mapping value or null
+ */
+function findMapping(mappings, username) {
+  if (mappings[username]) {
+    return mappings[username];
+  }
+
+  const lower = username.toLowerCase();
+  const key = Object.keys(mappings).find(candidate => candidate.toLowerCase() === lower);
+  return key ? mappings[key] : null;
+}
+
+/**
+ * Get the explicit mapping of a GitHub user from USER_MAPPINGS or the mapping file
+ * @param {Object} config - Configuration object
+ * @param {string} username - GitHub username
+ * @returns {string|null} Email or Slack User ID, null when the user is not mapped
+ */
+function getConfiguredMapping(config, username) {
+  return findMapping(config.email_mappings, username) || findMapping(config.identity.file_mappings, username);
+}
+
+/**
+ * Find the GitHub user behind a Slack user by reading the configured mappings in reverse
+ * A mapping matches when it is the Slack User ID itself or the Slack user's email
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {Object} config - Configuration object
+ * @param {string} slackId - Slack User ID
+ * @returns {Promise<string|null>} GitHub username or null when nobody is mapped to the user
+ */
+async function findGitHubUser(slackClient, config, slackId) {
+  // USER_MAPPINGS wins over the mapping file, like in the resolver chain
+  const entries = [...Object.entries(config.email_mappings), ...Object.entries(config.identity.file_mappings)];
+
+  const direct = entries.find(([, value]) => value === slackId);
+  if (direct) {
+    return direct[0];
+  }
+
+  let email;
+  try {
+    const { user } = await slackClient.users.info({ user: slackId });
+    email = user && user.profile && user.profile.email;
+  } catch (error) {
+    core.warning(`Failed to read Slack user ${slackId}: ${error.message}`);
+    return null;
+  }
+  if (!email) {
+    return null;
+  }
+
+  const byEmail = entries.find(([, value]) => String(value).toLowerCase() === email.toLowerCase());
+  return byEmail ? byEmail[0] : null;
+}
+
+const userMappingsResolver = {
+  name: 'user_mappings',
+
+  async resolve(username, session) {
+    const mapped = findMapping(session.config.email_mappings, username);
+    return mapped ? mappingToSlackId(session.slackClient, mapped) : null;
+  }
+};
+
+const mappingFileResolver = {
+  name: 'mapping_file',
+
+  async resolve(username, session) {
+    const mapped = findMapping(session.config.identity.file_mappings, username);
+    return mapped ? mappingToSlackId(session.slackClient, mapped) : null;
+  }
+};
+
+module.exports = {
+  loadMappingFile,
+  getConfiguredMapping,
+  findGitHubUser,
+  userMappingsResolver,
+  mappingFileResolver
+};
@@ -0,0 +1,158 @@
+const core = require('@actions/core');
+const { listSlackUsers } = require('./slack-users');
+const { mapWithConcurrency } = require('../rate-limit');
+
+/**
+ * Profiles read in parallel; users.profile.get is a tier 4 method
+ */
+const PROFILE_CONCURRENCY = 4;
+
+/**
+ * Normalize a GitHub username written by hand in a Slack profile
+ * Accepts `octocat`, `@octocat` and `https://github.com/octocat`
+ * @param {string} value - Profile value
+ * @returns {string} Lowercased GitHub username
+ */
+function normalizeGitHubUsername(value) {
+  return String(value)
+    .trim()
+    .replace(/^(https?:\/\/)?(www\.)?github\.com\//i, '')
+    .replace(/^@/, '')
+    .replace(/\/+$/, '')
+    .toLowerCase();
+}
+
+/**
+ * Find the single Slack user matching a predicate
+ * Ambiguous matches resolve to nobody rather than to the wrong person
+ * @param {Array<Object>} users - Slack users
+ * @param {Function} predicate - Match function
+ * @param {string} username - GitHub username, for logging
+ * @returns {string|null} Slack User ID or null
+ */
+function findUniqueUser(users, predicate, username) {
+  const matches = users.filter(predicate);
+  if (matches.length > 1) {
+    core.warning(`Skipping ${matches.length} Slack users matching ${username}: ${matches.map(user => user.id).join(', ')}`);
+    return null;
+  }
+  return matches.length === 1 ? matches[0].id : null;
+}
+
+/**
+ * Get the workspace's Slack users once per run
+ * @param {Object} session - Resolver session
+ * @returns {Promise<Array<Object>>} Slack users
+ */
+function getSlackUsers(session) {
+  return session.memo('slack_users', () => listSlackUsers(session.slackClient));
+}
+
+/**
+ * How long a scan of every Slack profile is reused by later runs in the same
+ * process, such as the events a webhook server handles
+ */
+const PROFILE_SCAN_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Profile scans kept for the process, keyed by Slack client
+ */
+const profileScans = new WeakMap();
+
+/**
+ * Get the custom profile fields of a Slack user
+ * users.list leaves custom fields out, so each profile is read on its own
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {Object} user - Slack user from users.list
+ * @returns {Promise<Object>} Custom fields keyed by field ID
+ */
+async function getProfileFields(slackClient, user) {
+  try {
+    const result = await slackClient.users.profile.get({ user: user.id });
+    return (result.profile && result.profile.fields) || {};
+  } catch (error) {
+    core.debug(`Failed to read Slack profile of ${user.id}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Read the GitHub username field of every Slack profile
+ * @param {Object} session - Resolver session
+ * @param {string} fieldId - Profile field ID
+ * @returns {Promise<Map>} Lowercased GitHub username → Slack User IDs
+ */
+async function scanSlackProfiles(session, fieldId) {
+  const users = await getSlackUsers(session);
+  core.info(`Reading ${users.length} Slack profiles for the slack_profile resolver`);
+
+  const fields = await mapWithConcurrency(users, PROFILE_CONCURRENCY, user => getProfileFields(session.slackClient, user));
+  const index = new Map();
+  users.forEach((user, i) => {
+    const field = fields[i][fieldId];
+    if (field && field.value) {
+      const login = normalizeGitHubUsername(field.value);
+      index.set(login, [...(index.get(login) || []), user.id]);
+    }
+  });
+  return index;
+}
+
+/**
+ * Get the GitHub usernames written in Slack profiles
+ * The workspace is scanned once per run, and a recent scan from an earlier run
+ * in the same process is reused, since every profile costs one API call
+ * @param {Object} session - Resolver session
+ * @returns {Promise<Map>} Lowercased GitHub username → Slack User IDs
+ */
+function getSlackProfileIndex(session) {
+  return session.memo('slack_profiles', async () => {
+    const fieldId = session.config.identity.slack_profile_field;
+    const scan = profileScans.get(session.slackClient);
+    if (scan && scan.fieldId === fieldId && Date.now() - scan.scannedAt < PROFILE_SCAN_TTL_MS) {
+      core.debug(`Reusing the Slack profile scan from ${new Date(scan.scannedAt).toISOString()}`);
+      return scan.index;
+    }
+
+    const index = await scanSlackProfiles(session, fieldId);
+    // An empty scan usually means users.list failed, so the next run tries again
+    if (index.size > 0) {
+      profileScans.set(session.slackClient, { fieldId, scannedAt: Date.now(), index });
+    }
+    return index;
+  });
+}
+
+const slackProfileResolver = {
+  name: 'slack_profile',
+
+  async resolve(username, session) {
+    const index = await getSlackProfileIndex(session);
+    const matches = index.get(username.toLowerCase()) || [];
+
+    if (matches.length > 1) {
+      core.warning(`Skipping ${matches.length} Slack users matching ${username}: ${matches.join(', ')}`);
+      return null;
+    }
+    return matches[0] || null;
+  }
+};
+
+const displayNameResolver = {
+  name: 'display_name',
+
+  async resolve(username, session) {
+    const users = await getSlackUsers(session);
+    const login = username.toLowerCase();
+
+    return findUniqueUser(users, user => {
+      const displayName = (user.profile && user.profile.display_name) || '';
+      return displayName.toLowerCase() === login || (user.name || '').toLowerCase() === login;
+    }, username);
+  }
+};
+
+module.exports = {
+  slackProfileResolver,
+  displayNameResolver
+};
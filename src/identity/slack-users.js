@@ -0,0 +1,73 @@
+const core = require('@actions/core');
+
+/**
+ * Slack user IDs start with U (or W on Enterprise Grid)
+ */
+const SLACK_USER_ID_PATTERN = /^[UW][A-Z0-9]{6,}$/;
+
+/**
+ * Check whether a mapping value is a Slack User ID rather than an email
+ * @param {string} value - Mapping value
+ * @returns {boolean} Whether the value is a Slack User ID
+ */
+function isSlackUserId(value) {
+  return SLACK_USER_ID_PATTERN.test(value);
+}
+
+/**
+ * Convert email to Slack User ID using Slack API
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {string} email - Email address
+ * @returns {Promise<string|null>} Slack User ID or null
+ */
+async function emailToSlackId(slackClient, email) {
+  try {
+    const result = await slackClient.users.lookupByEmail({ email });
+    if (result.ok && result.user) {
+      return result.user.id;
+    }
+  } catch (error) {
+    core.debug(`Failed to find Slack user by email ${email}: ${error.message}`);
+  }
+  return null;
+}
+
+/**
+ * Resolve a mapping value, either a Slack User ID or an email, to a Slack User ID
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {string} value - Slack User ID or email
+ * @returns {Promise<string|null>} Slack User ID or null
+ */
+async function mappingToSlackId(slackClient, value) {
+  return isSlackUserId(value) ? value : emailToSlackId(slackClient, value);
+}
+
+/**
+ * List every active human member of the Slack workspace
+ * @param {Object} slackClient - Slack WebClient instance
+ * @returns {Promise<Array<Object>>} Slack users
+ */
+async function listSlackUsers(slackClient) {
+  const users = [];
+  let cursor;
+
+  try {
+    do {
+      const result = await slackClient.users.list({ limit: 200, cursor });
+      users.push(...(result.members || []));
+      cursor = result.response_metadata && result.response_metadata.next_cursor;
+    } while (cursor);
+  } catch (error) {
+    core.warning(`Failed to list Slack users: ${error.message}`);
+  }
+
+  core.debug(`Listed ${users.length} Slack users`);
+  return users.filter(user => !user.deleted && !user.is_bot && user.id !== 'USLACKBOT');
+}
+
+module.exports = {
+  isSlackUserId,
+  emailToSlackId,
+  mappingToSlackId,
+  listSlackUsers
+};
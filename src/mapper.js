@@ -1,73 +1,96 @@
 const core = require('@actions/core');
+const { createUserCache } = require('./user-cache');
+const { mapWithConcurrency } = require('./rate-limit');
+const { createIdentitySession, resolveIdentity, getConfiguredMapping, findGitHubUser, emailToSlackId } = require('./identity');
 
 /**
- * Convert email to Slack User ID using Slack API
- * @param {Object} slackClient - Slack WebClient instance
- * @param {string} email - Email address
- * @returns {Promise<string|null>} Slack User ID or null
+ * Users resolved in parallel; Slack's lookupByEmail is a tier 3 method
  */
-async function emailToSlackId(slackClient, email) {
-  try {
-    const result = await slackClient.users.lookupByEmail({ email });
-    if (result.ok && result.user) {
-      return result.user.id;
-    }
-  } catch (error) {
-    core.debug(`Failed to find Slack user by email ${email}: ${error.message}`);
+const RESOLVE_CONCURRENCY = 4;
+
+/**
+ * Per-run resolver caches, keyed by the run's config object
+ */
+const resolverCaches = new WeakMap();
+
+/**
+ * Get the resolver cache of a run
+ * `pending` memoizes lookups in this run (including ones still in flight),
+ * `persistent` is the cross-run cache from config, `memos` holds lookups
+ * shared by identity resolvers and `pullRequest` the PR being handled
+ * @param {Object} config - Configuration object
+ * @returns {Object} {pending, persistent, memos, pullRequest}
+ */
+function getResolverCache(config) {
+  if (!resolverCaches.has(config)) {
+    resolverCaches.set(config, {
+      pending: new Map(),
+      persistent: createUserCache(config.user_cache),
+      memos: new Map(),
+      pullRequest: null
+    });
   }
-  return null;
+  return resolverCaches.get(config);
 }
 
 /**
- * Get GitHub user's email from GitHub API
+ * Set the PR this run handles, so its commit emails can identify users
+ * @param {Object} config - Configuration object
+ * @param {Object} pullRequest - {owner, repo, number}
+ */
+function setPullRequestContext(config, pullRequest) {
+  getResolverCache(config).pullRequest = pullRequest;
+}
+
+/**
+ * Resolve a GitHub username to a Slack User ID without the in-run memo
+ * @param {Object} slackClient - Slack WebClient instance
  * @param {Object} octokit - GitHub API client
- * @param {string} username - GitHub username
- * @returns {Promise<string|null>} Email or null
+ * @param {string} githubUsername - GitHub username
+ * @param {Object} config - Configuration object
+ * @param {Object} cache - Resolver cache of the run
+ * @returns {Promise<string|null>} Slack User ID or null
  */
-async function getGitHubUserEmail(octokit, username) {
-  try {
-    const { data: user } = await octokit.rest.users.getByUsername({ username });
-    return user.email;
-  } catch (error) {
-    core.debug(`Failed to get GitHub user email for ${username}: ${error.message}`);
-    return null;
+async function resolveGitHubUser(slackClient, octokit, githubUsername, config, cache) {
+  const mapping = getConfiguredMapping(config, githubUsername);
+
+  const cached = cache.persistent.get(githubUsername, mapping);
+  if (cached !== undefined) {
+    core.debug(`Using cached Slack user for ${githubUsername}: ${cached.slack_id} (${cached.source || 'not found'})`);
+    return cached.slack_id;
+  }
+
+  const session = createIdentitySession(slackClient, octokit, config, cache.pullRequest, cache.memos);
+  const resolved = await resolveIdentity(githubUsername, session);
+
+  if (!resolved) {
+    core.warning(`Could not find Slack user for GitHub user: ${githubUsername} (tried ${config.identity.resolvers.join(', ')})`);
   }
+
+  cache.persistent.set(githubUsername, mapping, resolved && resolved.slackId, resolved && resolved.source);
+  return resolved && resolved.slackId;
 }
 
 /**
  * Map GitHub username to Slack User ID
+ * Each user is resolved at most once per run, and across runs when the user cache is enabled
  * @param {Object} slackClient - Slack WebClient instance
  * @param {Object} octokit - GitHub API client
  * @param {string} githubUsername - GitHub username
  * @param {Object} config - Configuration object
  * @returns {Promise<string|null>} Slack User ID or null
  */
-async function mapGitHubUserToSlack(slackClient, octokit, githubUsername, config) {
-  // 1. Check if there's a mapping in config file
-  const mappedEmail = config.email_mappings[githubUsername];
-  if (mappedEmail) {
-    core.debug(`Found mapping for ${githubUsername} -> ${mappedEmail}`);
-    const slackId = await emailToSlackId(slackClient, mappedEmail);
-    if (slackId) {
-      return slackId;
-    }
-  }
+function mapGitHubUserToSlack(slackClient, octokit, githubUsername, config) {
+  const cache = getResolverCache(config);
 
-  // 2. Try auto-matching by GitHub email if enabled
-  if (config.auto_match_by_email) {
-    core.debug(`Attempting auto-match for ${githubUsername}`);
-    const githubEmail = await getGitHubUserEmail(octokit, githubUsername);
-    if (githubEmail) {
-      const slackId = await emailToSlackId(slackClient, githubEmail);
-      if (slackId) {
-        core.info(`Auto-matched ${githubUsername} via email ${githubEmail}`);
-        return slackId;
-      }
-    }
+  if (!cache.pending.has(githubUsername)) {
+    cache.pending.set(
+      githubUsername,
+      resolveGitHubUser(slackClient, octokit, githubUsername, config, cache)
+    );
   }
 
-  core.warning(`Could not find Slack user for GitHub user: ${githubUsername}`);
-  return null;
+  return cache.pending.get(githubUsername);
 }
 
 /**
@@ -79,42 +102,77 @@ async function mapGitHubUserToSlack(slackClient, octokit, githubUsername, config
  * @returns {Promise<Array<string>>} Array of Slack User IDs
  */
 async function mapGitHubUsersToSlack(slackClient, octokit, githubUsernames, config) {
-  const slackIds = [];
+  const slackIds = await mapWithConcurrency(
+    githubUsernames,
+    RESOLVE_CONCURRENCY,
+    username => mapGitHubUserToSlack(slackClient, octokit, username, config)
+  );
 
-  for (const username of githubUsernames) {
-    const slackId = await mapGitHubUserToSlack(slackClient, octokit, username, config);
-    if (slackId) {
-      slackIds.push(slackId);
-    }
+  return slackIds.filter(Boolean);
+}
+
+/**
+ * Find the GitHub user behind a Slack user
+ * Configured mappings are read in reverse first. Users found by other identity
+ * resolvers have no mapping to reverse, so the given candidates are resolved
+ * forward and compared, and finally the user cache is searched
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {Object} octokit - GitHub API client
+ * @param {string} slackId - Slack User ID
+ * @param {Array<string>} candidates - GitHub usernames likely to be the user, such as a PR's roster
+ * @param {Object} config - Configuration object
+ * @returns {Promise<string|null>} GitHub username or null when the user can't be identified
+ */
+async function mapSlackUserToGitHub(slackClient, octokit, slackId, candidates, config) {
+  const mapped = await findGitHubUser(slackClient, config, slackId);
+  if (mapped) {
+    return mapped;
+  }
+
+  const logins = [...new Set(candidates)];
+  const slackIds = await mapWithConcurrency(logins, RESOLVE_CONCURRENCY, login => (
+    mapGitHubUserToSlack(slackClient, octokit, login, config)
+  ));
+  const index = slackIds.indexOf(slackId);
+  if (index !== -1) {
+    return logins[index];
   }
 
-  return slackIds;
+  return getResolverCache(config).persistent.findUsername(slackId);
 }
 
 /**
  * Get default reviewers as Slack User IDs
+ * Entries with an `@` inside are emails, anything else is a GitHub username
+ * resolved through the identity resolver chain
  * @param {Object} slackClient - Slack WebClient instance
- * @param {Array<string>} defaultReviewers - Array of emails
+ * @param {Object} octokit - GitHub API client
+ * @param {Array<string>} defaultReviewers - Array of emails or GitHub usernames
+ * @param {Object} config - Configuration object
  * @returns {Promise<Array<string>>} Array of Slack User IDs
  */
-async function getDefaultReviewersSlackIds(slackClient, defaultReviewers) {
-  const slackIds = [];
-
-  for (const email of defaultReviewers) {
-    const slackId = await emailToSlackId(slackClient, email);
-    if (slackId) {
-      slackIds.push(slackId);
-    } else {
-      core.warning(`Could not find Slack user for default reviewer email: ${email}`);
+async function getDefaultReviewersSlackIds(slackClient, octokit, defaultReviewers, config) {
+  const slackIds = await mapWithConcurrency(defaultReviewers, RESOLVE_CONCURRENCY, async reviewer => {
+    if (reviewer.indexOf('@') <= 0) {
+      return mapGitHubUserToSlack(slackClient, octokit, reviewer.replace(/^@/, ''), config);
     }
-  }
 
-  return slackIds;
+    const slackId = await emailToSlackId(slackClient, reviewer);
+    if (!slackId) {
+      core.warning(`Could not find Slack user for default reviewer email: ${reviewer}`);
+    }
+    return slackId;
+  });
+
+  return slackIds.filter(Boolean);
 }
 
 module.exports = {
+  RESOLVE_CONCURRENCY,
   emailToSlackId,
+  setPullRequestContext,
   mapGitHubUserToSlack,
   mapGitHubUsersToSlack,
+  mapSlackUserToGitHub,
   getDefaultReviewersSlackIds
 };
@@ -0,0 +1,173 @@
+const core = require('@actions/core');
+
+/**
+ * Weekday names accepted in `quiet_hours.days`, indexed like Date#getDay
+ */
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Get the weekday, minute of the day and wall clock time of an instant in a timezone
+ * @param {string} timeZone - IANA timezone name
+ * @param {number} now - Timestamp in milliseconds
+ * @returns {Object} {day, minutes, wall}, day indexed like Date#getDay; wall is the local date and time read as UTC, in milliseconds
+ */
+function getLocalTime(timeZone, now) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    })
+      .formatToParts(new Date(now))
+      .map(part => [part.type, part.value])
+  );
+  const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+
+  return {
+    day: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+    minutes,
+    wall: Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day)) + minutes * MINUTE_MS
+  };
+}
+
+/**
+ * Convert a local date and time in a timezone to an instant
+ * The zone's UTC offset is taken on that date rather than today, so a window
+ * after a DST change still starts at the configured local time
+ * @param {string} timeZone - IANA timezone name
+ * @param {number} wall - Local date and time read as UTC, in milliseconds
+ * @returns {number} Timestamp in milliseconds
+ */
+function fromLocalTime(timeZone, wall) {
+  let instant = wall;
+  // The second pass corrects for an offset read on the wrong side of a DST change
+  for (let pass = 0; pass < 2; pass++) {
+    instant = wall - (getLocalTime(timeZone, instant).wall - instant);
+  }
+  return instant;
+}
+
+/**
+ * Find when the next working window starts in a timezone
+ * @param {string} timeZone - IANA timezone name
+ * @param {Object} settings - Normalized `quiet_hours`: {start, end, days}
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {number|null} Start of the next window in milliseconds, null while inside working hours
+ */
+function getNextWorkingTime(timeZone, settings, now) {
+  const { day, minutes, wall } = getLocalTime(timeZone, now);
+
+  if (settings.days.includes(day) && minutes >= settings.start && minutes < settings.end) {
+    return null;
+  }
+
+  const midnight = wall - minutes * MINUTE_MS;
+  for (let offset = 0; offset <= 7; offset++) {
+    if (settings.days.includes((day + offset) % 7) && (offset > 0 || minutes < settings.start)) {
+      return fromLocalTime(timeZone, midnight + offset * DAY_MS + settings.start * MINUTE_MS);
+    }
+  }
+  return null;
+}
+
+/**
+ * Create a per-run planner that decides when mentions reach their recipients
+ * Each recipient's timezone is read from `users.info` once; user groups and
+ * users whose timezone can't be read use the configured fallback timezone
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {Object} settings - Normalized `quiet_hours` config
+ * @param {number} now - Current timestamp in milliseconds (optional)
+ * @returns {Object} {plan(slackIds): Promise<Object>, describe(slackIds): Promise<Array<Object>>}
+ */
+function createDeliveryPlanner(slackClient, settings, now = Date.now()) {
+  const users = new Map();
+
+  async function lookupUser(slackId) {
+    if (slackId.startsWith('S')) {
+      return { tz: settings.timezone, name: slackId };
+    }
+
+    try {
+      const { user } = await slackClient.users.info({ user: slackId });
+      const profile = user.profile || {};
+      return {
+        tz: user.tz || settings.timezone,
+        name: profile.display_name || profile.real_name || user.real_name || user.name || slackId
+      };
+    } catch (error) {
+      core.debug(`Failed to read Slack timezone of ${slackId}: ${error.message}`);
+      return { tz: settings.timezone, name: slackId };
+    }
+  }
+
+  function getUser(slackId) {
+    if (!users.has(slackId)) {
+      users.set(slackId, lookupUser(slackId));
+    }
+    return users.get(slackId);
+  }
+
+  return {
+    /**
+     * Split recipients into those to mention now and those to mention at the
+     * start of their next working window
+     * @param {Array<string>} slackIds - Slack user or user group IDs
+     * @returns {Promise<Object>} {now: Array<string>, later: Array<{post_at, recipients: Array<{slack_id, name}>}>}, post_at in Unix seconds
+     */
+    async plan(slackIds) {
+      const result = { now: [], later: [] };
+      if (!settings.enabled) {
+        result.now = [...slackIds];
+        return result;
+      }
+
+      const groups = new Map();
+      for (const slackId of slackIds) {
+        const user = await getUser(slackId);
+        const next = getNextWorkingTime(user.tz, settings, now);
+        if (next === null) {
+          result.now.push(slackId);
+          continue;
+        }
+
+        const postAt = Math.floor(next / 1000);
+        if (!groups.has(postAt)) {
+          groups.set(postAt, []);
+        }
+        groups.get(postAt).push({ slack_id: slackId, name: user.name });
+      }
+
+      result.later = Array.from(groups, ([postAt, recipients]) => ({ post_at: postAt, recipients }))
+        .sort((a, b) => a.post_at - b.post_at);
+      return result;
+    },
+
+    /**
+     * Name recipients so they can be listed without mentioning them
+     * @param {Array<string>} slackIds - Slack user or user group IDs
+     * @returns {Promise<Array<Object>>} Array of {slack_id, name}; user groups are named by their ID
+     */
+    async describe(slackIds) {
+      const recipients = [];
+      for (const slackId of slackIds) {
+        const user = await getUser(slackId);
+        recipients.push({ slack_id: slackId, name: user.name });
+      }
+      return recipients;
+    }
+  };
+}
+
+module.exports = {
+  WEEKDAYS,
+  getNextWorkingTime,
+  createDeliveryPlanner
+};
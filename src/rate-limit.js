@@ -0,0 +1,116 @@
+const core = require('@actions/core');
+const { WebClientEvent, retryPolicies } = require('@slack/web-api');
+
+/**
+ * Slack WebClient options for Actions runs
+ * The client already waits for Slack's retry-after on 429s; the default policy
+ * keeps retrying for half an hour, which is far longer than a job should hang.
+ */
+const SLACK_CLIENT_OPTIONS = {
+  retryConfig: retryPolicies.fiveRetriesInFiveMinutes
+};
+
+/**
+ * Longest GitHub rate limit wait worth sleeping through, in seconds
+ */
+const MAX_GITHUB_WAIT_SECONDS = 120;
+
+/**
+ * Wait used when GitHub reports a secondary rate limit without a retry-after header
+ */
+const SECONDARY_RATE_LIMIT_WAIT_SECONDS = 60;
+
+const MAX_GITHUB_RETRIES = 3;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Log Slack rate limiting, which the WebClient retries on its own
+ * @param {Object} slackClient - Slack WebClient instance
+ */
+function watchSlackRateLimits(slackClient) {
+  slackClient.on(WebClientEvent.RATE_LIMITED, (retrySeconds, { url }) => {
+    core.warning(`Slack rate limited ${url}, retrying in ${retrySeconds}s`);
+  });
+}
+
+/**
+ * Get how long to wait before retrying a rate limited GitHub request
+ * @param {Error} error - Request error from Octokit
+ * @returns {number|null} Seconds to wait, or null when the error is not a rate limit
+ */
+function getGitHubRetryAfter(error) {
+  if (error.status !== 403 && error.status !== 429) {
+    return null;
+  }
+
+  const headers = (error.response && error.response.headers) || {};
+
+  if (headers['retry-after']) {
+    return Number(headers['retry-after']);
+  }
+
+  if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+    return Math.max(0, Number(headers['x-ratelimit-reset']) - Math.floor(Date.now() / 1000)) + 1;
+  }
+
+  if (/secondary rate limit/i.test(error.message)) {
+    return SECONDARY_RATE_LIMIT_WAIT_SECONDS;
+  }
+
+  return null;
+}
+
+/**
+ * Retry GitHub requests that hit the primary or secondary rate limit
+ * Waits longer than MAX_GITHUB_WAIT_SECONDS fail right away instead of stalling the job
+ * @param {Object} octokit - GitHub API client
+ */
+function retryGitHubRateLimits(octokit) {
+  octokit.hook.wrap('request', async (request, options) => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await request(options);
+      } catch (error) {
+        const retryAfter = getGitHubRetryAfter(error);
+        if (retryAfter === null || attempt > MAX_GITHUB_RETRIES || retryAfter > MAX_GITHUB_WAIT_SECONDS) {
+          throw error;
+        }
+
+        core.warning(`GitHub rate limited ${options.method} ${options.url}, retrying in ${retryAfter}s (attempt ${attempt}/${MAX_GITHUB_RETRIES})`);
+        await sleep(retryAfter * 1000);
+      }
+    }
+  });
+}
+
+/**
+ * Map items through an async function with at most `limit` calls in flight
+ * @param {Array} items - Items to map
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async mapper (item, index)
+ * @returns {Promise<Array>} Results in the order of items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+module.exports = {
+  SLACK_CLIENT_OPTIONS,
+  watchSlackRateLimits,
+  retryGitHubRateLimits,
+  mapWithConcurrency
+};
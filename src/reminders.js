@@ -0,0 +1,249 @@
+const core = require('@actions/core');
+const { parsePRData, getCodeOwners, expandOwners, getReviewedUsers, PR_STATUS } = require('./github');
+const { evaluateFilters } = require('./filters');
+const { getTeamOptions } = require('./teams');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Get the status a PR is currently waiting in
+ * PRs that were never notified have no state and count as waiting for review
+ * @param {Object} prData - Parsed PR data
+ * @param {Object|null} state - PR state
+ * @returns {string} PR status
+ */
+function getCurrentStatus(prData, state) {
+  if (prData.isDraft) {
+    return PR_STATUS.DRAFT;
+  }
+  return (state && state.status) || PR_STATUS.REVIEW_PENDING;
+}
+
+/**
+ * Get when a PR entered its current status
+ * State saved before status changes were timestamped falls back to the last save
+ * @param {Object} prData - Parsed PR data
+ * @param {Object|null} state - PR state
+ * @returns {number} Timestamp in milliseconds
+ */
+function getStatusSince(prData, state) {
+  const since = (state && (state.status_changed_at || state.updated_at)) || prData.createdAt;
+  return new Date(since).getTime();
+}
+
+/**
+ * Get the GitHub users a PR is waiting on
+ * Approved PRs and requested changes wait on the author, everything else on the reviewers
+ * @param {Object} prData - Parsed PR data
+ * @param {Object|null} state - PR state
+ * @param {string} status - PR status
+ * @returns {Array<string>} GitHub usernames
+ */
+function getWaitingOn(prData, state, status) {
+  if (status === PR_STATUS.APPROVED || status === PR_STATUS.CHANGES_REQUESTED) {
+    return [prData.author];
+  }
+
+  const reviewers = state && state.reviewers.length > 0 ? state.reviewers : prData.reviewers;
+  return reviewers.filter(r => r !== prData.author);
+}
+
+/**
+ * Check whether reminders for a PR were snoozed from its Slack card
+ * @param {Object|null} state - PR state
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {boolean} Whether the PR is snoozed
+ */
+function isSnoozed(state, now) {
+  return Boolean(state && state.snoozed_until && new Date(state.snoozed_until).getTime() > now);
+}
+
+/**
+ * Find open PRs that have been waiting in their status longer than the configured threshold
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} store - State store
+ * @param {Object} config - Configuration object
+ * @param {Object} repo - {owner, repo}
+ * @param {number} now - Current timestamp in milliseconds (optional)
+ * @returns {Promise<Array<Object>>} Array of {prData, state, status, hours, threshold, waitingOn}, oldest first
+ */
+async function findStalePRs(octokit, store, config, repo, now = Date.now()) {
+  const { thresholds } = config.reminders;
+
+  const pullRequests = await octokit.paginate(octokit.rest.pulls.list, {
+    owner: repo.owner,
+    repo: repo.repo,
+    state: 'open',
+    per_page: 100
+  });
+  core.info(`Checking ${pullRequests.length} open PRs for reminders`);
+
+  const stale = [];
+
+  for (const pullRequest of pullRequests) {
+    const prData = parsePRData({ payload: { pull_request: pullRequest, repository: pullRequest.base.repo } });
+
+    const filterResult = evaluateFilters(prData, config.filters);
+    if (!filterResult.notify) {
+      core.debug(`Skipping PR #${prData.number}: ${filterResult.reason}`);
+      continue;
+    }
+
+    const state = await store.load(prData.number);
+    if (isSnoozed(state, now)) {
+      core.info(`Skipping PR #${prData.number}: reminders snoozed until ${state.snoozed_until}`);
+      continue;
+    }
+
+    const status = getCurrentStatus(prData, state);
+    const threshold = thresholds[status];
+
+    if (!threshold) {
+      continue;
+    }
+
+    const hours = Math.floor((now - getStatusSince(prData, state)) / HOUR_MS);
+    if (hours < threshold) {
+      continue;
+    }
+
+    core.info(`PR #${prData.number} has been ${status} for ${hours}h (threshold ${threshold}h)`);
+    stale.push({ prData, state, status, hours, threshold, waitingOn: getWaitingOn(prData, state, status) });
+  }
+
+  return stale.sort((a, b) => b.hours - a.hours);
+}
+
+/**
+ * Group stale PRs by the users they are waiting on
+ * A PR waiting on several users appears in each of their groups
+ * @param {Array<Object>} stalePRs - Result of findStalePRs
+ * @returns {Array<Object>} Array of {login, prs}; login is null for PRs waiting on nobody
+ */
+function groupByWaitingOn(stalePRs) {
+  const groups = new Map();
+
+  for (const stalePR of stalePRs) {
+    const logins = stalePR.waitingOn.length > 0 ? stalePR.waitingOn : [null];
+    for (const login of logins) {
+      if (!groups.has(login)) {
+        groups.set(login, []);
+      }
+      groups.get(login).push(stalePR);
+    }
+  }
+
+  return Array.from(groups, ([login, prs]) => ({ login, prs }))
+    .sort((a, b) => (a.login === null) - (b.login === null) || b.prs.length - a.prs.length);
+}
+
+/**
+ * Check whether a PR thread was already nudged within the threshold
+ * @param {Object} state - PR state
+ * @param {number} threshold - Threshold in hours
+ * @param {number} now - Current timestamp in milliseconds (optional)
+ * @returns {boolean} Whether a recent reminder exists
+ */
+function wasRecentlyNudged(state, threshold, now = Date.now()) {
+  // A reminder scheduled for the reviewers' working hours counts as sent
+  return [...state.replies, ...state.scheduled].some(reply => (
+    reply.type === 'reminder' && now - new Date(reply.created_at).getTime() < threshold * HOUR_MS
+  ));
+}
+
+/**
+ * Find, for every reviewer, the open PRs they still owe a review on
+ * A reviewer owes a review when they are requested, or when they own changed
+ * files in CODEOWNERS and have not reviewed the PR yet
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} store - State store
+ * @param {Object} config - Configuration object
+ * @param {Object} repo - {owner, repo}
+ * @param {number} now - Current timestamp in milliseconds (optional)
+ * @returns {Promise<Array<Object>>} Array of {login, prs}; each PR is {prData, state, hours, size, source}
+ */
+async function findPendingReviews(octokit, store, config, repo, now = Date.now()) {
+  const optOut = config.dm_digest.opt_out.map(login => login.toLowerCase());
+
+  const pullRequests = await octokit.paginate(octokit.rest.pulls.list, {
+    owner: repo.owner,
+    repo: repo.repo,
+    state: 'open',
+    per_page: 100
+  });
+  core.info(`Checking ${pullRequests.length} open PRs for pending reviews`);
+
+  const pending = new Map();
+
+  for (const listed of pullRequests) {
+    if (listed.draft) {
+      continue;
+    }
+
+    // Listed PRs have no diff stats, which the digest sorts by
+    const { data: pullRequest } = await octokit.rest.pulls.get({
+      owner: repo.owner,
+      repo: repo.repo,
+      pull_number: listed.number
+    });
+    const prData = parsePRData({ payload: { pull_request: pullRequest, repository: pullRequest.base.repo } });
+
+    const filterResult = evaluateFilters(prData, config.filters);
+    if (!filterResult.notify) {
+      core.debug(`Skipping PR #${prData.number}: ${filterResult.reason}`);
+      continue;
+    }
+
+    const state = await store.load(prData.number);
+    if (isSnoozed(state, now)) {
+      core.debug(`Skipping PR #${prData.number}: snoozed until ${state.snoozed_until}`);
+      continue;
+    }
+
+    // Teams are expanded the way the card expands them, so the digest reaches the same reviewers
+    const teamOptions = getTeamOptions(config, prData);
+    const requested = new Set(prData.reviewers);
+    const teamMembers = await expandOwners(
+      octokit,
+      repo.owner,
+      prData.teamReviewers.map(team => `${repo.owner}/${team}`),
+      teamOptions
+    );
+    teamMembers.forEach(member => requested.add(member));
+
+    const reviewed = new Set(await getReviewedUsers(octokit, repo.owner, repo.repo, prData.number));
+    const owners = (await getCodeOwners(octokit, repo.owner, repo.repo, prData.number, null, prData.base, teamOptions)).owners
+      .filter(owner => !requested.has(owner) && !reviewed.has(owner));
+
+    const hours = Math.floor((now - new Date(prData.createdAt).getTime()) / HOUR_MS);
+    const size = prData.additions + prData.deletions;
+
+    const reviewers = [
+      ...Array.from(requested, login => ({ login, source: 'requested' })),
+      ...owners.map(login => ({ login, source: 'codeowner' }))
+    ];
+
+    for (const { login, source } of reviewers) {
+      if (login === prData.author || optOut.includes(login.toLowerCase())) {
+        continue;
+      }
+      if (!pending.has(login)) {
+        pending.set(login, []);
+      }
+      pending.get(login).push({ prData, state, hours, size, source });
+    }
+  }
+
+  // Oldest first; PRs opened the same day go smallest first
+  const byAgeAndSize = (a, b) => Math.floor(b.hours / 24) - Math.floor(a.hours / 24) || a.size - b.size;
+
+  return Array.from(pending, ([login, prs]) => ({ login, prs: prs.sort(byAgeAndSize) }));
+}
+
+module.exports = {
+  findStalePRs,
+  findPendingReviews,
+  groupByWaitingOn,
+  isSnoozed,
+  wasRecentlyNudged
+};
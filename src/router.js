@@ -0,0 +1,99 @@
+const core = require('@actions/core');
+const { matchGlob, matchWildcard } = require('./glob');
+const { isTeamMember } = require('./github');
+
+/**
+ * Check whether the PR author belongs to any of the given teams
+ * @param {Object} octokit - GitHub API client
+ * @param {string} repoOwner - Repository owner, used when a team has no org prefix
+ * @param {string} author - PR author username
+ * @param {Array<string>} teams - Team slugs (`org/team` or `team`)
+ * @param {Map<string, boolean>} membershipCache - Memoized membership checks
+ * @returns {Promise<boolean>} Whether the author is in one of the teams
+ */
+async function authorInTeams(octokit, repoOwner, author, teams, membershipCache) {
+  for (const team of teams) {
+    const [org, teamSlug] = team.includes('/') ? team.split('/') : [repoOwner, team];
+    const key = `${org}/${teamSlug}`;
+
+    if (!membershipCache.has(key)) {
+      membershipCache.set(key, await isTeamMember(octokit, org, teamSlug, author));
+    }
+
+    if (membershipCache.get(key)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Check whether a route matches a PR
+ * All configured conditions must match; any value within a condition is enough
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} route - Normalized route from config
+ * @param {Object} prData - Parsed PR data
+ * @param {Array<string>} changedFiles - Changed file paths
+ * @param {string} repoOwner - Repository owner
+ * @param {Map<string, boolean>} membershipCache - Memoized membership checks
+ * @returns {Promise<boolean>} Whether the route matches
+ */
+async function matchRoute(octokit, route, prData, changedFiles, repoOwner, membershipCache) {
+  if (route.labels.length > 0 && !route.labels.some(label => prData.labels.includes(label))) {
+    return false;
+  }
+
+  if (route.base_branches.length > 0 && !route.base_branches.some(branch => matchWildcard(prData.base, branch))) {
+    return false;
+  }
+
+  if (route.paths.length > 0 && !changedFiles.some(file => route.paths.some(pattern => matchGlob(file, pattern)))) {
+    return false;
+  }
+
+  if (route.author_teams.length > 0 &&
+      !(await authorInTeams(octokit, repoOwner, prData.author, route.author_teams, membershipCache))) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Resolve the Slack channels a PR should be posted to
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} prData - Parsed PR data
+ * @param {Array<string>} changedFiles - Changed file paths
+ * @param {Object} config - Configuration object
+ * @param {string} repoOwner - Repository owner
+ * @param {string} fallbackChannel - Channel used when no route matches
+ * @returns {Promise<Array<string>>} Array of Slack channels
+ */
+async function resolveChannels(octokit, prData, changedFiles, config, repoOwner, fallbackChannel) {
+  if (config.routes.length === 0) {
+    return [fallbackChannel];
+  }
+
+  const channels = new Set();
+  const membershipCache = new Map();
+
+  for (const [index, route] of config.routes.entries()) {
+    if (await matchRoute(octokit, route, prData, changedFiles, repoOwner, membershipCache)) {
+      core.info(`Route #${index + 1} matched: ${route.channels.join(', ')}`);
+      route.channels.forEach(channel => channels.add(channel));
+    }
+  }
+
+  if (channels.size === 0) {
+    core.info(`No route matched, using default channel ${fallbackChannel}`);
+    return [fallbackChannel];
+  }
+
+  return Array.from(channels);
+}
+
+module.exports = {
+  matchRoute,
+  resolveChannels
+};
@@ -1,5 +1,108 @@
 const core = require('@actions/core');
-const { summarizePRBody, getStatusDisplay } = require('./github');
+const { summarizePRBody, getStatusDisplay, PR_STATUS } = require('./github');
+const { CI_STATE } = require('./ci');
+const { DEFAULT_TEMPLATES, renderMessage } = require('./templates');
+const { getMessages, formatMessage, formatSlackDate } = require('./i18n');
+
+/**
+ * Format a Slack mention; user group IDs start with S, user IDs with U or W
+ * @param {string} id - Slack User ID or user group ID
+ * @returns {string} mrkdwn mention
+ */
+function formatMention(id) {
+  return id.startsWith('S') ? `<!subteam^${id}>` : `<@${id}>`;
+}
+
+/**
+ * Format the CODEOWNERS breakdown of a PR, one owner per line
+ * Only the largest owners are listed so the card stays readable
+ * @param {Array<Object>} codeowners - Array of {owner, count, file, directory, extension}
+ * @param {Object} messages - Message pack
+ * @returns {string} mrkdwn lines, empty when there are no code owners
+ */
+function formatCodeOwners(codeowners, messages) {
+  const maxOwners = 5;
+
+  const lines = codeowners.slice(0, maxOwners).map(({ owner, count, file, directory, extension }) => {
+    let files = formatMessage(messages.owner_files, { count });
+    if (file) {
+      files = `\`${file}\``;
+    } else if (directory) {
+      files = formatMessage(messages.owner_files_in_directory, { count, directory });
+    } else if (extension) {
+      files = formatMessage(messages.owner_files_with_extension, { count, extension });
+    }
+    return `• @${owner} — ${files}`;
+  });
+
+  if (codeowners.length > maxOwners) {
+    lines.push(formatMessage(messages.owners_more, { count: codeowners.length - maxOwners }));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Describe an automatic reviewer assignment and why those reviewers were picked
+ * @param {Object|null} assignment - {strategy, reviewers: Array<{login, load}>}
+ * @param {Object} messages - Message pack
+ * @returns {string} mrkdwn line, empty without an assignment
+ */
+function formatAssignment(assignment, messages) {
+  if (!assignment) {
+    return '';
+  }
+
+  const reviewers = assignment.reviewers
+    .map(({ login, load }) => (load === null
+      ? `@${login}`
+      : formatMessage(messages.assign_load, { reviewer: `@${login}`, count: load })))
+    .join(', ');
+
+  return formatMessage(messages.assign_summary, {
+    strategy: messages[`assign_strategy_${assignment.strategy.replace(/-/g, '_')}`],
+    reviewers
+  });
+}
+
+/**
+ * Summarize how many approvals a PR has against how many merging requires
+ * @param {Array<Object>|null} reviews - Latest reviews: {login, slack_id, state}; null when review progress is off
+ * @param {number|null} required - Required approvals, null when unknown
+ * @param {Object} messages - Message pack
+ * @returns {string} mrkdwn line, empty when there is nothing to count
+ */
+function formatApprovals(reviews, required, messages) {
+  if (!reviews) {
+    return '';
+  }
+
+  const approved = reviews.filter(review => review.state === 'approved').length;
+  if (required) {
+    return formatMessage(messages.approvals_required, { approved, required });
+  }
+  return approved > 0 ? formatMessage(messages.approvals_count, { approved }) : '';
+}
+
+/**
+ * Describe the CI of the PR's head commit
+ * @param {Object|null} ci - CI summary: {state, total, finished, failed}
+ * @param {Object} messages - Message pack
+ * @returns {string} mrkdwn, empty before any check reported
+ */
+function formatCI(ci, messages) {
+  if (!ci) {
+    return '';
+  }
+
+  if (ci.state === CI_STATE.FAILURE) {
+    return formatMessage(messages.ci_failure, { checks: ci.failed.map(name => `\`${name}\``).join(', ') });
+  }
+  if (ci.state === CI_STATE.PENDING) {
+    return formatMessage(messages.ci_pending, { finished: ci.finished, total: ci.total });
+  }
+  return messages.ci_success;
+}
 
 /**
  * Create Slack Block Kit message for PR notification
@@ -7,99 +110,109 @@ const { summarizePRBody, getStatusDisplay } = require('./github');
  * @param {Array<string>} reviewerSlackIds - Array of Slack User IDs
  * @param {string} authorSlackId - Author's Slack User ID (optional)
  * @param {string} status - PR status (default: review-pending)
+ * @param {Object} config - Configuration object (optional, for custom templates)
+ * @param {Object} details - Stored card details (optional): {sources, codeowners, assignment, away, deferred, held, snoozed_until, reviews, required_approvals, ci, conflict, warnings}
  * @returns {Object} Slack message payload
  */
-function createPRNotificationMessage(prData, reviewerSlackIds, authorSlackId = null, status = 'review-pending') {
-  const reviewerMentions = reviewerSlackIds.map(id => `<@${id}>`).join(' ');
+function createPRNotificationMessage(prData, reviewerSlackIds, authorSlackId = null, status = 'review-pending', config = {}, details = {}) {
+  const messages = getMessages(config);
+  const sources = details.sources || {};
+  // Reviewers outside working hours are mentioned later in the thread, so until then the card only names them
+  const deferred = new Map((details.deferred || []).map(entry => [entry.slack_id, entry]));
+  // Reviewers held back until CI passes are named the same way
+  const held = new Map((details.held || []).map(entry => [entry.slack_id, entry]));
+  const reviewerMentions = reviewerSlackIds.filter(id => !deferred.has(id) && !held.has(id)).map(formatMention).join(' ');
+  // Away reviewers are listed by name only, so the card doesn't ping them
+  const away = (details.away || []).map(entry => formatMessage(messages.reviewer_away, { name: entry.name }));
+  const reviews = config.review_progress && config.review_progress.enabled ? details.reviews || [] : null;
+  const formatReviewState = review => messages[`review_state_${review ? review.state : 'pending'}`] || '';
+  const reviewers = [
+    ...reviewerSlackIds.map(id => {
+      const labels = (sources[id] || []).map(source => messages[`reviewer_source_${source}`]).filter(Boolean);
+      let mention = formatMention(id);
+      if (held.has(id)) {
+        mention = formatMessage(messages.reviewer_held, { name: held.get(id).name });
+      } else if (deferred.has(id)) {
+        mention = formatMessage(messages.reviewer_deferred, {
+          name: deferred.get(id).name,
+          time: formatSlackDate(new Date(deferred.get(id).post_at * 1000).toISOString(), config)
+        });
+      }
+      // User groups review through their members, so they have no state of their own
+      const progress = reviews && !id.startsWith('S') ? ` ${formatReviewState(reviews.find(review => review.slack_id === id))}` : '';
+      return labels.length > 0 ? `${mention}${progress} _(${labels.join(', ')})_` : `${mention}${progress}`;
+    }),
+    // Reviewers who have no Slack account are listed by GitHub username
+    ...(reviews || []).filter(review => !review.slack_id).map(review => `@${review.login} ${formatReviewState(review)}`),
+    ...away
+  ]
+    // Annotated mentions read better one per line; plain ones stay on a single line
+    .join(Object.keys(sources).length > 0 || away.length > 0 || reviews ? '\n' : ' ');
   const authorMention = authorSlackId ? `<@${authorSlackId}>` : `@${prData.author}`;
 
-  const statusDisplay = getStatusDisplay(status);
-  const statusEmoji = prData.isDraft ? '📝' : statusDisplay.emoji;
-  const statusText = prData.isDraft ? '초안 (Draft)' : statusDisplay.text;
+  // A draft payload wins over a stale stored status, except once the PR is merged or closed
+  const finished = status === PR_STATUS.MERGED || status === PR_STATUS.CLOSED;
+  const displayStatus = prData.isDraft && !finished ? PR_STATUS.DRAFT : status;
+  const statusDisplay = getStatusDisplay(displayStatus, messages);
 
-  const blocks = [
-    {
-      type: 'header',
-      text: {
-        type: 'plain_text',
-        text: '👀 코드 리뷰 요청'
-      }
-    },
-    {
-      type: 'section',
-      text: {
-        type: 'mrkdwn',
-        text: `*<${prData.url}|${prData.title}>*\n\`${prData.head}\` → \`${prData.base}\``
-      }
+  const vars = {
+    pr: {
+      number: prData.number,
+      title: prData.title,
+      url: prData.url,
+      files_url: `${prData.url}/files`,
+      author: prData.author,
+      head: prData.head,
+      base: prData.base,
+      summary: summarizePRBody(prData.body, messages),
+      additions: prData.additions,
+      deletions: prData.deletions,
+      changed_files: prData.changedFiles,
+      labels: prData.labels.join(', '),
+      created_at: formatSlackDate(prData.createdAt, config)
     },
-    {
-      type: 'section',
-      fields: [
-        {
-          type: 'mrkdwn',
-          text: `*작성자:*\n${authorMention}`
-        },
-        {
-          type: 'mrkdwn',
-          text: `*리뷰어:*\n${reviewerMentions || '_없음_'}`
-        },
-        {
-          type: 'mrkdwn',
-          text: `*변경사항:*\n+${prData.additions} / -${prData.deletions} (${prData.changedFiles} files)`
-        },
-        {
-          type: 'mrkdwn',
-          text: `*상태:*\n${statusEmoji} ${statusText}`
-        }
-      ]
+    repo: {
+      name: prData.repo.name,
+      full_name: prData.repo.fullName,
+      url: prData.repo.url
     },
-    {
-      type: 'divider'
+    author: authorMention,
+    reviewers,
+    reviewer_mentions: reviewerMentions,
+    owners: formatCodeOwners(details.codeowners || [], messages),
+    assignment: formatAssignment(details.assignment, messages),
+    approvals: formatApprovals(reviews, details.required_approvals, messages),
+    ci: formatCI(details.ci, messages),
+    conflict: details.conflict && !finished ? messages.conflict_badge : '',
+    snoozed: details.snoozed_until && new Date(details.snoozed_until).getTime() > Date.now()
+      ? formatMessage(messages.snoozed_until, { time: formatSlackDate(details.snoozed_until, config) })
+      : '',
+    // Card buttons carry the PR they act on; finished PRs have nothing left to act on
+    interactive: config.interactivity && config.interactivity.enabled && !finished
+      ? `${prData.repo.fullName}#${prData.number}`
+      : '',
+    warnings: (details.warnings || [])
+      .filter(warning => messages[warning.key])
+      .map(warning => formatMessage(messages[warning.key], warning.params))
+      .join('\n'),
+    changes: formatMessage(messages.changes_summary, {
+      additions: prData.additions,
+      deletions: prData.deletions,
+      files: prData.changedFiles
+    }),
+    status: {
+      key: displayStatus,
+      emoji: statusDisplay.emoji,
+      text: statusDisplay.text
     },
-    {
-      type: 'section',
-      text: {
-        type: 'mrkdwn',
-        text: summarizePRBody(prData.body)
-      }
-    },
-    {
-      type: 'actions',
-      elements: [
-        {
-          type: 'button',
-          text: {
-            type: 'plain_text',
-            text: 'PR 보기'
-          },
-          url: prData.url,
-          style: 'primary'
-        },
-        {
-          type: 'button',
-          text: {
-            type: 'plain_text',
-            text: '변경사항'
-          },
-          url: `${prData.url}/files`
-        }
-      ]
-    },
-    {
-      type: 'context',
-      elements: [
-        {
-          type: 'mrkdwn',
-          text: `📍 ${prData.repo.name} • 방금 전`
-        }
-      ]
-    }
-  ];
-
-  return {
-    blocks,
-    text: `새로운 PR: ${prData.title}` // Fallback text for notifications
+    fallback: formatMessage(messages.card_fallback, { title: prData.title }),
+    t: messages
   };
+
+  const templates = config.templates || {};
+  const template = status === 'merged' && templates.merged ? templates.merged : templates.opened;
+
+  return renderMessage(template, DEFAULT_TEMPLATES.opened, vars);
 }
 
 /**
@@ -134,86 +247,461 @@ async function sendSlackMessage(slackClient, channel, message) {
  * @param {Array<string>} mentionedSlackIds - Array of mentioned Slack User IDs
  * @param {string} authorSlackId - Comment author's Slack User ID
  * @param {Object} prData - PR data for context
+ * @param {Object} config - Configuration object (optional, for custom templates)
  * @returns {Object} Slack message payload
  */
-function createCommentMessage(commentData, mentionedSlackIds, authorSlackId, prData) {
+function createCommentMessage(commentData, mentionedSlackIds, authorSlackId, prData, config = {}) {
+  const messages = getMessages(config);
   const authorMention = authorSlackId ? `<@${authorSlackId}>` : `@${commentData.author}`;
-  const mentions = mentionedSlackIds.map(id => `<@${id}>`).join(' ');
+  const mentions = mentionedSlackIds.map(formatMention).join(' ');
 
   let emoji = '💬';
-  let title = '새 코멘트';
+  let title = messages.comment_new;
 
   if (commentData.reviewState) {
     if (commentData.reviewState === 'approved') {
       emoji = '✅';
-      title = '승인 (Approved)';
+      title = messages.comment_approved;
     } else if (commentData.reviewState === 'changes_requested') {
       emoji = '🔴';
-      title = '변경 요청 (Changes Requested)';
+      title = messages.comment_changes_requested;
     } else if (commentData.reviewState === 'commented') {
       emoji = '💬';
-      title = '리뷰 코멘트';
+      title = messages.comment_review;
     }
   } else if (commentData.eventType === 'pull_request_review_comment') {
     emoji = '📝';
-    title = '코드 라인 코멘트';
+    title = messages.comment_line;
   }
 
-  const blocks = [
-    {
-      type: 'section',
-      text: {
-        type: 'mrkdwn',
-        text: `${emoji} *${title}*\n${authorMention}님이 코멘트를 남겼습니다`
-      }
-    }
-  ];
-
+  let quote = '';
   if (commentData.body && commentData.body.trim()) {
     const truncatedBody = commentData.body.length > 500
       ? commentData.body.substring(0, 497) + '...'
       : commentData.body;
+    quote = `> ${truncatedBody.split('\n').join('\n> ')}`;
+  }
 
-    blocks.push({
-      type: 'section',
-      text: {
-        type: 'mrkdwn',
-        text: `> ${truncatedBody.split('\n').join('\n> ')}`
-      }
+  const vars = {
+    comment: {
+      author: commentData.author,
+      body: commentData.body || '',
+      quote,
+      url: commentData.url,
+      emoji,
+      title,
+      action: formatMessage(messages.comment_action, { author: authorMention }),
+      fallback: formatMessage(messages.comment_fallback, { title, author: commentData.author }),
+      review_state: commentData.reviewState || '',
+      button_style: commentData.reviewState === 'changes_requested' ? 'danger' : 'primary'
+    },
+    pr: prData ? { number: prData.number, title: prData.title, url: prData.url } : { number: commentData.prNumber },
+    author: authorMention,
+    mentions,
+    t: messages
+  };
+
+  const templates = config.templates || {};
+  const template = templates[commentData.reviewState] || templates.comment;
+
+  return renderMessage(template, DEFAULT_TEMPLATES.comment, vars);
+}
+
+/**
+ * Escape text for Slack mrkdwn
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeMrkdwn(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Format a number with an explicit sign
+ * @param {number} value - Number
+ * @returns {string} Signed number such as +3, -1 or ±0
+ */
+function formatSigned(value) {
+  if (value > 0) return `+${value}`;
+  if (value < 0) return `${value}`;
+  return '±0';
+}
+
+/**
+ * Create Slack message for commits pushed to a PR
+ * @param {Object} prData - Parsed PR data
+ * @param {Object} push - {commits, forced} from getPushedCommits
+ * @param {Object} previousStats - {additions, deletions, changed_files} before the push (optional)
+ * @param {Array<string>} reReviewSlackIds - Reviewers asked to re-review
+ * @param {Object} config - Configuration object (optional, for custom templates)
+ * @returns {Object} Slack message payload
+ */
+function createSyncMessage(prData, push, previousStats, reReviewSlackIds, config = {}) {
+  const messages = getMessages(config);
+  const maxCommits = 10;
+
+  const commitLines = push.commits
+    .slice(-maxCommits)
+    .map(commit => `• <${commit.url}|\`${commit.sha.substring(0, 7)}\`> ${escapeMrkdwn(commit.message)} — ${commit.author}`);
+
+  if (push.commits.length > maxCommits) {
+    commitLines.unshift(formatMessage(messages.sync_more_commits, { count: push.commits.length - maxCommits }));
+  }
+
+  const changes = formatMessage(messages.changes_summary, {
+    additions: prData.additions,
+    deletions: prData.deletions,
+    files: prData.changedFiles
+  });
+
+  let changesLine = `*${messages.field_changes}:* ${changes}`;
+  if (previousStats) {
+    const delta = formatMessage(messages.changes_delta, {
+      additions: formatSigned(prData.additions - previousStats.additions),
+      deletions: formatSigned(prData.deletions - previousStats.deletions),
+      files: formatSigned(prData.changedFiles - previousStats.changed_files)
     });
+    changesLine = formatMessage(messages.sync_changes, { label: messages.field_changes, changes, delta });
+  }
+
+  const reReview = reReviewSlackIds.length > 0
+    ? formatMessage(messages.re_review_request, { reviewers: reReviewSlackIds.map(formatMention).join(' ') })
+    : '';
+
+  const vars = {
+    pr: { number: prData.number, title: prData.title, url: prData.url },
+    push: {
+      count: push.commits.length,
+      title: formatMessage(messages.sync_title, { count: push.commits.length }),
+      forced: push.forced,
+      commits: commitLines.join('\n'),
+      changes: changesLine
+    },
+    re_review: reReview,
+    fallback: formatMessage(messages.sync_fallback, { count: push.commits.length, title: prData.title }),
+    t: messages
+  };
+
+  const templates = config.templates || {};
+
+  return renderMessage(templates.synchronize, DEFAULT_TEMPLATES.synchronize, vars);
+}
+
+/**
+ * Create Slack message for reviewers requested after the PR was opened
+ * @param {Object} prData - Parsed PR data
+ * @param {Object} request - {requester, team, groupId, reviewers: Array<{login, slackId}>}; groupId is set for teams mapped to a Slack user group
+ * @param {Object} config - Configuration object (optional, for custom templates)
+ * @returns {Object} Slack message payload
+ */
+function createReviewRequestMessage(prData, request, config = {}) {
+  const messages = getMessages(config);
+  const mentions = request.reviewers
+    .map(reviewer => (reviewer.slackId ? formatMention(reviewer.slackId) : `@${reviewer.login}`))
+    .join(' ');
+  let reviewers = mentions;
+  if (request.groupId) {
+    reviewers = formatMention(request.groupId);
+  } else if (request.team) {
+    reviewers = `*@${request.team}* (${mentions || messages.none})`;
+  }
+
+  const vars = {
+    pr: {
+      number: prData.number,
+      title: prData.title,
+      url: prData.url,
+      files_url: `${prData.url}/files`
+    },
+    request: {
+      requester: request.requester,
+      team: request.team || '',
+      reviewers,
+      action: formatMessage(messages.review_request_action, {
+        requester: `@${request.requester}`,
+        reviewers
+      })
+    },
+    fallback: formatMessage(messages.review_request_fallback, { title: prData.title }),
+    t: messages
+  };
+
+  const templates = config.templates || {};
+
+  return renderMessage(templates.review_requested, DEFAULT_TEMPLATES.review_requested, vars);
+}
+
+/**
+ * Create Slack message for a short note about a PR change (reopened, edited, ...)
+ * @param {Object} prData - Parsed PR data
+ * @param {string} note - Note text (mrkdwn)
+ * @param {Object} config - Configuration object (optional, for custom templates)
+ * @returns {Object} Slack message payload
+ */
+function createNoteMessage(prData, note, config = {}) {
+  const messages = getMessages(config);
+
+  const vars = {
+    pr: {
+      number: prData.number,
+      title: prData.title,
+      url: prData.url
+    },
+    note,
+    fallback: formatMessage(messages.note_fallback, { title: prData.title }),
+    t: messages
+  };
+
+  const templates = config.templates || {};
+
+  return renderMessage(templates.note, DEFAULT_TEMPLATES.note, vars);
+}
+
+/**
+ * Format a waiting time in hours
+ * @param {number} hours - Whole hours
+ * @param {Object} messages - Message pack
+ * @returns {string} Formatted duration
+ */
+function formatDuration(hours, messages) {
+  if (hours < 24) {
+    return formatMessage(messages.duration_hours, { hours });
   }
+  return formatMessage(messages.duration_days, { days: Math.floor(hours / 24), hours: hours % 24 });
+}
 
-  if (mentions) {
-    blocks.push({
-      type: 'context',
-      elements: [
-        {
-          type: 'mrkdwn',
-          text: `👤 멘션: ${mentions}`
-        }
-      ]
+/**
+ * Create Slack digest message of stale PRs grouped by the user they wait on
+ * @param {Array<Object>} groups - Array of {login, slackId, prs} from groupByWaitingOn
+ * @param {number} count - Number of distinct stale PRs
+ * @param {Object} repo - {name, fullName, url}
+ * @param {Object} config - Configuration object (optional, for custom templates)
+ * @returns {Object} Slack message payload
+ */
+function createDigestMessage(groups, count, repo, config = {}) {
+  const messages = getMessages(config);
+  // Leave room for the "more" line below Slack's section text limit
+  const maxBodyLength = 2800;
+
+  const sections = groups.map(group => {
+    let title = `*${messages.digest_unassigned}*`;
+    if (group.login) {
+      title = group.slackId ? `<@${group.slackId}>` : `*@${group.login}*`;
+    }
+
+    const lines = group.prs.map(({ prData, status, hours }) => {
+      const display = getStatusDisplay(status, messages);
+      return `• <${prData.url}|#${prData.number} ${escapeMrkdwn(prData.title)}> · ${display.emoji} ${display.text} · ${formatDuration(hours, messages)}`;
     });
+
+    return `${title} (${group.prs.length})\n${lines.join('\n')}`;
+  });
+
+  let body = '';
+  let shown = 0;
+  for (const section of sections) {
+    const next = body ? `${body}\n\n${section}` : section;
+    if (next.length > maxBodyLength) {
+      break;
+    }
+    body = next;
+    shown += 1;
   }
 
-  blocks.push({
-    type: 'actions',
-    elements: [
-      {
-        type: 'button',
-        text: {
-          type: 'plain_text',
-          text: '코멘트 보기'
-        },
-        url: commentData.url,
-        style: commentData.reviewState === 'changes_requested' ? 'danger' : 'primary'
-      }
-    ]
+  if (shown < sections.length) {
+    body += `\n\n${formatMessage(messages.digest_more, { count: sections.length - shown })}`;
+  }
+
+  const vars = {
+    repo: { name: repo.name, full_name: repo.fullName, url: repo.url },
+    digest: {
+      count,
+      summary: formatMessage(messages.digest_summary, { count }),
+      body
+    },
+    fallback: formatMessage(messages.digest_fallback, { count }),
+    t: messages
+  };
+
+  const templates = config.templates || {};
+
+  return renderMessage(templates.digest, DEFAULT_TEMPLATES.digest, vars);
+}
+
+/**
+ * Create Slack nudge for a PR thread that has been waiting too long
+ * @param {Object} prData - Parsed PR data
+ * @param {string} status - PR status
+ * @param {number} hours - Hours waited in the status
+ * @param {Array<string>} slackIds - Slack User IDs the PR is waiting on
+ * @param {Object} config - Configuration object (optional, for custom templates)
+ * @returns {Object} Slack message payload
+ */
+function createReminderMessage(prData, status, hours, slackIds, config = {}) {
+  const messages = getMessages(config);
+  const note = formatMessage(messages.reminder_nudge, {
+    status: getStatusDisplay(status, messages).text,
+    age: formatDuration(hours, messages),
+    mentions: slackIds.map(formatMention).join(' ')
+  }).trim();
+
+  return createNoteMessage(prData, note, config);
+}
+
+/**
+ * Create a thread reply telling the PR author that required checks failed
+ * @param {Object} prData - Parsed PR data
+ * @param {Array<string>} checks - Names of the failed checks
+ * @param {string|null} authorSlackId - Author's Slack User ID, null to name them by GitHub username
+ * @param {Object} config - Configuration object (optional, for custom templates)
+ * @returns {Object} Slack message payload
+ */
+function createCIFailureMessage(prData, checks, authorSlackId, config = {}) {
+  const messages = getMessages(config);
+  const note = formatMessage(messages.ci_failed_nudge, {
+    checks: checks.map(name => `\`${name}\``).join(', '),
+    mention: authorSlackId ? formatMention(authorSlackId) : `@${prData.author}`
+  });
+
+  return createNoteMessage(prData, note, config);
+}
+
+/**
+ * Create a thread reply telling the PR author that it no longer merges cleanly
+ * @param {Object} prData - Parsed PR data
+ * @param {string|null} authorSlackId - Author's Slack User ID, null to name them by GitHub username
+ * @param {Object} config - Configuration object (optional, for custom templates)
+ * @returns {Object} Slack message payload
+ */
+function createConflictMessage(prData, authorSlackId, config = {}) {
+  const messages = getMessages(config);
+  const note = formatMessage(messages.conflict_nudge, {
+    base: prData.base,
+    mention: authorSlackId ? formatMention(authorSlackId) : `@${prData.author}`
+  });
+
+  return createNoteMessage(prData, note, config);
+}
+
+/**
+ * Create Slack DM listing the PRs a reviewer still owes a review on
+ * @param {Array<Object>} prs - Array of {prData, hours, size, source, threadUrl}, already sorted
+ * @param {Object} config - Configuration object (optional, for custom templates)
+ * @returns {Object} Slack message payload
+ */
+function createDMDigestMessage(prs, config = {}) {
+  const messages = getMessages(config);
+  // Leave room for the "more" line below Slack's section text limit
+  const maxBodyLength = 2800;
+
+  const lines = prs.map(({ prData, hours, size, source, threadUrl }) => {
+    const parts = [
+      `<${prData.url}|${escapeMrkdwn(prData.repo.name)}#${prData.number} ${escapeMrkdwn(prData.title)}>`,
+      formatDuration(hours, messages),
+      formatMessage(messages.dm_digest_size, { lines: size }),
+      source === 'codeowner' ? messages.dm_digest_codeowner : messages.dm_digest_requested
+    ];
+    if (threadUrl) {
+      parts.push(`<${threadUrl}|${messages.dm_digest_thread}>`);
+    }
+    return `• ${parts.join(' · ')}`;
   });
 
-  return {
-    blocks,
-    text: `${title}: ${commentData.author}`
+  let body = '';
+  let shown = 0;
+  for (const line of lines) {
+    const next = body ? `${body}\n${line}` : line;
+    if (next.length > maxBodyLength) {
+      break;
+    }
+    body = next;
+    shown += 1;
+  }
+
+  if (shown < lines.length) {
+    body += `\n${formatMessage(messages.dm_digest_more, { count: lines.length - shown })}`;
+  }
+
+  const vars = {
+    digest: {
+      count: prs.length,
+      summary: formatMessage(messages.dm_digest_summary, { count: prs.length }),
+      body
+    },
+    fallback: formatMessage(messages.dm_digest_fallback, { count: prs.length }),
+    t: messages
   };
+
+  const templates = config.templates || {};
+
+  return renderMessage(templates.dm_digest, DEFAULT_TEMPLATES.dm_digest, vars);
+}
+
+/**
+ * Get a permalink to a Slack message
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {string} channel - Slack channel ID
+ * @param {string} messageTs - Message timestamp
+ * @returns {Promise<string|null>} Permalink or null on failure
+ */
+async function getMessagePermalink(slackClient, channel, messageTs) {
+  try {
+    const result = await slackClient.chat.getPermalink({
+      channel,
+      message_ts: messageTs
+    });
+    return result.permalink || null;
+  } catch (error) {
+    core.warning(`Failed to get permalink for ${channel}/${messageTs}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Send Slack message as a direct message to a user
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {string} userId - Slack User ID
+ * @param {Object} message - Message payload
+ * @returns {Promise<Object>} Slack API response
+ */
+async function sendDirectMessage(slackClient, userId, message) {
+  try {
+    const { channel } = await slackClient.conversations.open({
+      users: userId
+    });
+
+    const result = await slackClient.chat.postMessage({
+      channel: channel.id,
+      ...message
+    });
+
+    if (result.ok) {
+      core.info(`Slack direct message sent successfully to ${userId}`);
+      return result;
+    } else {
+      throw new Error(`Slack API returned error: ${result.error}`);
+    }
+  } catch (error) {
+    core.error(`Failed to send Slack direct message: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Send a message only the given user can see
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {string} channel - Slack channel ID
+ * @param {string} userId - Slack User ID
+ * @param {string} text - Message text (mrkdwn)
+ * @returns {Promise<Object|null>} Slack API response, null when it failed
+ */
+async function sendEphemeralMessage(slackClient, channel, userId, text) {
+  try {
+    return await slackClient.chat.postEphemeral({ channel, user: userId, text });
+  } catch (error) {
+    core.warning(`Failed to send ephemeral message to ${userId}: ${error.message}`);
+    return null;
+  }
 }
 
 /**
@@ -244,6 +732,58 @@ async function sendThreadReply(slackClient, channel, threadTs, message) {
   }
 }
 
+/**
+ * Schedule a thread reply with chat.scheduleMessage
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {string} channel - Slack channel ID
+ * @param {string} threadTs - Parent message timestamp
+ * @param {Object} message - Message payload
+ * @param {number} postAt - Delivery time in Unix seconds
+ * @returns {Promise<Object>} Slack API response with scheduled_message_id
+ */
+async function scheduleThreadReply(slackClient, channel, threadTs, message, postAt) {
+  try {
+    const result = await slackClient.chat.scheduleMessage({
+      channel,
+      thread_ts: threadTs,
+      post_at: postAt,
+      ...message
+    });
+
+    if (result.ok) {
+      core.info(`Slack thread reply scheduled in ${channel} for ${new Date(postAt * 1000).toISOString()}`);
+      return result;
+    } else {
+      throw new Error(`Slack API returned error: ${result.error}`);
+    }
+  } catch (error) {
+    core.error(`Failed to schedule Slack thread reply: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Cancel a scheduled message that hasn't been delivered yet
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {string} channel - Slack channel ID
+ * @param {string} scheduledMessageId - ID returned by chat.scheduleMessage
+ * @returns {Promise<boolean>} Whether the message was cancelled
+ */
+async function deleteScheduledMessage(slackClient, channel, scheduledMessageId) {
+  try {
+    await slackClient.chat.deleteScheduledMessage({
+      channel,
+      scheduled_message_id: scheduledMessageId
+    });
+    core.info(`Cancelled scheduled Slack message ${scheduledMessageId} in ${channel}`);
+    return true;
+  } catch (error) {
+    // Slack refuses messages that are about to be or were already sent
+    core.warning(`Failed to cancel scheduled Slack message ${scheduledMessageId}: ${error.message}`);
+    return false;
+  }
+}
+
 /**
  * Update an existing Slack message
  * @param {Object} slackClient - Slack WebClient instance
@@ -272,10 +812,68 @@ async function updateSlackMessage(slackClient, channel, messageTs, message) {
   }
 }
 
+/**
+ * Add a reaction to a Slack message
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {string} channel - Slack channel ID
+ * @param {string} messageTs - Message timestamp
+ * @param {string} name - Emoji name without colons
+ * @returns {Promise<boolean>} Whether the message has the reaction
+ */
+async function addReaction(slackClient, channel, messageTs, name) {
+  try {
+    await slackClient.reactions.add({ channel, timestamp: messageTs, name });
+    return true;
+  } catch (error) {
+    if (error.data && error.data.error === 'already_reacted') {
+      return true;
+    }
+    core.warning(`Failed to add :${name}: reaction in ${channel}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Remove a reaction the bot added to a Slack message
+ * @param {Object} slackClient - Slack WebClient instance
+ * @param {string} channel - Slack channel ID
+ * @param {string} messageTs - Message timestamp
+ * @param {string} name - Emoji name without colons
+ * @returns {Promise<boolean>} Whether the reaction is gone
+ */
+async function removeReaction(slackClient, channel, messageTs, name) {
+  try {
+    await slackClient.reactions.remove({ channel, timestamp: messageTs, name });
+    return true;
+  } catch (error) {
+    if (error.data && error.data.error === 'no_reaction') {
+      return true;
+    }
+    core.warning(`Failed to remove :${name}: reaction in ${channel}: ${error.message}`);
+    return false;
+  }
+}
+
 module.exports = {
   createPRNotificationMessage,
   sendSlackMessage,
   createCommentMessage,
+  createSyncMessage,
+  createReviewRequestMessage,
+  createNoteMessage,
+  createDigestMessage,
+  createReminderMessage,
+  createCIFailureMessage,
+  createConflictMessage,
+  createDMDigestMessage,
+  getMessagePermalink,
+  sendDirectMessage,
+  sendEphemeralMessage,
+  escapeMrkdwn,
   sendThreadReply,
-  updateSlackMessage
+  scheduleThreadReply,
+  deleteScheduledMessage,
+  updateSlackMessage,
+  addReaction,
+  removeReaction
 };
@@ -0,0 +1,58 @@
+const { serializeState, parseState } = require('./format');
+
+const COMMENT_MARKER = '<!-- pr-notify-state-comment -->';
+
+/**
+ * Create a state store that keeps state in a hidden issue comment on the PR
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} repo - {owner, repo}
+ * @param {string} note - Visible text of the comment
+ * @returns {Object} State store backend
+ */
+function createCommentStore(octokit, { owner, repo }, note) {
+  async function findComment(prNumber) {
+    const comments = await octokit.paginate(octokit.rest.issues.listComments, {
+      owner,
+      repo,
+      issue_number: prNumber,
+      per_page: 100
+    });
+
+    return comments.find(comment => (comment.body || '').includes(COMMENT_MARKER)) || null;
+  }
+
+  return {
+    name: 'comment',
+
+    async load(prNumber) {
+      const comment = await findComment(prNumber);
+      return comment ? parseState(comment.body) : null;
+    },
+
+    async save(prNumber, state) {
+      const body = `${COMMENT_MARKER}\n${note}\n${serializeState(state)}`;
+      const comment = await findComment(prNumber);
+
+      if (comment) {
+        await octokit.rest.issues.updateComment({
+          owner,
+          repo,
+          comment_id: comment.id,
+          body
+        });
+      } else {
+        await octokit.rest.issues.createComment({
+          owner,
+          repo,
+          issue_number: prNumber,
+          body
+        });
+      }
+    }
+  };
+}
+
+module.exports = {
+  COMMENT_MARKER,
+  createCommentStore
+};
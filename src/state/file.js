@@ -0,0 +1,35 @@
+const fs = require('fs');
+
+/**
+ * Create a state store that keeps state for all PRs in a local JSON file
+ * Meant for local runs and tests, state does not survive an Actions job.
+ * @param {Object} repo - {owner, repo}
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object} State store backend
+ */
+function createFileStore({ owner, repo }, filePath) {
+  function key(prNumber) {
+    return `${owner}/${repo}#${prNumber}`;
+  }
+
+  function readAll() {
+    if (!fs.existsSync(filePath)) return {};
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  return {
+    name: 'file',
+
+    async load(prNumber) {
+      return readAll()[key(prNumber)] || null;
+    },
+
+    async save(prNumber, state) {
+      const all = readAll();
+      all[key(prNumber)] = state;
+      fs.writeFileSync(filePath, JSON.stringify(all, null, 2));
+    }
+  };
+}
+
+module.exports = { createFileStore };
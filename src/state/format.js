@@ -0,0 +1,34 @@
+const STATE_MARKER_PATTERN = /<!-- pr-notify-state: (.+?) -->/;
+
+/**
+ * Serialize state into a hidden HTML comment
+ * @param {Object} state - PR state
+ * @returns {string} HTML comment holding the state
+ */
+function serializeState(state) {
+  // `--` is not allowed inside HTML comments
+  const json = JSON.stringify(state).replace(/--/g, '-\\u002d');
+  return `<!-- pr-notify-state: ${json} -->`;
+}
+
+/**
+ * Parse state from text containing a hidden HTML comment
+ * @param {string} text - Text to search
+ * @returns {Object|null} PR state or null when missing or unreadable
+ */
+function parseState(text) {
+  const match = (text || '').match(STATE_MARKER_PATTERN);
+  if (!match) return null;
+
+  try {
+    return JSON.parse(match[1]);
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  STATE_MARKER_PATTERN,
+  serializeState,
+  parseState
+};
@@ -0,0 +1,109 @@
+const core = require('@actions/core');
+
+/**
+ * Create a state store that keeps one JSON file per PR on a dedicated branch
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} repo - {owner, repo}
+ * @param {string} branch - Branch holding the state files
+ * @returns {Object} State store backend
+ */
+function createGitRefStore(octokit, { owner, repo }, branch) {
+  let branchReady = false;
+
+  function statePath(prNumber) {
+    return `prs/${prNumber}.json`;
+  }
+
+  async function ensureBranch() {
+    if (branchReady) return;
+
+    try {
+      await octokit.rest.git.getRef({ owner, repo, ref: `heads/${branch}` });
+    } catch (error) {
+      if (error.status !== 404) throw error;
+
+      core.info(`Creating state branch ${branch}`);
+      const { data: tree } = await octokit.rest.git.createTree({
+        owner,
+        repo,
+        tree: [{
+          path: 'README.md',
+          mode: '100644',
+          type: 'blob',
+          content: 'Slack notification state managed by notify-pr-review. Do not merge this branch.\n'
+        }]
+      });
+      const { data: commit } = await octokit.rest.git.createCommit({
+        owner,
+        repo,
+        message: 'Initialize PR notification state',
+        tree: tree.sha,
+        parents: []
+      });
+      await octokit.rest.git.createRef({
+        owner,
+        repo,
+        ref: `refs/heads/${branch}`,
+        sha: commit.sha
+      });
+    }
+
+    branchReady = true;
+  }
+
+  async function readFile(prNumber) {
+    try {
+      const { data } = await octokit.rest.repos.getContent({
+        owner,
+        repo,
+        path: statePath(prNumber),
+        ref: branch
+      });
+
+      return {
+        sha: data.sha,
+        state: JSON.parse(Buffer.from(data.content, 'base64').toString('utf-8'))
+      };
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  async function writeFile(prNumber, state, sha) {
+    await octokit.rest.repos.createOrUpdateFileContents({
+      owner,
+      repo,
+      path: statePath(prNumber),
+      branch,
+      message: `Update notification state for PR #${prNumber}`,
+      content: Buffer.from(JSON.stringify(state, null, 2)).toString('base64'),
+      ...(sha ? { sha } : {})
+    });
+  }
+
+  return {
+    name: 'git-ref',
+
+    async load(prNumber) {
+      const file = await readFile(prNumber);
+      return file ? file.state : null;
+    },
+
+    async save(prNumber, state) {
+      await ensureBranch();
+
+      const file = await readFile(prNumber);
+      try {
+        await writeFile(prNumber, state, file && file.sha);
+      } catch (error) {
+        // Another run updated the file in between, retry once with the new sha
+        if (error.status !== 409) throw error;
+        const latest = await readFile(prNumber);
+        await writeFile(prNumber, state, latest && latest.sha);
+      }
+    }
+  };
+}
+
+module.exports = { createGitRefStore };
@@ -0,0 +1,190 @@
+const core = require('@actions/core');
+const { getMessages } = require('../i18n');
+const { createPRBodyStore } = require('./pr-body');
+const { createCommentStore } = require('./comment');
+const { createGitRefStore } = require('./git-ref');
+const { createFileStore } = require('./file');
+
+const STATE_BACKENDS = ['pr-body', 'comment', 'git-ref', 'file'];
+
+/**
+ * Keep only the most recent thread replies so state stays small
+ */
+const MAX_REPLIES = 100;
+
+/**
+ * Create the state of a PR that has not been notified yet
+ * @returns {Object} PR state
+ */
+function createEmptyState() {
+  return {
+    threads: [],
+    status: null,
+    status_changed_at: null,
+    reviewers: [],
+    reviewer_slack_ids: [],
+    reviewer_sources: {},
+    codeowners: null,
+    assignment: null,
+    away: [],
+    warnings: [],
+    stats: null,
+    replies: [],
+    scheduled: [],
+    snoozed_until: null,
+    approved_by: [],
+    reactions: [],
+    reviews: [],
+    required_approvals: null,
+    ci: null,
+    held: [],
+    conflict: false,
+    labels: []
+  };
+}
+
+/**
+ * Set the status of a PR, remembering when it changed
+ * @param {Object} state - PR state
+ * @param {string} status - New PR status
+ */
+function setStatus(state, status) {
+  if (state.status !== status) {
+    state.status = status;
+    state.status_changed_at = new Date().toISOString();
+  }
+}
+
+/**
+ * Record a thread reply in PR state
+ * @param {Object} state - PR state
+ * @param {Object} reply - {channel, ts, type}
+ */
+function recordReply(state, reply) {
+  state.replies = [...state.replies, { ...reply, created_at: new Date().toISOString() }].slice(-MAX_REPLIES);
+}
+
+/**
+ * Remember who currently approves a PR
+ * Requesting changes afterwards withdraws the reviewer's approval
+ * @param {Object} state - PR state
+ * @param {string} login - GitHub username of the reviewer
+ * @param {string|null} reviewState - Submitted review state, null for plain comments
+ * @returns {boolean} Whether the approvals changed
+ */
+function recordReview(state, login, reviewState) {
+  if (reviewState === 'approved' && !state.approved_by.includes(login)) {
+    state.approved_by = [...state.approved_by, login];
+    return true;
+  }
+  if (reviewState === 'changes_requested' && state.approved_by.includes(login)) {
+    state.approved_by = state.approved_by.filter(approver => approver !== login);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Get the scheduled thread replies that Slack hasn't delivered yet
+ * @param {Object} state - PR state
+ * @param {number} now - Current timestamp in milliseconds (optional)
+ * @returns {Array<Object>} Pending scheduled replies
+ */
+function getPendingScheduled(state, now = Date.now()) {
+  return state.scheduled.filter(entry => entry.post_at * 1000 > now);
+}
+
+/**
+ * Record a thread reply scheduled for later delivery in PR state
+ * Replies that were already delivered are dropped at the same time
+ * @param {Object} state - PR state
+ * @param {Object} scheduled - {channel, scheduled_message_id, post_at, type, recipients}
+ */
+function recordScheduled(state, scheduled) {
+  state.scheduled = [...getPendingScheduled(state), { ...scheduled, created_at: new Date().toISOString() }];
+}
+
+/**
+ * Create the state store backend selected in config
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} config - Configuration object
+ * @param {Object} repo - {owner, repo}
+ * @returns {Object} Backend with load and save
+ */
+function createBackend(octokit, config, repo) {
+  const { backend, branch, path } = config.state;
+
+  switch (backend) {
+    case 'comment':
+      return createCommentStore(octokit, repo, getMessages(config).state_comment_note);
+    case 'git-ref':
+      return createGitRefStore(octokit, repo, branch);
+    case 'file':
+      return createFileStore(repo, path);
+    default:
+      return createPRBodyStore(octokit, repo);
+  }
+}
+
+/**
+ * Create a per-PR state store
+ * Loaded state always has every field of createEmptyState, and
+ * failures are logged instead of thrown, like the other GitHub helpers
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} config - Configuration object
+ * @param {Object} repo - {owner, repo}
+ * @returns {Object} {name, load(prNumber), save(prNumber, state)}
+ */
+function createStateStore(octokit, config, repo) {
+  const backend = createBackend(octokit, config, repo);
+  core.debug(`Using ${backend.name} state store`);
+
+  return {
+    name: backend.name,
+
+    /**
+     * @param {number} prNumber - PR number
+     * @returns {Promise<Object|null>} PR state or null when the PR has none
+     */
+    async load(prNumber) {
+      try {
+        const state = await backend.load(prNumber);
+        if (!state) {
+          core.debug(`No state found for PR #${prNumber}`);
+          return null;
+        }
+        return { ...createEmptyState(), ...state };
+      } catch (error) {
+        core.warning(`Failed to load state for PR #${prNumber}: ${error.message}`);
+        return null;
+      }
+    },
+
+    /**
+     * @param {number} prNumber - PR number
+     * @param {Object} state - PR state
+     * @returns {Promise<boolean>} Success
+     */
+    async save(prNumber, state) {
+      try {
+        await backend.save(prNumber, { ...state, updated_at: new Date().toISOString() });
+        core.debug(`Saved state for PR #${prNumber} to ${backend.name}`);
+        return true;
+      } catch (error) {
+        core.warning(`Failed to save state for PR #${prNumber}: ${error.message}`);
+        return false;
+      }
+    }
+  };
+}
+
+module.exports = {
+  STATE_BACKENDS,
+  createEmptyState,
+  setStatus,
+  recordReply,
+  recordReview,
+  getPendingScheduled,
+  recordScheduled,
+  createStateStore
+};
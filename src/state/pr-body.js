@@ -0,0 +1,173 @@
+const core = require('@actions/core');
+const { STATE_MARKER_PATTERN, serializeState, parseState } = require('./format');
+
+/**
+ * Longest PR body GitHub accepts, in characters
+ */
+const MAX_BODY_LENGTH = 65536;
+
+/**
+ * Fields needed to find the Slack threads of a PR, kept when nothing else fits
+ */
+const THREAD_FIELDS = ['threads', 'status', 'status_changed_at', 'updated_at'];
+
+/**
+ * Markers written by earlier versions, read for PRs notified before the state store
+ */
+const LEGACY_PATTERNS = {
+  threadTs: /<!-- slack-thread-ts: (.+?) -->/,
+  channel: /<!-- slack-channel: (.+?) -->/,
+  threads: /<!-- slack-threads: (.+?) -->/,
+  status: /<!-- slack-status: (.+?) -->/
+};
+
+/**
+ * Read state from the markers written by earlier versions
+ * @param {string} body - PR body
+ * @returns {Object|null} PR state or null
+ */
+function parseLegacyState(body) {
+  const threadsMatch = body.match(LEGACY_PATTERNS.threads);
+  const tsMatch = body.match(LEGACY_PATTERNS.threadTs);
+  const channelMatch = body.match(LEGACY_PATTERNS.channel);
+  const statusMatch = body.match(LEGACY_PATTERNS.status);
+
+  let threads = [];
+  if (threadsMatch) {
+    try {
+      threads = JSON.parse(threadsMatch[1]);
+    } catch (error) {
+      core.warning(`Failed to parse legacy Slack threads marker: ${error.message}`);
+    }
+  }
+  if (threads.length === 0 && tsMatch && channelMatch) {
+    threads = [{ channel: channelMatch[1], ts: tsMatch[1] }];
+  }
+
+  if (threads.length === 0 && !statusMatch) {
+    return null;
+  }
+
+  return {
+    threads,
+    status: statusMatch ? statusMatch[1] : null
+  };
+}
+
+/**
+ * Remove every state marker from a PR body
+ * @param {string} body - PR body
+ * @returns {string} PR body without markers
+ */
+function stripMarkers(body) {
+  return [STATE_MARKER_PATTERN, ...Object.values(LEGACY_PATTERNS)]
+    .reduce((text, pattern) => text.replace(new RegExp(`\\n*${pattern.source}`, 'g'), ''), body)
+    .trimEnd();
+}
+
+/**
+ * Serialize state into the room the PR description leaves
+ * Reply history is pruned oldest first, then delivered scheduled replies,
+ * and when that is not enough only the fields needed to find threads are kept
+ * @param {Object} state - PR state
+ * @param {number} room - Characters available for the marker
+ * @returns {string} HTML comment holding the state
+ */
+function serializeWithin(state, room) {
+  let marker = serializeState(state);
+  let pruned = state;
+
+  while (marker.length > room && pruned.replies && pruned.replies.length > 0) {
+    pruned = { ...pruned, replies: pruned.replies.slice(Math.ceil(pruned.replies.length / 2)) };
+    marker = serializeState(pruned);
+  }
+  if (marker.length > room && pruned.scheduled) {
+    const now = Date.now();
+    pruned = { ...pruned, scheduled: pruned.scheduled.filter(entry => entry.post_at * 1000 > now) };
+    marker = serializeState(pruned);
+  }
+  if (marker.length > room) {
+    pruned = Object.fromEntries(THREAD_FIELDS.filter(field => field in state).map(field => [field, state[field]]));
+    marker = serializeState(pruned);
+    core.warning('PR description has no room for the full notification state, keeping only the Slack threads');
+  }
+  if (marker.length > room) {
+    throw new Error(`PR description leaves no room for the notification state (${MAX_BODY_LENGTH} characters at most)`);
+  }
+
+  if (pruned !== state) {
+    core.debug(`Pruned notification state to fit the PR description (${marker.length} of ${room} characters)`);
+  }
+  return marker;
+}
+
+/**
+ * Check whether two states hold the same data, ignoring when they were saved
+ * @param {Object} a - PR state
+ * @param {Object} b - PR state
+ * @returns {boolean} Whether the states match
+ */
+function isSameState(a, b) {
+  const canonical = ({ updated_at: updatedAt, ...state }) => JSON.stringify(state, (key, value) => (
+    value && typeof value === 'object' && !Array.isArray(value)
+      ? Object.fromEntries(Object.keys(value).sort().map(name => [name, value[name]]))
+      : value
+  ));
+  return canonical(a) === canonical(b);
+}
+
+/**
+ * Create a state store that keeps state in a hidden comment in the PR description
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} repo - {owner, repo}
+ * @returns {Object} State store backend
+ */
+function createPRBodyStore(octokit, { owner, repo }) {
+  return {
+    name: 'pr-body',
+
+    async load(prNumber) {
+      const { data: pr } = await octokit.rest.pulls.get({
+        owner,
+        repo,
+        pull_number: prNumber
+      });
+
+      const body = pr.body || '';
+      return parseState(body) || parseLegacyState(body);
+    },
+
+    async save(prNumber, state) {
+      const { data: pr } = await octokit.rest.pulls.get({
+        owner,
+        repo,
+        pull_number: prNumber
+      });
+
+      const body = stripMarkers(pr.body || '');
+      const marker = serializeWithin(state, MAX_BODY_LENGTH - body.length - 2);
+
+      // Every write is an edit of the author's description and fires an edited event,
+      // so the description is only rewritten when the state actually changed
+      const saved = parseState(pr.body || '');
+      if (saved && isSameState(saved, parseState(marker))) {
+        core.debug(`State of PR #${prNumber} is unchanged, leaving the description as is`);
+        return;
+      }
+
+      await octokit.rest.pulls.update({
+        owner,
+        repo,
+        pull_number: prNumber,
+        body: `${body}\n\n${marker}`
+      });
+    }
+  };
+}
+
+module.exports = {
+  MAX_BODY_LENGTH,
+  serializeWithin,
+  stripMarkers,
+  createPRBodyStore
+};
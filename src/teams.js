@@ -0,0 +1,85 @@
+/**
+ * Find the Slack user group a GitHub team is mapped to
+ * Mappings may name a team as `org/slug` or just `slug`
+ * @param {Object} teamMappings - Normalized `team_mappings` (lowercased keys)
+ * @param {string} team - Team as `org/slug`
+ * @returns {string|null} Slack user group ID or null when the team is not mapped
+ */
+function getTeamGroupId(teamMappings, team) {
+  const key = team.toLowerCase();
+  const slug = key.split('/').pop();
+  return teamMappings[key] || teamMappings[slug] || null;
+}
+
+/**
+ * Split owners into mapped teams and everyone else
+ * @param {Array<string>} owners - Users or `org/slug` teams
+ * @param {Object} teamMappings - Normalized `team_mappings`
+ * @returns {Object} {groups: Array<{team, groupId}>, rest: Array<string>}
+ */
+function splitMappedTeams(owners, teamMappings) {
+  const groups = [];
+  const rest = [];
+
+  for (const owner of owners) {
+    const groupId = owner.includes('/') ? getTeamGroupId(teamMappings, owner) : null;
+    if (groupId) {
+      groups.push({ team: owner, groupId });
+    } else {
+      rest.push(owner);
+    }
+  }
+
+  return { groups, rest };
+}
+
+/**
+ * Pick at most `max_members` members of an unmapped team
+ * Round-robin rotates through the sorted members by PR number, so consecutive
+ * PRs land on different people without keeping any state
+ * @param {Array<string>} members - Team members' GitHub usernames
+ * @param {Object} expansion - Normalized `team_expansion`: {max_members, sampling}
+ * @param {number} seed - PR number
+ * @returns {Array<string>} Selected members
+ */
+function sampleTeamMembers(members, expansion, seed) {
+  const max = expansion.max_members;
+  if (!max || members.length <= max) {
+    return members;
+  }
+
+  if (expansion.sampling === 'round-robin') {
+    const sorted = [...members].sort();
+    const start = (seed * max) % sorted.length;
+    return Array.from({ length: max }, (_, i) => sorted[(start + i) % sorted.length]);
+  }
+
+  const shuffled = [...members];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled.slice(0, max);
+}
+
+/**
+ * Get how teams are handled for a PR: mapped teams are mentioned as Slack user
+ * groups, others are expanded to a sample of their members
+ * @param {Object} config - Configuration object
+ * @param {Object} prData - Parsed PR data
+ * @returns {Object} {teamMappings, expansion, seed}
+ */
+function getTeamOptions(config, prData) {
+  return {
+    teamMappings: config.team_mappings,
+    expansion: config.team_expansion,
+    seed: prData.number
+  };
+}
+
+module.exports = {
+  getTeamGroupId,
+  splitMappedTeams,
+  sampleTeamMembers,
+  getTeamOptions
+};
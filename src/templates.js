@@ -0,0 +1,699 @@
+const core = require('@actions/core');
+
+/**
+ * Event types that can have their own template
+ * `opened` is the PR card, `merged` overrides it once the PR is merged.
+ * `comment` is the thread reply, `approved` and `changes_requested` override it for reviews.
+ * `synchronize` is the thread reply for pushed commits, `review_requested` for added reviewers
+ * and `note` for short notes about reopened, drafted or edited PRs (and reminder nudges).
+ * `digest` is the scheduled stale-PR digest posted to the channel, `dm_digest` the personal one.
+ */
+const TEMPLATE_EVENTS = ['opened', 'merged', 'comment', 'approved', 'changes_requested', 'synchronize', 'review_requested', 'note', 'digest', 'dm_digest'];
+
+/**
+ * Slack Block Kit limits checked before a message is sent
+ * https://api.slack.com/reference/block-kit/blocks
+ */
+const SLACK_LIMITS = {
+  blocks: 50,
+  fallbackText: 40000,
+  blockId: 255,
+  headerText: 150,
+  sectionText: 3000,
+  fields: 10,
+  fieldText: 2000,
+  contextElements: 10,
+  contextText: 3000,
+  actionElements: 25,
+  buttonText: 75,
+  url: 3000
+};
+
+const BLOCK_TYPES = ['section', 'divider', 'header', 'context', 'actions', 'image', 'rich_text', 'video', 'file', 'input'];
+
+/**
+ * Built-in templates, used when the config file does not define one
+ */
+const DEFAULT_TEMPLATES = {
+  opened: {
+    text: '{{fallback}}',
+    blocks: [
+      {
+        type: 'header',
+        text: {
+          type: 'plain_text',
+          text: '{{t.card_header}}'
+        }
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: '*<{{pr.url}}|{{pr.title}}>*\n`{{pr.head}}` → `{{pr.base}}`'
+        }
+      },
+      {
+        type: 'section',
+        fields: [
+          {
+            type: 'mrkdwn',
+            text: '*{{t.field_author}}:*\n{{author}}'
+          },
+          {
+            type: 'mrkdwn',
+            text: '*{{t.field_reviewers}}:*\n{{#reviewers}}{{reviewers}}{{/reviewers}}{{^reviewers}}_{{t.none}}_{{/reviewers}}'
+          },
+          {
+            type: 'mrkdwn',
+            text: '*{{t.field_changes}}:*\n{{changes}}'
+          },
+          {
+            type: 'mrkdwn',
+            text: '*{{t.field_status}}:*\n{{status.emoji}} {{status.text}}{{#conflict}}\n{{conflict}}{{/conflict}}{{#approvals}}\n{{approvals}}{{/approvals}}'
+          },
+          {
+            type: 'mrkdwn',
+            text: '{{#ci}}*{{t.field_ci}}:*\n{{ci}}{{/ci}}'
+          }
+        ]
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: '{{#owners}}*{{t.field_codeowners}}:*\n{{owners}}{{/owners}}'
+        }
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: '{{assignment}}'
+          }
+        ]
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: '{{snoozed}}'
+          }
+        ]
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: '{{warnings}}'
+          }
+        ]
+      },
+      {
+        type: 'divider'
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: '{{pr.summary}}'
+        }
+      },
+      {
+        type: 'actions',
+        elements: [
+          {
+            type: 'button',
+            text: {
+              type: 'plain_text',
+              text: '{{t.button_view_pr}}'
+            },
+            url: '{{pr.url}}',
+            style: 'primary'
+          },
+          {
+            type: 'button',
+            text: {
+              type: 'plain_text',
+              text: '{{t.button_view_files}}'
+            },
+            url: '{{pr.files_url}}'
+          },
+          {
+            type: 'button',
+            action_id: 'claim_review',
+            text: {
+              type: 'plain_text',
+              text: '{{#interactive}}{{t.button_claim_review}}{{/interactive}}'
+            },
+            value: '{{interactive}}'
+          },
+          {
+            type: 'button',
+            action_id: 'snooze',
+            text: {
+              type: 'plain_text',
+              text: '{{#interactive}}{{t.button_snooze}}{{/interactive}}'
+            },
+            value: '{{interactive}}'
+          },
+          {
+            type: 'button',
+            action_id: 'mark_urgent',
+            text: {
+              type: 'plain_text',
+              text: '{{#interactive}}{{t.button_mark_urgent}}{{/interactive}}'
+            },
+            value: '{{interactive}}',
+            style: 'danger'
+          }
+        ]
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: '📍 {{repo.name}} • {{pr.created_at}}'
+          }
+        ]
+      }
+    ]
+  },
+  comment: {
+    text: '{{comment.fallback}}',
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: '{{comment.emoji}} *{{comment.title}}*\n{{comment.action}}'
+        }
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: '{{comment.quote}}'
+        }
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: '{{#mentions}}👤 {{t.mentions_label}}: {{mentions}}{{/mentions}}'
+          }
+        ]
+      },
+      {
+        type: 'actions',
+        elements: [
+          {
+            type: 'button',
+            text: {
+              type: 'plain_text',
+              text: '{{t.button_view_comment}}'
+            },
+            url: '{{comment.url}}',
+            style: '{{comment.button_style}}'
+          }
+        ]
+      }
+    ]
+  },
+  synchronize: {
+    text: '{{fallback}}',
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: '🔄 *{{push.title}}*{{#push.forced}}\n{{t.sync_forced}}{{/push.forced}}'
+        }
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: '{{push.commits}}'
+        }
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: '{{push.changes}}'
+          }
+        ]
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: '{{re_review}}'
+        }
+      }
+    ]
+  },
+  review_requested: {
+    text: '{{fallback}}',
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: '👀 *{{t.review_request_title}}*\n{{request.action}}'
+        }
+      },
+      {
+        type: 'actions',
+        elements: [
+          {
+            type: 'button',
+            text: {
+              type: 'plain_text',
+              text: '{{t.button_view_files}}'
+            },
+            url: '{{pr.files_url}}',
+            style: 'primary'
+          }
+        ]
+      }
+    ]
+  },
+  note: {
+    text: '{{fallback}}',
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: '{{note}}'
+        }
+      }
+    ]
+  },
+  digest: {
+    text: '{{fallback}}',
+    blocks: [
+      {
+        type: 'header',
+        text: {
+          type: 'plain_text',
+          text: '{{t.digest_header}}',
+          emoji: true
+        }
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: '{{digest.summary}}'
+        }
+      },
+      {
+        type: 'divider'
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: '{{digest.body}}'
+        }
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: '📍 <{{repo.url}}|{{repo.full_name}}>'
+          }
+        ]
+      }
+    ]
+  },
+  dm_digest: {
+    text: '{{fallback}}',
+    blocks: [
+      {
+        type: 'header',
+        text: {
+          type: 'plain_text',
+          text: '{{t.dm_digest_header}}',
+          emoji: true
+        }
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: '{{digest.summary}}'
+        }
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: '{{digest.body}}'
+        }
+      }
+    ]
+  }
+};
+
+/**
+ * Look up a dotted path such as `pr.title` in template variables
+ * @param {Object} vars - Template variables
+ * @param {string} path - Dotted path
+ * @returns {*} Value or undefined
+ */
+function lookup(vars, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), vars);
+}
+
+/**
+ * Render placeholders in a string
+ * Supports `{{key}}`, `{{#key}}shown when set{{/key}}` and `{{^key}}shown when empty{{/key}}`
+ * @param {string} text - Template string
+ * @param {Object} vars - Template variables
+ * @returns {string} Rendered string
+ */
+function renderString(text, vars) {
+  const withSections = text.replace(
+    /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g,
+    (match, kind, path, inner) => {
+      const value = lookup(vars, path);
+      const present = Array.isArray(value) ? value.length > 0 : Boolean(value);
+      return (kind === '#') === present ? inner : '';
+    }
+  );
+
+  return withSections.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+    const value = lookup(vars, path);
+    if (value === undefined || value === null) {
+      core.debug(`Template placeholder ${match} has no value`);
+      return '';
+    }
+    return String(value);
+  });
+}
+
+/**
+ * Render placeholders in every string of a template value
+ * @param {*} value - Template value (object, array or primitive)
+ * @param {Object} vars - Template variables
+ * @returns {*} Rendered value
+ */
+function renderValue(value, vars) {
+  if (typeof value === 'string') {
+    return renderString(value, vars);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => renderValue(item, vars));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, renderValue(item, vars)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Drop parts of rendered blocks that ended up empty, so optional
+ * sections and buttons can be expressed with `{{#key}}...{{/key}}`
+ * @param {Array<Object>} blocks - Rendered blocks
+ * @returns {Array<Object>} Blocks without empty parts
+ */
+function pruneBlocks(blocks) {
+  return blocks
+    .map(block => {
+      if (!block || typeof block !== 'object') {
+        return block;
+      }
+
+      if (block.type === 'section') {
+        const pruned = { ...block };
+        if (pruned.text && !String(pruned.text.text || '').trim()) {
+          delete pruned.text;
+        }
+        if (pruned.fields) {
+          pruned.fields = pruned.fields.filter(field => field.text && field.text.trim());
+          if (pruned.fields.length === 0) {
+            delete pruned.fields;
+          }
+        }
+        return pruned.text || pruned.fields ? pruned : null;
+      }
+
+      if (block.type === 'context' && Array.isArray(block.elements)) {
+        const elements = block.elements.filter(element =>
+          (element.type !== 'mrkdwn' && element.type !== 'plain_text') || String(element.text || '').trim()
+        );
+        return elements.length > 0 ? { ...block, elements } : null;
+      }
+
+      if (block.type === 'actions' && Array.isArray(block.elements)) {
+        const elements = block.elements
+          .filter(element => element.type !== 'button' || String((element.text && element.text.text) || '').trim())
+          .map(element => {
+            if (element.style === '') {
+              const { style, ...rest } = element;
+              return rest;
+            }
+            return element;
+          });
+        return elements.length > 0 ? { ...block, elements } : null;
+      }
+
+      return block;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Length of a text object's text, tolerating malformed templates
+ * @param {Object} textObject - Block Kit text object
+ * @returns {number} Text length
+ */
+function textLength(textObject) {
+  return String((textObject && textObject.text) || '').length;
+}
+
+/**
+ * Validate a message against Slack Block Kit limits
+ * @param {Object} message - Message payload with blocks and text
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateMessage(message) {
+  const errors = [];
+  const blocks = message.blocks;
+
+  if (!Array.isArray(blocks)) {
+    return ['blocks must be an array'];
+  }
+
+  if (blocks.length > SLACK_LIMITS.blocks) {
+    errors.push(`message has ${blocks.length} blocks (max ${SLACK_LIMITS.blocks})`);
+  }
+
+  if (message.text && message.text.length > SLACK_LIMITS.fallbackText) {
+    errors.push(`fallback text exceeds ${SLACK_LIMITS.fallbackText} characters`);
+  }
+
+  blocks.forEach((block, index) => {
+    const where = `block #${index + 1} (${block && block.type})`;
+
+    if (!block || !BLOCK_TYPES.includes(block.type)) {
+      errors.push(`${where}: unknown block type`);
+      return;
+    }
+
+    if (block.block_id && block.block_id.length > SLACK_LIMITS.blockId) {
+      errors.push(`${where}: block_id exceeds ${SLACK_LIMITS.blockId} characters`);
+    }
+
+    if (block.type === 'header') {
+      if (!block.text || block.text.type !== 'plain_text') {
+        errors.push(`${where}: header text must be plain_text`);
+      } else if (textLength(block.text) > SLACK_LIMITS.headerText) {
+        errors.push(`${where}: header text exceeds ${SLACK_LIMITS.headerText} characters`);
+      }
+    }
+
+    if (block.type === 'section') {
+      if (!block.text && !block.fields) {
+        errors.push(`${where}: section needs text or fields`);
+      }
+      if (block.text && textLength(block.text) > SLACK_LIMITS.sectionText) {
+        errors.push(`${where}: section text exceeds ${SLACK_LIMITS.sectionText} characters`);
+      }
+      if (block.fields) {
+        if (block.fields.length > SLACK_LIMITS.fields) {
+          errors.push(`${where}: section has more than ${SLACK_LIMITS.fields} fields`);
+        }
+        block.fields.forEach(field => {
+          if (textLength(field) > SLACK_LIMITS.fieldText) {
+            errors.push(`${where}: field text exceeds ${SLACK_LIMITS.fieldText} characters`);
+          }
+        });
+      }
+    }
+
+    if (block.type === 'context') {
+      if (!Array.isArray(block.elements) || block.elements.length === 0) {
+        errors.push(`${where}: context needs at least one element`);
+      } else {
+        if (block.elements.length > SLACK_LIMITS.contextElements) {
+          errors.push(`${where}: context has more than ${SLACK_LIMITS.contextElements} elements`);
+        }
+        block.elements.forEach(element => {
+          if (element && typeof element.text === 'string' && element.text.length > SLACK_LIMITS.contextText) {
+            errors.push(`${where}: context text exceeds ${SLACK_LIMITS.contextText} characters`);
+          }
+        });
+      }
+    }
+
+    if (block.type === 'actions') {
+      if (!Array.isArray(block.elements) || block.elements.length === 0) {
+        errors.push(`${where}: actions needs at least one element`);
+        return;
+      }
+      if (block.elements.length > SLACK_LIMITS.actionElements) {
+        errors.push(`${where}: actions has more than ${SLACK_LIMITS.actionElements} elements`);
+      }
+      block.elements
+        .filter(element => element.type === 'button')
+        .forEach(button => {
+          if (!button.text || button.text.type !== 'plain_text') {
+            errors.push(`${where}: button text must be plain_text`);
+          } else if (textLength(button.text) > SLACK_LIMITS.buttonText) {
+            errors.push(`${where}: button text exceeds ${SLACK_LIMITS.buttonText} characters`);
+          }
+          if (button.url && button.url.length > SLACK_LIMITS.url) {
+            errors.push(`${where}: button url exceeds ${SLACK_LIMITS.url} characters`);
+          }
+        });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Shorten text to a length limit, marking the cut with an ellipsis
+ * @param {string} text - Text to shorten
+ * @param {number} max - Maximum length
+ * @returns {string} Text within the limit
+ */
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+/**
+ * Shorten the text of a Block Kit text object
+ * @param {Object} textObject - Block Kit text object
+ * @param {number} max - Maximum length
+ * @returns {Object} Text object within the limit
+ */
+function truncateText(textObject, max) {
+  if (!textObject || typeof textObject.text !== 'string') {
+    return textObject;
+  }
+  return { ...textObject, text: truncate(textObject.text, max) };
+}
+
+/**
+ * Cut a message down to Slack Block Kit limits
+ * Built-in templates render PR titles, descriptions and reviewer lists that
+ * can be arbitrarily long, so their messages are shortened instead of rejected
+ * @param {Object} message - Message payload with blocks and text
+ * @returns {Object} Message payload within the limits
+ */
+function fitMessage(message) {
+  const blocks = message.blocks.slice(0, SLACK_LIMITS.blocks).map(block => {
+    switch (block.type) {
+      case 'header':
+        return { ...block, text: truncateText(block.text, SLACK_LIMITS.headerText) };
+      case 'section':
+        return {
+          ...block,
+          ...(block.text && { text: truncateText(block.text, SLACK_LIMITS.sectionText) }),
+          ...(block.fields && {
+            fields: block.fields.slice(0, SLACK_LIMITS.fields).map(field => truncateText(field, SLACK_LIMITS.fieldText))
+          })
+        };
+      case 'context':
+        return {
+          ...block,
+          elements: block.elements.slice(0, SLACK_LIMITS.contextElements).map(element => truncateText(element, SLACK_LIMITS.contextText))
+        };
+      case 'actions':
+        return {
+          ...block,
+          elements: block.elements.slice(0, SLACK_LIMITS.actionElements).map(element => (
+            element.type === 'button' ? { ...element, text: truncateText(element.text, SLACK_LIMITS.buttonText) } : element
+          ))
+        };
+      default:
+        return block;
+    }
+  });
+
+  return {
+    blocks,
+    text: message.text && truncate(message.text, SLACK_LIMITS.fallbackText)
+  };
+}
+
+/**
+ * Render a message from a template
+ * Messages from the built-in template are cut down to Slack Block Kit limits,
+ * since PR titles, descriptions and reviewer lists can be arbitrarily long.
+ * A custom template that renders past the limits falls back to the built-in one,
+ * so a long PR never loses its notification
+ * @param {Object} template - Custom template (optional)
+ * @param {Object} defaultTemplate - Built-in template
+ * @param {Object} vars - Template variables
+ * @returns {Object} Slack message payload
+ */
+function renderMessage(template, defaultTemplate, vars) {
+  if (template) {
+    const message = {
+      blocks: pruneBlocks(renderValue(template.blocks, vars)),
+      text: renderString(template.text || defaultTemplate.text, vars)
+    };
+
+    const errors = validateMessage(message);
+    if (errors.length === 0) {
+      return message;
+    }
+
+    core.warning(`Custom template produced a Slack message that exceeds Block Kit limits, using built-in template: ${errors.join('; ')}`);
+  }
+
+  const message = {
+    blocks: pruneBlocks(renderValue(defaultTemplate.blocks, vars)),
+    text: renderString(defaultTemplate.text, vars)
+  };
+
+  const errors = validateMessage(message);
+  if (errors.length === 0) {
+    return message;
+  }
+
+  core.debug(`Shortening Slack message to Block Kit limits: ${errors.join('; ')}`);
+  return fitMessage(message);
+}
+
+module.exports = {
+  TEMPLATE_EVENTS,
+  DEFAULT_TEMPLATES,
+  renderMessage,
+  validateMessage
+};
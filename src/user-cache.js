@@ -0,0 +1,149 @@
+const fs = require('fs');
+const core = require('@actions/core');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Wait after a change before writing the cache file, so a burst of lookups is written once
+ */
+const FLUSH_DELAY_MS = 1000;
+
+/**
+ * Caches opened in this process, keyed by file path
+ * Every event handled by the webhook server shares one cache per file,
+ * so concurrent events don't overwrite each other's entries
+ */
+const openCaches = new Map();
+
+/**
+ * Write cache entries to a temp file and move it over the cache file,
+ * so a reader never sees a half written file
+ * @param {string} path - Cache file path
+ * @param {Object} entries - Cache entries
+ * @returns {Promise<void>}
+ */
+async function writeEntries(path, entries) {
+  const tempPath = `${path}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, JSON.stringify(entries, null, 2));
+  await fs.promises.rename(tempPath, path);
+}
+
+/**
+ * Create a persistent GitHub → Slack user cache backed by a JSON file
+ * The file only outlives the job when the workflow restores it, e.g. with
+ * actions/cache. Entries remember the email mapping they were resolved with,
+ * so changing USER_MAPPINGS takes effect without waiting for the TTL.
+ * The file is read once per process and changes are written in the background;
+ * flushUserCaches writes what is left before the process exits
+ * @param {Object} settings - Normalized `user_cache` config: {enabled, path, ttl_hours, negative_ttl_hours}
+ * @returns {Object} {get(username, mapping), set(username, mapping, slackId, source), findUsername(slackId), flush()}
+ */
+function createUserCache(settings) {
+  if (!settings || !settings.enabled) {
+    return {
+      get: () => undefined,
+      set: () => {},
+      findUsername: () => null,
+      flush: async () => {}
+    };
+  }
+
+  if (openCaches.has(settings.path)) {
+    return openCaches.get(settings.path);
+  }
+
+  let entries = {};
+  try {
+    if (fs.existsSync(settings.path)) {
+      entries = JSON.parse(fs.readFileSync(settings.path, 'utf8'));
+      core.debug(`Loaded ${Object.keys(entries).length} cached Slack users from ${settings.path}`);
+    }
+  } catch (error) {
+    core.warning(`Ignoring unreadable user cache ${settings.path}: ${error.message}`);
+  }
+
+  let dirty = false;
+  let timer = null;
+  // Writes run one after another, so an older snapshot never replaces a newer one
+  let writing = Promise.resolve();
+
+  const cache = {
+    /**
+     * @param {string} username - GitHub username
+     * @param {string|null} mapping - Email from USER_MAPPINGS, if any
+     * @returns {Object|undefined} {slack_id, source}, slack_id is null for a cached miss; undefined when not cached
+     */
+    get(username, mapping) {
+      const entry = entries[username];
+      if (!entry || entry.mapping !== mapping) {
+        return undefined;
+      }
+
+      const ttlHours = entry.slack_id ? settings.ttl_hours : settings.negative_ttl_hours;
+      if (Date.now() - new Date(entry.cached_at).getTime() > ttlHours * HOUR_MS) {
+        return undefined;
+      }
+
+      return entry;
+    },
+
+    /**
+     * @param {string} username - GitHub username
+     * @param {string|null} mapping - Email from USER_MAPPINGS, if any
+     * @param {string|null} slackId - Resolved Slack User ID, null when not found
+     * @param {string|null} source - Identity resolver that found the user
+     */
+    set(username, mapping, slackId, source) {
+      entries[username] = { slack_id: slackId, source, mapping, cached_at: new Date().toISOString() };
+      dirty = true;
+      if (!timer) {
+        timer = setTimeout(() => cache.flush(), FLUSH_DELAY_MS);
+      }
+    },
+
+    /**
+     * @param {string} slackId - Slack User ID
+     * @returns {string|null} GitHub username cached for the Slack user, null when none is still fresh
+     */
+    findUsername(slackId) {
+      const username = Object.keys(entries).find(name => (
+        entries[name].slack_id === slackId &&
+        Date.now() - new Date(entries[name].cached_at).getTime() <= settings.ttl_hours * HOUR_MS
+      ));
+      return username || null;
+    },
+
+    /**
+     * Write pending changes to the cache file
+     * @returns {Promise<void>} Resolves once the file is written
+     */
+    flush() {
+      clearTimeout(timer);
+      timer = null;
+      if (dirty) {
+        dirty = false;
+        const snapshot = { ...entries };
+        writing = writing
+          .then(() => writeEntries(settings.path, snapshot))
+          .catch(error => core.warning(`Failed to write user cache ${settings.path}: ${error.message}`));
+      }
+      return writing;
+    }
+  };
+
+  openCaches.set(settings.path, cache);
+  return cache;
+}
+
+/**
+ * Write pending changes of every cache opened in this process
+ * @returns {Promise<void>}
+ */
+async function flushUserCaches() {
+  await Promise.all(Array.from(openCaches.values(), cache => cache.flush()));
+}
+
+module.exports = {
+  createUserCache,
+  flushUserCaches
+};
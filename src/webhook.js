@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const http = require('http');
+const core = require('@actions/core');
+
+/**
+ * GitHub caps webhook payloads at 25 MB
+ */
+const MAX_PAYLOAD_BYTES = 25 * 1024 * 1024;
+
+/**
+ * Slack requests older than this are rejected as possible replays
+ */
+const SLACK_MAX_AGE_SECONDS = 5 * 60;
+
+/**
+ * Verify the `X-Hub-Signature-256` header of a webhook delivery
+ * @param {string} secret - Webhook secret
+ * @param {Buffer} body - Raw request body
+ * @param {string} signature - Header value (`sha256=<hex>`)
+ * @returns {boolean} Whether the body was signed with the secret
+ */
+function verifySignature(secret, body, signature) {
+  if (!signature || !signature.startsWith('sha256=')) {
+    return false;
+  }
+
+  const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`);
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Verify the `X-Slack-Signature` header of a Slack interactivity request
+ * @param {string} signingSecret - Slack app signing secret
+ * @param {Buffer} body - Raw request body
+ * @param {string} timestamp - `X-Slack-Request-Timestamp` header
+ * @param {string} signature - `X-Slack-Signature` header (`v0=<hex>`)
+ * @param {number} now - Current timestamp in milliseconds (optional)
+ * @returns {boolean} Whether the request is recent and signed with the secret
+ */
+function verifySlackSignature(signingSecret, body, timestamp, signature, now = Date.now()) {
+  // A non-numeric timestamp would compare as NaN and pass the age check
+  if (!signature || !timestamp || !Number.isFinite(Number(timestamp))) {
+    return false;
+  }
+  if (Math.abs(now / 1000 - Number(timestamp)) > SLACK_MAX_AGE_SECONDS) {
+    return false;
+  }
+
+  const hmac = crypto.createHmac('sha256', signingSecret).update(`v0:${timestamp}:`).update(body).digest('hex');
+  const expected = Buffer.from(`v0=${hmac}`);
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Build the part of the GitHub Actions context the handlers use from a webhook delivery
+ * @param {string} eventName - `X-GitHub-Event` header
+ * @param {Object} payload - Webhook payload with a repository
+ * @returns {Object} {eventName, payload, repo, issue}
+ */
+function createWebhookContext(eventName, payload) {
+  const repo = { owner: payload.repository.owner.login, repo: payload.repository.name };
+
+  return {
+    eventName,
+    payload,
+    repo,
+    issue: { ...repo, number: (payload.issue || payload.pull_request || payload).number }
+  };
+}
+
+/**
+ * Parse a webhook body, which GitHub sends as JSON or as a form with a `payload` field
+ * @param {Buffer} body - Raw request body
+ * @param {string} contentType - `Content-Type` header
+ * @returns {Object} Webhook payload
+ */
+function parsePayload(body, contentType = '') {
+  const text = body.toString('utf8');
+  if (contentType.startsWith('application/x-www-form-urlencoded')) {
+    return JSON.parse(new URLSearchParams(text).get('payload'));
+  }
+  return JSON.parse(text);
+}
+
+/**
+ * Read a request body up to a size limit
+ * @param {Object} req - Incoming HTTP request
+ * @param {number} limit - Maximum size in bytes
+ * @returns {Promise<Buffer>} Raw body
+ */
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        const error = new Error('Payload too large');
+        error.statusCode = 413;
+        req.destroy();
+        reject(error);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Read the server settings from the environment, falling back to the config `server` section
+ * @param {Object} env - Environment variables
+ * @param {Object} serverConfig - Normalized `server` config
+ * @returns {Object} {secret, signingSecret, slackBotToken, githubToken, slackChannel, port, path, interactivityPath}
+ */
+function readServerSettings(env, serverConfig) {
+  const settings = {
+    secret: env.GITHUB_WEBHOOK_SECRET || null,
+    signingSecret: env.SLACK_SIGNING_SECRET || null,
+    slackBotToken: env.SLACK_BOT_TOKEN,
+    githubToken: env.GITHUB_TOKEN,
+    slackChannel: env.SLACK_CHANNEL || serverConfig.slack_channel,
+    port: env.PORT ? Number(env.PORT) : serverConfig.port,
+    path: env.WEBHOOK_PATH || serverConfig.path,
+    interactivityPath: serverConfig.interactivity_path
+  };
+
+  const missing = [
+    ['SLACK_BOT_TOKEN', settings.slackBotToken],
+    ['GITHUB_TOKEN', settings.githubToken],
+    ['SLACK_CHANNEL', settings.slackChannel]
+  ].filter(([, value]) => !value).map(([name]) => name);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing required settings: ${missing.join(', ')}`);
+  }
+
+  return settings;
+}
+
+/**
+ * Create an HTTP server that receives GitHub webhooks and, when a Slack signing
+ * secret is set, clicks on Slack card buttons
+ * Requests are acknowledged right away and handled one at a time, so two
+ * events of the same PR never race on its state. Work that runs beside the
+ * queue can still update state in turn through `exclusive`
+ * @param {Object} settings - {secret, path, signingSecret, interactivityPath}
+ * @param {Function} onEvent - async (eventName, payload, deliveryId) => void
+ * @param {Function} onAction - async (payload) => void for Slack block actions (optional)
+ * @returns {Object} {server, enqueue(eventName, payload, deliveryId): Promise<void>, exclusive(task): Promise}
+ */
+function createWebhookServer(settings, onEvent, onAction = null) {
+  let queue = Promise.resolve();
+
+  function schedule(task, description) {
+    queue = queue
+      .then(task)
+      .catch(error => {
+        core.error(`Failed to handle ${description}: ${error.message}`);
+        core.debug(error.stack);
+      });
+    return queue;
+  }
+
+  function enqueue(eventName, payload, deliveryId) {
+    return schedule(() => onEvent(eventName, payload, deliveryId), `delivery ${deliveryId}`);
+  }
+
+  // Unlike schedule, the task's result and errors go back to the caller
+  function exclusive(task) {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  async function handleSlackRequest(req, reply) {
+    let body;
+    try {
+      body = await readBody(req, MAX_PAYLOAD_BYTES);
+    } catch (error) {
+      reply(error.statusCode || 400, error.message);
+      return;
+    }
+
+    if (!verifySlackSignature(settings.signingSecret, body, req.headers['x-slack-request-timestamp'], req.headers['x-slack-signature'])) {
+      core.warning('Rejected Slack request: invalid signature');
+      reply(401, 'Invalid signature');
+      return;
+    }
+
+    let payload;
+    try {
+      payload = parsePayload(body, 'application/x-www-form-urlencoded');
+    } catch (error) {
+      reply(400, 'Invalid payload');
+      return;
+    }
+
+    // Slack expects an answer within 3 seconds; the card is updated afterwards
+    reply(200, '');
+    if (payload.type === 'block_actions') {
+      schedule(() => onAction(payload), `Slack action from ${payload.user && payload.user.id}`);
+    }
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const reply = (statusCode, text) => {
+      res.writeHead(statusCode, { 'Content-Type': 'text/plain' });
+      res.end(text);
+    };
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method === 'GET' && pathname === '/healthz') {
+      reply(200, 'ok');
+      return;
+    }
+    if (onAction && settings.signingSecret && req.method === 'POST' && pathname === settings.interactivityPath) {
+      await handleSlackRequest(req, reply);
+      return;
+    }
+    if (pathname !== settings.path) {
+      reply(404, 'Not found');
+      return;
+    }
+    if (req.method !== 'POST') {
+      reply(405, 'Method not allowed');
+      return;
+    }
+
+    const deliveryId = req.headers['x-github-delivery'] || 'unknown';
+    const eventName = req.headers['x-github-event'];
+
+    let body;
+    try {
+      body = await readBody(req, MAX_PAYLOAD_BYTES);
+    } catch (error) {
+      reply(error.statusCode || 400, error.message);
+      return;
+    }
+
+    if (!verifySignature(settings.secret, body, req.headers['x-hub-signature-256'])) {
+      core.warning(`Rejected delivery ${deliveryId}: invalid signature`);
+      reply(401, 'Invalid signature');
+      return;
+    }
+
+    let payload;
+    try {
+      payload = parsePayload(body, req.headers['content-type']);
+    } catch (error) {
+      reply(400, 'Invalid payload');
+      return;
+    }
+
+    if (eventName === 'ping') {
+      core.info(`Received ping for hook ${payload.hook_id}`);
+      reply(200, 'pong');
+      return;
+    }
+    if (!eventName || !payload || !payload.repository) {
+      reply(202, 'Ignored');
+      return;
+    }
+
+    reply(202, 'Accepted');
+    enqueue(eventName, payload, deliveryId);
+  });
+
+  return { server, enqueue, exclusive };
+}
+
+module.exports = {
+  verifySignature,
+  verifySlackSignature,
+  createWebhookContext,
+  readServerSettings,
+  createWebhookServer
+};
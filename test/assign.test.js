@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { pickReviewers, autoAssignReviewers } = require('../src/assign');
+
+const candidates = ['dave', 'alice', 'carol', 'bob'];
+
+test('round-robin rotates through the sorted candidates by PR number', () => {
+  const settings = { count: 2, strategy: 'round-robin' };
+  assert.deepStrictEqual(pickReviewers(candidates, settings, 0, null), ['alice', 'bob']);
+  assert.deepStrictEqual(pickReviewers(candidates, settings, 1, null), ['carol', 'dave']);
+  assert.deepStrictEqual(pickReviewers(candidates, settings, 2, null), ['alice', 'bob']);
+});
+
+test('random picks the configured number of distinct candidates', () => {
+  const picked = pickReviewers(candidates, { count: 3, strategy: 'random' }, 7, null);
+  assert.strictEqual(new Set(picked).size, 3);
+  assert.ok(picked.every(login => candidates.includes(login)));
+});
+
+test('least-loaded prefers idle reviewers and breaks ties in rotation order', () => {
+  const load = new Map([['alice', 3], ['bob', 0], ['carol', 1]]);
+  assert.deepStrictEqual(pickReviewers(candidates, { count: 2, strategy: 'least-loaded' }, 0, load), ['bob', 'dave']);
+  assert.deepStrictEqual(pickReviewers(candidates, { count: 2, strategy: 'least-loaded' }, 2, load), ['dave', 'bob']);
+});
+
+test('requests reviewers other than the author and unavailable users', async () => {
+  const requested = [];
+  const octokit = {
+    rest: { pulls: { list: () => {}, requestReviewers: async params => requested.push(params.reviewers) } },
+    paginate: async () => [
+      { requested_reviewers: [{ login: 'Carol' }, { login: 'bob' }] },
+      { requested_reviewers: [{ login: 'carol' }] }
+    ]
+  };
+  const settings = { count: 1, strategy: 'least-loaded', unavailable: ['Dave'] };
+
+  const result = await autoAssignReviewers(octokit, { owner: 'o', repo: 'r' }, { number: 1, author: 'alice' }, [...candidates, 'bob'], settings);
+  assert.deepStrictEqual(result, { strategy: 'least-loaded', reviewers: [{ login: 'bob', load: 1 }] });
+  assert.deepStrictEqual(requested, [['bob']]);
+});
+
+test('assigns nobody when no candidate is left', async () => {
+  const settings = { count: 1, strategy: 'random', unavailable: ['bob'] };
+  assert.strictEqual(await autoAssignReviewers({}, { owner: 'o', repo: 'r' }, { number: 1, author: 'alice' }, ['alice', 'bob'], settings), null);
+});
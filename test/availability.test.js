@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createAvailabilityChecker, getAlternates } = require('../src/availability');
+
+const now = Date.parse('2026-10-19T09:00:00Z');
+const settings = { enabled: true, status_emoji: [':palm_tree:'], status_text: [/vacation/i, /휴가/] };
+const profiles = {
+  UPALM: { display_name: 'palm', status_emoji: ':palm_tree:', status_text: 'Back Monday' },
+  UTEXT: { real_name: 'Text', status_emoji: ':sun:', status_text: 'On Vacation' },
+  UEXPIRED: { display_name: 'expired', status_emoji: ':palm_tree:', status_expiration: now / 1000 - 60 },
+  UHERE: { display_name: 'here', status_emoji: ':computer:', status_text: 'Focusing' }
+};
+
+function createSlackClient() {
+  const calls = [];
+  return {
+    calls,
+    users: {
+      profile: {
+        get: async ({ user }) => {
+          calls.push(user);
+          if (!profiles[user]) throw new Error('user_not_found');
+          return { ok: true, profile: profiles[user] };
+        }
+      }
+    }
+  };
+}
+
+test('finds away users by status emoji or text until the status expires', async () => {
+  const checker = createAvailabilityChecker(createSlackClient(), settings, now);
+  assert.deepStrictEqual(await checker.getAwayStatus('UPALM'), { name: 'palm', status: ':palm_tree: Back Monday' });
+  assert.deepStrictEqual(await checker.getAwayStatus('UTEXT'), { name: 'Text', status: ':sun: On Vacation' });
+  assert.strictEqual(await checker.getAwayStatus('UEXPIRED'), null);
+  assert.strictEqual(await checker.getAwayStatus('UHERE'), null);
+});
+
+test('treats unreadable statuses, user groups and disabled checks as available', async () => {
+  const slackClient = createSlackClient();
+  const checker = createAvailabilityChecker(slackClient, settings, now);
+  assert.strictEqual(await checker.getAwayStatus('UMISSING'), null);
+  assert.strictEqual(await checker.getAwayStatus('SGROUP'), null);
+  assert.strictEqual(await checker.getAwayStatus(null), null);
+  assert.strictEqual(await createAvailabilityChecker(slackClient, { ...settings, enabled: false }, now).getAwayStatus('UPALM'), null);
+  assert.deepStrictEqual(slackClient.calls, ['UMISSING']);
+});
+
+test('reads each status once per run', async () => {
+  const slackClient = createSlackClient();
+  const checker = createAvailabilityChecker(slackClient, settings, now);
+  await Promise.all([checker.getAwayStatus('UPALM'), checker.getAwayStatus('UPALM')]);
+  assert.deepStrictEqual(slackClient.calls, ['UPALM']);
+});
+
+test('lists configured backups before co-owners of the same files', () => {
+  const ownedFiles = {
+    alice: ['web/a.js', 'web/b.js'],
+    bob: ['web/b.js'],
+    carol: ['api/c.js'],
+    dave: ['web/a.js']
+  };
+  assert.deepStrictEqual(getAlternates('alice', { alice: ['erin', 'bob'] }, ownedFiles), ['erin', 'bob', 'dave']);
+  assert.deepStrictEqual(getAlternates('carol', {}, ownedFiles), []);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { handleCardAction } = require('../index');
+const { loadConfig } = require('../src/config');
+const { createEmptyState } = require('../src/state');
+const { isSnoozed } = require('../src/reminders');
+
+const thread = { channel: 'C123', ts: '1700000000.000100' };
+const repository = { name: 'r', full_name: 'o/r', html_url: 'https://github.com/o/r' };
+const pullRequest = {
+  number: 7,
+  title: 'Fix bug',
+  html_url: 'https://github.com/o/r/pull/7',
+  user: { login: 'author', html_url: 'https://github.com/author' },
+  body: '',
+  base: { ref: 'main', repo: repository },
+  head: { ref: 'fix', sha: 'abc1234' },
+  labels: []
+};
+
+// Click a card button on o/r#7, whose state lives in a temporary file
+// options.octokit replaces GitHub API groups, e.g. to make a call fail
+async function clickButton(actionId, slackUserId, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pr-notify-'));
+  const config = loadConfig('/nonexistent/config.yml', JSON.stringify({ author: 'U0AUTHOR', alice: 'U0ALICE' }));
+  config.state = { ...config.state, backend: 'file', path: path.join(dir, 'state.json') };
+  fs.writeFileSync(config.state.path, JSON.stringify({
+    'o/r#7': { ...createEmptyState(), threads: [thread], status: 'open' }
+  }));
+
+  const calls = [];
+  const ephemeral = [];
+  const slackClient = {
+    chat: {
+      update: async params => {
+        calls.push(['chat.update', params]);
+        return { ok: true };
+      },
+      postEphemeral: async ({ text }) => {
+        ephemeral.push(text);
+        return { ok: true };
+      }
+    }
+  };
+  const octokit = {
+    rest: {
+      pulls: {
+        get: async () => ({ data: pullRequest }),
+        requestReviewers: async ({ reviewers }) => calls.push(['pulls.requestReviewers', reviewers])
+      },
+      issues: {
+        addLabels: async ({ labels }) => calls.push(['issues.addLabels', labels])
+      },
+      ...options.octokit
+    }
+  };
+  const payload = {
+    user: { id: slackUserId },
+    channel: { id: thread.channel },
+    actions: [{ action_id: actionId, value: 'o/r#7' }]
+  };
+
+  try {
+    await handleCardAction(slackClient, octokit, config, payload);
+    const state = JSON.parse(fs.readFileSync(config.state.path, 'utf8'))['o/r#7'];
+    return { state, calls, ephemeral };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('claims the review for the Slack user who clicked', async () => {
+  const { state, calls, ephemeral } = await clickButton('claim_review', 'U0ALICE');
+
+  assert.deepStrictEqual(calls[0], ['pulls.requestReviewers', ['alice']]);
+  assert.ok(calls.some(([method]) => method === 'chat.update'));
+  assert.deepStrictEqual(state.reviewers, ['alice']);
+  assert.deepStrictEqual(state.reviewer_slack_ids, ['U0ALICE']);
+  assert.deepStrictEqual(state.reviewer_sources.U0ALICE, ['claimed']);
+  assert.match(ephemeral[0], /@alice/);
+});
+
+test('refuses to let the author claim their own PR', async () => {
+  const { state, calls, ephemeral } = await clickButton('claim_review', 'U0AUTHOR');
+
+  assert.deepStrictEqual(calls, []);
+  assert.deepStrictEqual(state.reviewers, []);
+  assert.strictEqual(ephemeral.length, 1);
+});
+
+test('snoozes reminders for a day', async () => {
+  const before = Date.now();
+  const { state } = await clickButton('snooze', 'U0ALICE');
+
+  assert.strictEqual(isSnoozed(state, before), true);
+  assert.strictEqual(isSnoozed(state, before + 25 * 60 * 60 * 1000), false);
+});
+
+test('marks the PR urgent with the configured label', async () => {
+  const { calls } = await clickButton('mark_urgent', 'U0ALICE');
+  assert.deepStrictEqual(calls[0], ['issues.addLabels', ['urgent']]);
+});
+
+test('reports GitHub errors to the user and leaves the state alone', async () => {
+  const { state, calls, ephemeral } = await clickButton('mark_urgent', 'U0ALICE', {
+    octokit: { issues: { addLabels: async () => { throw new Error('Resource not accessible by integration'); } } }
+  });
+
+  assert.deepStrictEqual(calls, []);
+  assert.strictEqual(state.updated_at, undefined);
+  assert.match(ephemeral[0], /Resource not accessible/);
+});
+
+test('treats missing or past snoozes as not snoozed', () => {
+  const now = Date.now();
+  assert.strictEqual(isSnoozed(null, now), false);
+  assert.strictEqual(isSnoozed(createEmptyState(), now), false);
+  assert.strictEqual(isSnoozed({ snoozed_until: new Date(now - 1000).toISOString() }, now), false);
+  assert.strictEqual(isSnoozed({ snoozed_until: new Date(now + 1000).toISOString() }, now), true);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CI_STATE, findCheckedPRs, getCIStatus } = require('../src/ci');
+
+const repo = { owner: 'o', repo: 'r' };
+const run = (name, status, conclusion = null) => ({ name, status, conclusion });
+const status = (context, state) => ({ context, state });
+
+function createOctokit(runs, statuses = []) {
+  return {
+    paginate: async (method, params) => (await method(params)).data,
+    rest: {
+      checks: { listForRef: async () => ({ data: runs }) },
+      repos: { getCombinedStatusForRef: async () => ({ data: { statuses } }) }
+    }
+  };
+}
+
+test('succeeds when every check passes or is neutral', async () => {
+  const octokit = createOctokit([run('test', 'completed', 'success'), run('docs', 'completed', 'skipped')], [status('deploy', 'success')]);
+  const result = await getCIStatus(octokit, repo, 'abc', null);
+
+  assert.deepStrictEqual(result, { sha: 'abc', state: CI_STATE.SUCCESS, total: 3, finished: 3, failed: [], required_failed: [] });
+});
+
+test('stays pending while a check or status is still running', async () => {
+  const octokit = createOctokit([run('test', 'completed', 'success'), run('lint', 'in_progress')], [status('deploy', 'pending')]);
+  const result = await getCIStatus(octokit, repo, 'abc', null);
+
+  assert.strictEqual(result.state, CI_STATE.PENDING);
+  assert.strictEqual(result.finished, 1);
+});
+
+test('fails on any failed check, even while others run', async () => {
+  const octokit = createOctokit([run('test', 'completed', 'failure'), run('lint', 'queued')], [status('deploy', 'error')]);
+  const result = await getCIStatus(octokit, repo, 'abc', null);
+
+  assert.strictEqual(result.state, CI_STATE.FAILURE);
+  assert.deepStrictEqual(result.failed, ['deploy', 'test']);
+  assert.deepStrictEqual(result.required_failed, ['deploy', 'test']);
+});
+
+test('counts only the required checks as blocking when they are known', async () => {
+  const octokit = createOctokit([run('test', 'completed', 'failure'), run('flaky', 'completed', 'timed_out')]);
+  const result = await getCIStatus(octokit, repo, 'abc', ['test']);
+
+  assert.deepStrictEqual(result.failed, ['flaky', 'test']);
+  assert.deepStrictEqual(result.required_failed, ['test']);
+});
+
+test('lets a commit status override a check run with the same name', async () => {
+  const octokit = createOctokit([run('ci', 'completed', 'failure')], [status('ci', 'success')]);
+  assert.strictEqual((await getCIStatus(octokit, repo, 'abc', null)).state, CI_STATE.SUCCESS);
+});
+
+test('returns null without checks or when they cannot be read', async () => {
+  assert.strictEqual(await getCIStatus(createOctokit([]), repo, 'abc', null), null);
+
+  const octokit = createOctokit([]);
+  octokit.rest.checks.listForRef = async () => { throw new Error('Not Found'); };
+  assert.strictEqual(await getCIStatus(octokit, repo, 'abc', null), null);
+});
+
+test('looks up the open PRs of a commit status by its commit', async () => {
+  const octokit = {
+    rest: {
+      repos: {
+        listPullRequestsAssociatedWithCommit: async () => ({
+          data: [
+            { number: 7, state: 'open', head: { sha: 'abc' } },
+            { number: 8, state: 'closed', head: { sha: 'abc' } },
+            { number: 9, state: 'open', head: { sha: 'def' } }
+          ]
+        })
+      }
+    }
+  };
+
+  assert.deepStrictEqual(await findCheckedPRs(octokit, { repo, payload: { sha: 'abc' } }), { sha: 'abc', numbers: [7] });
+  assert.deepStrictEqual(
+    await findCheckedPRs(octokit, { repo, payload: { check_run: { head_sha: 'abc', pull_requests: [{ number: 3 }, { number: 3 }] } } }),
+    { sha: 'abc', numbers: [3] }
+  );
+});
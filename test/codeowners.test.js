@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseCodeowners, findOwners, matchCodeowners, describeFiles } = require('../src/codeowners');
+
+const fixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'CODEOWNERS'), 'utf8');
+const { rules, errors } = parseCodeowners(fixture);
+
+test('parses the fixture without errors', () => {
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(rules.length, 10);
+});
+
+test('falls back to the catch-all owner', () => {
+  assert.deepStrictEqual(findOwners(rules, 'package.json'), ['datepop/core']);
+});
+
+test('unanchored patterns match at any depth', () => {
+  assert.deepStrictEqual(findOwners(rules, 'README.md'), ['docs-writer']);
+  assert.deepStrictEqual(findOwners(rules, 'lib/deep/NOTES.md'), ['docs-writer']);
+});
+
+test('anchored patterns only match from the root', () => {
+  assert.deepStrictEqual(findOwners(rules, 'src/api/index.js'), ['alice']);
+  assert.deepStrictEqual(findOwners(rules, 'src/api/v1/index.js'), ['datepop/core']);
+  assert.deepStrictEqual(findOwners(rules, 'lib/src/api/index.js'), ['datepop/core']);
+});
+
+test('** matches across directories', () => {
+  assert.deepStrictEqual(findOwners(rules, 'docs/img/a/b.png'), ['designer']);
+  assert.deepStrictEqual(findOwners(rules, 'docs/b.png'), ['designer']);
+  assert.deepStrictEqual(findOwners(rules, 'db/migrations/001.sql'), ['datepop/backend']);
+});
+
+test('? matches a single character', () => {
+  assert.deepStrictEqual(findOwners(rules, 'scripts/build-a.sh'), ['bob']);
+  assert.deepStrictEqual(findOwners(rules, 'scripts/build-ab.sh'), ['datepop/core']);
+});
+
+test('escaped spaces stay part of the pattern', () => {
+  assert.deepStrictEqual(findOwners(rules, 'assets/My Images/logo.svg'), ['designer']);
+  assert.deepStrictEqual(findOwners(rules, 'assets/My/logo.svg'), ['datepop/core']);
+});
+
+test('lines without owners unset ownership', () => {
+  assert.deepStrictEqual(findOwners(rules, 'web/generated/api.js'), []);
+  assert.deepStrictEqual(findOwners(rules, 'web/app.js'), ['datepop/frontend']);
+});
+
+test('the last matching line wins', () => {
+  assert.deepStrictEqual(findOwners(rules, 'web/legacy/old.js'), ['carol']);
+  // *.md is earlier than /web/, so the directory rule wins
+  assert.deepStrictEqual(findOwners(rules, 'web/README.md'), ['datepop/frontend']);
+});
+
+test('reports unsupported patterns and invalid owners', () => {
+  const result = parseCodeowners('!*.js @a\n/src/[ab].js @a\n/docs/ owner\n/ok/ @a someone@example.com');
+  assert.deepStrictEqual(result.errors.map(error => error.line), [1, 2, 3]);
+  assert.deepStrictEqual(result.rules.map(rule => rule.owners), [['a']]);
+});
+
+test('attributes files per owner', () => {
+  const result = matchCodeowners(rules, ['web/a.js', 'web/b.js', 'README.md', 'web/generated/x.js']);
+  assert.deepStrictEqual(result.files, {
+    'datepop/frontend': ['web/a.js', 'web/b.js'],
+    'docs-writer': ['README.md']
+  });
+  assert.deepStrictEqual(result.unowned, ['web/generated/x.js']);
+});
+
+test('describes files by common directory or extension', () => {
+  assert.deepStrictEqual(describeFiles(['web/a/x.js', 'web/b/y.js']), { count: 2, file: null, directory: 'web/', extension: null });
+  assert.deepStrictEqual(describeFiles(['a.scss', 'b/c.scss']), { count: 2, file: null, directory: null, extension: '.scss' });
+  assert.deepStrictEqual(describeFiles(['a.js']), { count: 1, file: 'a.js', directory: null, extension: null });
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findBasePRs, getMergeability } = require('../src/conflicts');
+const { createEmptyState } = require('../src/state');
+
+const repo = { owner: 'o', repo: 'r' };
+const repository = { name: 'r', full_name: 'o/r', html_url: 'https://github.com/o/r', owner: { login: 'o' } };
+const pullRequest = (number, fields) => ({
+  number,
+  state: 'open',
+  title: 'Fix bug',
+  html_url: `https://github.com/o/r/pull/${number}`,
+  user: { login: 'author', html_url: 'https://github.com/author' },
+  body: '',
+  base: { ref: 'main', repo: repository },
+  head: { ref: 'fix', sha: 'abc1234' },
+  ...fields
+});
+
+// Answer pulls.get with each of the given PR snapshots in turn, repeating the last one
+function createOctokit(snapshots) {
+  const reads = [];
+  return {
+    reads,
+    rest: {
+      pulls: {
+        get: async ({ pull_number }) => {
+          reads.push(pull_number);
+          const list = snapshots[pull_number];
+          return { data: list[Math.min(reads.filter(number => number === pull_number).length, list.length) - 1] };
+        }
+      }
+    }
+  };
+}
+
+test('reads the PR again until GitHub has computed its mergeability', async () => {
+  const octokit = createOctokit({
+    7: [pullRequest(7, { mergeable: null }), pullRequest(7, { mergeable: true, mergeable_state: 'unknown' }), pullRequest(7, { mergeable: false, mergeable_state: 'dirty' })]
+  });
+
+  const result = await getMergeability(octokit, repo, 7, [0, 0, 0]);
+  assert.strictEqual(result.conflict, true);
+  assert.strictEqual(octokit.reads.length, 3);
+});
+
+test('reports a clean PR and gives up when GitHub does not finish in time', async () => {
+  const clean = createOctokit({ 7: [pullRequest(7, { mergeable: true, mergeable_state: 'clean' })] });
+  assert.strictEqual((await getMergeability(clean, repo, 7, [0])).conflict, false);
+
+  const computing = createOctokit({ 7: [pullRequest(7, { mergeable: null })] });
+  assert.strictEqual((await getMergeability(computing, repo, 7, [0, 0])).conflict, null);
+  assert.strictEqual(computing.reads.length, 3);
+});
+
+test('does not wait for closed PRs or PRs that cannot be read', async () => {
+  const closed = createOctokit({ 7: [pullRequest(7, { state: 'closed', mergeable: null })] });
+  assert.strictEqual((await getMergeability(closed, repo, 7, [0])).conflict, false);
+
+  const missing = { rest: { pulls: { get: async () => { throw new Error('Not Found'); } } } };
+  assert.strictEqual(await getMergeability(missing, repo, 7, [0]), null);
+});
+
+test('lists the open PRs into a branch', async () => {
+  let params;
+  const octokit = {
+    paginate: async (method, options) => {
+      params = options;
+      return [{ number: 7 }, { number: 8 }];
+    },
+    rest: { pulls: { list: () => {} } }
+  };
+
+  assert.deepStrictEqual(await findBasePRs(octokit, repo, 'main'), [7, 8]);
+  assert.strictEqual(params.base, 'main');
+  assert.strictEqual(params.state, 'open');
+
+  octokit.paginate = async () => { throw new Error('Server Error'); };
+  assert.deepStrictEqual(await findBasePRs(octokit, repo, 'main'), []);
+});
+
+test('badges notified PRs that conflict after a push to their base', async () => {
+  const { handleEvent } = require('../index');
+  const { loadConfig } = require('../src/config');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pr-notify-'));
+  const config = loadConfig('/nonexistent/config.yml', JSON.stringify({ author: 'U0AUTHOR' }));
+  config.conflicts = { ...config.conflicts, enabled: true };
+  config.state = { ...config.state, backend: 'file', path: path.join(dir, 'state.json') };
+  fs.writeFileSync(config.state.path, JSON.stringify({
+    'o/r#7': { ...createEmptyState(), threads: [{ channel: 'C123', ts: '1700000000.000100' }], status: 'open', conflict: false }
+  }));
+
+  const octokit = createOctokit({ 7: [pullRequest(7, { mergeable: false, mergeable_state: 'dirty' })] });
+  octokit.paginate = async () => [{ number: 7 }, { number: 8 }];
+  octokit.rest.pulls.list = () => {};
+
+  const posted = [];
+  const slackClient = {
+    chat: {
+      postMessage: async params => {
+        posted.push(params);
+        return { ok: true, channel: params.channel, ts: '1700000000.000200' };
+      },
+      update: async () => ({ ok: true })
+    }
+  };
+  const context = {
+    eventName: 'push',
+    repo,
+    payload: { ref: 'refs/heads/main', repository }
+  };
+
+  try {
+    await handleEvent(slackClient, octokit, context, config, '#reviews');
+
+    // PR #8 has no Slack thread, so GitHub isn't asked about it
+    assert.deepStrictEqual(octokit.reads, [7]);
+    assert.strictEqual(posted.length, 1);
+    assert.strictEqual(posted[0].thread_ts, '1700000000.000100');
+    assert.match(JSON.stringify(posted[0]), /U0AUTHOR/);
+
+    const saved = JSON.parse(fs.readFileSync(config.state.path, 'utf8'))['o/r#7'];
+    assert.strictEqual(saved.conflict, true);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { evaluateFilters } = require('../src/filters');
+
+const prData = { author: 'alice', base: 'main', title: 'feat: Add login', labels: ['Backend'] };
+const filters = overrides => ({
+  include_labels: [],
+  exclude_labels: [],
+  exclude_authors: [],
+  include_base_branches: [],
+  exclude_base_branches: [],
+  include_title_patterns: [],
+  exclude_title_patterns: [],
+  ...overrides
+});
+const notify = overrides => evaluateFilters(prData, filters(overrides)).notify;
+
+test('notifies every PR without filters', () => {
+  assert.deepStrictEqual(evaluateFilters(prData, filters({})), { notify: true, reason: null });
+});
+
+test('matches labels and authors ignoring case', () => {
+  assert.strictEqual(notify({ include_labels: ['backend', 'frontend'] }), true);
+  assert.strictEqual(notify({ include_labels: ['frontend'] }), false);
+  assert.strictEqual(notify({ exclude_labels: ['BACKEND'] }), false);
+  assert.strictEqual(notify({ exclude_authors: ['Alice'] }), false);
+});
+
+test('lets exclusions win over inclusions', () => {
+  assert.strictEqual(notify({ include_labels: ['backend'], exclude_labels: ['backend'] }), false);
+  assert.strictEqual(notify({ include_base_branches: ['*'], exclude_base_branches: ['main'] }), false);
+});
+
+test('matches base branches with wildcards', () => {
+  assert.strictEqual(notify({ include_base_branches: ['main', 'release/*'] }), true);
+  assert.strictEqual(notify({ include_base_branches: ['release/*'] }), false);
+  assert.strictEqual(evaluateFilters({ ...prData, base: 'release/1.0' }, filters({ exclude_base_branches: ['release/*'] })).notify, false);
+});
+
+test('matches titles with regular expressions', () => {
+  assert.strictEqual(notify({ include_title_patterns: [/^feat/, /^fix/] }), true);
+  assert.strictEqual(notify({ include_title_patterns: [/^fix/] }), false);
+  assert.strictEqual(notify({ exclude_title_patterns: [/\bWIP\b/, /login/] }), false);
+});
+
+test('explains why a PR is skipped', () => {
+  assert.match(evaluateFilters(prData, filters({ include_labels: ['frontend'] })).reason, /frontend/);
+  assert.match(evaluateFilters(prData, filters({ exclude_authors: ['alice'] })).reason, /alice/);
+});
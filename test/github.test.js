@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { expandOwners } = require('../src/github');
+
+test('expands teams from every page of their members', async () => {
+  const pages = [
+    Array.from({ length: 100 }, (_, index) => ({ login: `member${index}` })),
+    [{ login: 'member100' }, { login: 'member101' }]
+  ];
+  const octokit = {
+    rest: { teams: { listMembersInOrg: async () => ({ data: pages[0] }) } },
+    paginate: async (method, params) => {
+      assert.strictEqual(method, octokit.rest.teams.listMembersInOrg);
+      assert.deepStrictEqual(params, { org: 'o', team_slug: 'web', per_page: 100 });
+      return pages.flat();
+    }
+  };
+
+  const members = await expandOwners(octokit, 'o', ['o/web', 'alice']);
+  assert.strictEqual(members.length, 103);
+  assert.ok(members.includes('member101'));
+});
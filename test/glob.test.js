@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { globToRegExp, matchGlob, matchWildcard } = require('../src/glob');
+
+test('* does not cross directories', () => {
+  assert.ok(matchGlob('src/app.js', 'src/*.js'));
+  assert.ok(!matchGlob('src/lib/app.js', 'src/*.js'));
+});
+
+test('** matches any number of directories', () => {
+  assert.ok(matchGlob('docs/a/b/c.md', 'docs/**/*.md'));
+  assert.ok(matchGlob('docs/c.md', 'docs/**/*.md'));
+  assert.ok(matchGlob('a/b/test/x.js', '**/test'));
+  assert.ok(matchGlob('docs/a/b', 'docs/**'));
+  assert.ok(matchGlob('a/b/x/c', 'a/**/c'));
+  assert.ok(!matchGlob('other/c.md', 'docs/**/*.md'));
+});
+
+test('? matches exactly one character except /', () => {
+  assert.ok(matchGlob('build-1.sh', 'build-?.sh'));
+  assert.ok(!matchGlob('build-12.sh', 'build-?.sh'));
+  assert.ok(!matchGlob('build-/.sh', 'build-?.sh'));
+});
+
+test('patterns without a leading or middle slash match at any depth', () => {
+  assert.ok(matchGlob('README.md', '*.md'));
+  assert.ok(matchGlob('deep/nested/README.md', '*.md'));
+  assert.ok(matchGlob('a/node_modules/x.js', 'node_modules'));
+});
+
+test('patterns with a leading or middle slash are anchored to the root', () => {
+  assert.ok(matchGlob('src/app.js', '/src'));
+  assert.ok(!matchGlob('lib/src/app.js', '/src'));
+  assert.ok(matchGlob('src/a/index.js', 'src/*/index.js'));
+  assert.ok(!matchGlob('lib/src/a/index.js', 'src/*/index.js'));
+});
+
+test('a trailing slash only matches inside the directory', () => {
+  assert.ok(matchGlob('web/app.js', 'web/'));
+  assert.ok(!matchGlob('web', 'web/'));
+});
+
+test('escaped spaces and special characters match literally', () => {
+  assert.ok(matchGlob('My Images/logo.png', 'My\\ Images/'));
+  assert.ok(matchGlob('a*b.txt', 'a\\*b.txt'));
+  assert.ok(!matchGlob('axb.txt', 'a\\*b.txt'));
+});
+
+test('wildcards in the last segment can skip directories', () => {
+  const regex = globToRegExp('docs/*', { wildcardMatchesDirectories: false });
+  assert.ok(regex.test('docs/a.md'));
+  assert.ok(!regex.test('docs/sub/a.md'));
+  assert.ok(matchGlob('docs/sub/a.md', 'docs/*'));
+});
+
+test('matchWildcard lets * cross slashes for branch names', () => {
+  assert.ok(matchWildcard('release/1.2/hotfix', 'release/*'));
+  assert.ok(matchWildcard('v1', 'v?'));
+  assert.ok(!matchWildcard('main-old', 'main'));
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_BODY_LENGTH, serializeWithin, createPRBodyStore } = require('../src/state/pr-body');
+const { parseState } = require('../src/state/format');
+const { createEmptyState } = require('../src/state');
+
+const threads = [{ channel: 'C123', ts: '1700000000.000100' }];
+const reply = index => ({ channel: 'C123', ts: `1700000000.${index}`, type: 'comment', created_at: '2026-10-19T00:00:00.000Z' });
+
+function createOctokit(body) {
+  const pr = { body };
+  return {
+    pr,
+    rest: {
+      pulls: {
+        get: async () => ({ data: { body: pr.body } }),
+        update: async ({ body: updated }) => {
+          if (updated.length > MAX_BODY_LENGTH) throw new Error('body is too long');
+          pr.body = updated;
+        }
+      }
+    }
+  };
+}
+
+test('keeps the whole state when it fits', () => {
+  const state = { ...createEmptyState(), threads, replies: [reply(1), reply(2)] };
+  assert.deepStrictEqual(parseState(serializeWithin(state, MAX_BODY_LENGTH)), state);
+});
+
+test('prunes the oldest replies first', () => {
+  const replies = Array.from({ length: 100 }, (_, index) => reply(index));
+  const state = { ...createEmptyState(), threads, replies };
+  const room = serializeWithin({ ...state, replies: replies.slice(-40) }, MAX_BODY_LENGTH).length;
+
+  const pruned = parseState(serializeWithin(state, room));
+  assert.deepStrictEqual(pruned.threads, threads);
+  assert.ok(pruned.replies.length > 0 && pruned.replies.length <= 40);
+  assert.deepStrictEqual(pruned.replies.at(-1), replies.at(-1));
+});
+
+test('falls back to the thread fields and fails only when those do not fit', () => {
+  const state = { ...createEmptyState(), threads, status: 'open', reviewers: ['a'.repeat(500)] };
+  assert.deepStrictEqual(parseState(serializeWithin(state, 300)), { threads, status: 'open', status_changed_at: null });
+  assert.throws(() => serializeWithin(state, 50));
+});
+
+test('saves long descriptions without going over the GitHub limit', async () => {
+  const octokit = createOctokit('x'.repeat(MAX_BODY_LENGTH - 2000));
+  const store = createPRBodyStore(octokit, { owner: 'o', repo: 'r' });
+  const replies = Array.from({ length: 100 }, (_, index) => reply(index));
+
+  await store.save(1, { ...createEmptyState(), threads, replies });
+  assert.ok(octokit.pr.body.length <= MAX_BODY_LENGTH);
+  assert.deepStrictEqual((await store.load(1)).threads, threads);
+});
+
+test('leaves the description alone when the state is unchanged', async () => {
+  const octokit = createOctokit('Fix bug');
+  const store = createPRBodyStore(octokit, { owner: 'o', repo: 'r' });
+  let updates = 0;
+  const update = octokit.rest.pulls.update;
+  octokit.rest.pulls.update = async params => {
+    updates++;
+    return update(params);
+  };
+
+  await store.save(1, { ...createEmptyState(), threads, updated_at: '2026-10-19T00:00:00.000Z' });
+  await store.save(1, { ...(await store.load(1)), updated_at: '2026-10-19T01:00:00.000Z' });
+  assert.strictEqual(updates, 1);
+
+  await store.save(1, { ...(await store.load(1)), status: 'approved' });
+  assert.strictEqual(updates, 2);
+});
+
+test('ignores edited events that only change the saved state', async () => {
+  const { handleEvent } = require('../index');
+  const { loadConfig } = require('../src/config');
+  let loads = 0;
+  const octokit = {
+    rest: {
+      pulls: {
+        get: async () => {
+          loads++;
+          return { data: { body: '' } };
+        }
+      }
+    }
+  };
+  const pullRequest = { number: 1, body: `Fix bug\n\n<!-- pr-notify-state: {"threads":[]} -->` };
+  const context = {
+    eventName: 'pull_request',
+    repo: { owner: 'o', repo: 'r' },
+    payload: { action: 'edited', changes: { body: { from: 'Fix bug' } }, pull_request: pullRequest }
+  };
+
+  await handleEvent({}, octokit, context, loadConfig('/nonexistent/config.yml', ''), '#reviews');
+  assert.strictEqual(loads, 0);
+});
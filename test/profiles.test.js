@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createIdentitySession } = require('../src/identity');
+const { slackProfileResolver } = require('../src/identity/profiles');
+
+const config = { identity: { slack_profile_field: 'Xf01GH' } };
+const profiles = {
+  UALICE: { Xf01GH: { value: 'https://github.com/Alice/' } },
+  UBOB: { Xf01GH: { value: '@bob' } },
+  UCAROL: {}
+};
+
+function createSlackClient() {
+  const calls = { list: 0, profile: 0 };
+  return {
+    calls,
+    users: {
+      list: async () => {
+        calls.list++;
+        return { ok: true, members: Object.keys(profiles).map(id => ({ id, name: id.toLowerCase(), profile: {} })) };
+      },
+      profile: {
+        get: async ({ user }) => {
+          calls.profile++;
+          return { ok: true, profile: { fields: profiles[user] } };
+        }
+      }
+    }
+  };
+}
+
+test('reads custom fields with users.profile.get once per run', async () => {
+  const slackClient = createSlackClient();
+  const session = createIdentitySession(slackClient, null, config, null, new Map());
+
+  assert.strictEqual(await slackProfileResolver.resolve('alice', session), 'UALICE');
+  assert.strictEqual(await slackProfileResolver.resolve('Bob', session), 'UBOB');
+  assert.strictEqual(await slackProfileResolver.resolve('dave', session), null);
+  assert.deepStrictEqual(slackClient.calls, { list: 1, profile: 3 });
+});
+
+test('reuses a recent scan in later runs of the same process', async () => {
+  const slackClient = createSlackClient();
+  await slackProfileResolver.resolve('alice', createIdentitySession(slackClient, null, config, null, new Map()));
+  assert.strictEqual(await slackProfileResolver.resolve('bob', createIdentitySession(slackClient, null, config, null, new Map())), 'UBOB');
+  assert.deepStrictEqual(slackClient.calls, { list: 1, profile: 3 });
+});
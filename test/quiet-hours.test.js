@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getNextWorkingTime, createDeliveryPlanner } = require('../src/quiet-hours');
+
+// Monday to Friday, 09:00-18:00
+const settings = { enabled: true, start: 9 * 60, end: 18 * 60, days: [1, 2, 3, 4, 5], timezone: 'UTC' };
+const at = iso => new Date(iso).getTime();
+const next = (timeZone, iso) => {
+  const result = getNextWorkingTime(timeZone, settings, at(iso));
+  return result === null ? null : new Date(result).toISOString();
+};
+
+test('returns null inside working hours', () => {
+  assert.strictEqual(next('Asia/Seoul', '2026-10-19T01:00:00Z'), null);
+});
+
+test('finds the start of the same day before working hours', () => {
+  assert.strictEqual(next('Asia/Seoul', '2026-10-18T22:30:00Z'), '2026-10-19T00:00:00.000Z');
+});
+
+test('skips to the next working day after hours and over weekends', () => {
+  assert.strictEqual(next('Asia/Seoul', '2026-10-19T10:00:00Z'), '2026-10-20T00:00:00.000Z');
+  assert.strictEqual(next('Asia/Seoul', '2026-10-23T10:00:00Z'), '2026-10-26T00:00:00.000Z');
+});
+
+test('keeps the local start time across a DST change', () => {
+  // Saturday before US DST starts on Sunday 2026-03-08: Monday 09:00 EDT is 13:00 UTC
+  assert.strictEqual(next('America/New_York', '2026-03-07T17:00:00Z'), '2026-03-09T13:00:00.000Z');
+  // Saturday before DST ends on Sunday 2026-11-01: Monday 09:00 EST is 14:00 UTC
+  assert.strictEqual(next('America/New_York', '2026-10-31T16:00:00Z'), '2026-11-02T14:00:00.000Z');
+});
+
+test('groups recipients by their own next working window', async () => {
+  const zones = { U_seoul: 'Asia/Seoul', U_ny: 'America/New_York', U_utc: 'UTC' };
+  const slackClient = { users: { info: async ({ user }) => ({ user: { tz: zones[user], name: user } }) } };
+  // Monday 10:00 UTC: 19:00 in Seoul, 06:00 in New York
+  const planner = createDeliveryPlanner(slackClient, settings, at('2026-10-19T10:00:00Z'));
+
+  const { now, later } = await planner.plan(['U_seoul', 'U_ny', 'U_utc']);
+  assert.deepStrictEqual(now, ['U_utc']);
+  assert.deepStrictEqual(later.map(group => [new Date(group.post_at * 1000).toISOString(), group.recipients.map(r => r.slack_id)]), [
+    ['2026-10-19T13:00:00.000Z', ['U_ny']],
+    ['2026-10-20T00:00:00.000Z', ['U_seoul']]
+  ]);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { matchRoute, resolveChannels } = require('../src/router');
+
+const prData = { author: 'alice', base: 'release/1.2', labels: ['backend', 'urgent'] };
+const route = conditions => ({ channels: ['#team'], labels: [], paths: [], base_branches: [], author_teams: [], ...conditions });
+
+function createOctokit(members) {
+  const calls = [];
+  return {
+    calls,
+    rest: {
+      teams: {
+        getMembershipForUserInOrg: async ({ org, team_slug: teamSlug, username }) => {
+          calls.push(`${org}/${teamSlug}`);
+          if (!(members[`${org}/${teamSlug}`] || []).includes(username)) {
+            const error = new Error('Not Found');
+            error.status = 404;
+            throw error;
+          }
+          return { data: { state: 'active' } };
+        }
+      }
+    }
+  };
+}
+
+test('matches a route without conditions', async () => {
+  assert.strictEqual(await matchRoute(createOctokit({}), route({}), prData, [], 'o', new Map()), true);
+});
+
+test('needs any of the labels, branches and paths of each condition', async () => {
+  const octokit = createOctokit({});
+  const files = ['web/src/app.js', 'README.md'];
+  assert.strictEqual(await matchRoute(octokit, route({ labels: ['frontend', 'backend'] }), prData, files, 'o', new Map()), true);
+  assert.strictEqual(await matchRoute(octokit, route({ labels: ['frontend'] }), prData, files, 'o', new Map()), false);
+  assert.strictEqual(await matchRoute(octokit, route({ base_branches: ['release/*'] }), prData, files, 'o', new Map()), true);
+  assert.strictEqual(await matchRoute(octokit, route({ base_branches: ['main'] }), prData, files, 'o', new Map()), false);
+  assert.strictEqual(await matchRoute(octokit, route({ paths: ['web/**'] }), prData, files, 'o', new Map()), true);
+  assert.strictEqual(await matchRoute(octokit, route({ paths: ['api/**'] }), prData, files, 'o', new Map()), false);
+});
+
+test('needs every configured condition', async () => {
+  const conditions = { labels: ['backend'], base_branches: ['main'] };
+  assert.strictEqual(await matchRoute(createOctokit({}), route(conditions), prData, [], 'o', new Map()), false);
+});
+
+test('checks author teams once per team, defaulting to the repository owner', async () => {
+  const octokit = createOctokit({ 'o/web': ['alice'] });
+  const cache = new Map();
+  assert.strictEqual(await matchRoute(octokit, route({ author_teams: ['other/web', 'web'] }), prData, [], 'o', cache), true);
+  assert.strictEqual(await matchRoute(octokit, route({ author_teams: ['web'] }), prData, [], 'o', cache), true);
+  assert.deepStrictEqual(octokit.calls, ['other/web', 'o/web']);
+});
+
+test('posts to every matching channel once, or the fallback channel', async () => {
+  const config = {
+    routes: [
+      { ...route({ labels: ['backend'] }), channels: ['#be', '#all'] },
+      { ...route({ base_branches: ['release/*'] }), channels: ['#release', '#all'] },
+      { ...route({ labels: ['docs'] }), channels: ['#docs'] }
+    ]
+  };
+  assert.deepStrictEqual(await resolveChannels(createOctokit({}), prData, [], config, 'o', '#default'), ['#be', '#all', '#release']);
+  assert.deepStrictEqual(await resolveChannels(createOctokit({}), { ...prData, labels: [], base: 'main' }, [], config, 'o', '#default'), ['#default']);
+  assert.deepStrictEqual(await resolveChannels(createOctokit({}), prData, [], { routes: [] }, 'o', '#default'), ['#default']);
+});
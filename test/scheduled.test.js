@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { scheduleThreadReply, deleteScheduledMessage } = require('../src/slack');
+const { createEmptyState, getPendingScheduled, recordScheduled } = require('../src/state');
+
+const thread = { channel: 'C123', ts: '1700000000.000100' };
+const entry = (id, postAt) => ({ channel: 'C123', scheduled_message_id: id, post_at: postAt, type: 'comment', recipients: [] });
+
+function createSlackClient(overrides = {}) {
+  const calls = [];
+  const record = (method, result) => async params => {
+    calls.push([method, params]);
+    return typeof result === 'function' ? result(params) : result;
+  };
+  return {
+    calls,
+    chat: {
+      scheduleMessage: record('chat.scheduleMessage', { ok: true, channel: 'C123', scheduled_message_id: 'Q1' }),
+      deleteScheduledMessage: record('chat.deleteScheduledMessage', { ok: true }),
+      update: record('chat.update', { ok: true }),
+      ...overrides.chat
+    },
+    reactions: {
+      add: record('reactions.add', { ok: true }),
+      remove: record('reactions.remove', { ok: true })
+    },
+    users: {
+      lookupByEmail: record('users.lookupByEmail', { ok: false })
+    }
+  };
+}
+
+test('schedules a thread reply for the given time', async () => {
+  const slackClient = createSlackClient();
+  const result = await scheduleThreadReply(slackClient, thread.channel, thread.ts, { text: 'hi' }, 1792400000);
+
+  assert.strictEqual(result.scheduled_message_id, 'Q1');
+  assert.deepStrictEqual(slackClient.calls, [
+    ['chat.scheduleMessage', { channel: 'C123', thread_ts: thread.ts, post_at: 1792400000, text: 'hi' }]
+  ]);
+});
+
+test('throws when Slack refuses to schedule', async () => {
+  const slackClient = createSlackClient({
+    chat: { scheduleMessage: async () => ({ ok: false, error: 'time_in_past' }) }
+  });
+  await assert.rejects(
+    scheduleThreadReply(slackClient, thread.channel, thread.ts, { text: 'hi' }, 1),
+    /time_in_past/
+  );
+});
+
+test('reports whether a scheduled message was cancelled', async () => {
+  assert.strictEqual(await deleteScheduledMessage(createSlackClient(), 'C123', 'Q1'), true);
+
+  const slackClient = createSlackClient({
+    chat: { deleteScheduledMessage: async () => { throw new Error('invalid_scheduled_message_id'); } }
+  });
+  assert.strictEqual(await deleteScheduledMessage(slackClient, 'C123', 'Q1'), false);
+});
+
+test('drops delivered replies when recording a new one', () => {
+  const now = Date.now();
+  const past = Math.floor(now / 1000) - 60;
+  const future = Math.floor(now / 1000) + 3600;
+  const state = { ...createEmptyState(), scheduled: [entry('Q_sent', past), entry('Q_waiting', future)] };
+
+  assert.deepStrictEqual(getPendingScheduled(state, now).map(item => item.scheduled_message_id), ['Q_waiting']);
+
+  recordScheduled(state, entry('Q_new', future + 60));
+  assert.deepStrictEqual(state.scheduled.map(item => item.scheduled_message_id), ['Q_waiting', 'Q_new']);
+  assert.ok(state.scheduled[1].created_at);
+});
+
+test('cancels pending scheduled replies when the PR is merged', async () => {
+  const { handleEvent } = require('../index');
+  const { loadConfig } = require('../src/config');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pr-notify-'));
+  const config = loadConfig('/nonexistent/config.yml', '');
+  config.state = { ...config.state, backend: 'file', path: path.join(dir, 'state.json') };
+
+  const future = Math.floor(Date.now() / 1000) + 3600;
+  const past = Math.floor(Date.now() / 1000) - 60;
+  fs.writeFileSync(config.state.path, JSON.stringify({
+    'o/r#7': { ...createEmptyState(), threads: [thread], status: 'open', scheduled: [entry('Q_sent', past), entry('Q_waiting', future)] }
+  }));
+
+  const pullRequest = {
+    number: 7,
+    title: 'Fix bug',
+    html_url: 'https://github.com/o/r/pull/7',
+    user: { login: 'author', html_url: 'https://github.com/author' },
+    body: '',
+    base: { ref: 'main' },
+    head: { ref: 'fix', sha: 'abc1234' },
+    merged: true
+  };
+  const context = {
+    eventName: 'pull_request',
+    repo: { owner: 'o', repo: 'r' },
+    payload: {
+      action: 'closed',
+      pull_request: pullRequest,
+      repository: { name: 'r', full_name: 'o/r', html_url: 'https://github.com/o/r' }
+    }
+  };
+  const octokit = { rest: { users: { getByUsername: async () => ({ data: {} }) } } };
+  const slackClient = createSlackClient();
+
+  try {
+    await handleEvent(slackClient, octokit, context, config, '#reviews');
+
+    const cancelled = slackClient.calls.filter(([method]) => method === 'chat.deleteScheduledMessage');
+    assert.deepStrictEqual(cancelled.map(([, params]) => params), [{ channel: 'C123', scheduled_message_id: 'Q_waiting' }]);
+
+    const saved = JSON.parse(fs.readFileSync(config.state.path, 'utf8'))['o/r#7'];
+    assert.strictEqual(saved.status, 'merged');
+    assert.deepStrictEqual(saved.scheduled, []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPRNotificationMessage } = require('../src/slack');
+const { serializeState } = require('../src/state/format');
+const { createEmptyState } = require('../src/state');
+
+const prData = {
+  number: 7,
+  title: 'Fix bug',
+  url: 'https://github.com/o/r/pull/7',
+  author: 'alice',
+  body: '',
+  base: 'main',
+  head: 'fix',
+  additions: 3,
+  deletions: 1,
+  changedFiles: 1,
+  isDraft: false,
+  createdAt: '2026-10-19T00:00:00Z',
+  labels: [],
+  repo: { name: 'r', fullName: 'o/r', url: 'https://github.com/o/r' }
+};
+
+test('leaves the pr-body state marker out of the card summary', () => {
+  const state = { ...createEmptyState(), threads: [{ channel: 'C123', ts: '1.2' }], status: 'in-review' };
+  const body = `Fix bug\n\n${serializeState(state)}`;
+  const message = createPRNotificationMessage({ ...prData, body }, ['U1'], null, 'in-review', {});
+
+  const text = JSON.stringify(message.blocks);
+  assert.ok(text.includes('Fix bug'));
+  assert.ok(!text.includes('pr-notify-state'));
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_TEMPLATES, renderMessage, validateMessage } = require('../src/templates');
+
+const custom = {
+  text: '{{comment.fallback}}',
+  blocks: [{ type: 'section', text: { type: 'mrkdwn', text: '{{comment.quote}}' } }]
+};
+const longVars = {
+  comment: { fallback: 'x'.repeat(50000), title: 'y'.repeat(200), action: '', quote: 'z'.repeat(5000), emoji: '' },
+  t: { button_view_comment: 'View' },
+  mentions: Array.from({ length: 400 }, (_, index) => `<@U${index}>`).join(' ')
+};
+
+test('sends built-in messages as they are within the limits', () => {
+  const vars = { comment: { fallback: 'new comment', title: 'Comment', quote: '> hi', emoji: '💬' }, t: {} };
+  const message = renderMessage(null, DEFAULT_TEMPLATES.comment, vars);
+  assert.strictEqual(message.blocks[1].text.text, '> hi');
+});
+
+test('shortens built-in messages to the Block Kit limits', () => {
+  const message = renderMessage(null, DEFAULT_TEMPLATES.comment, longVars);
+  assert.deepStrictEqual(validateMessage(message), []);
+  assert.strictEqual(message.text.length, 40000);
+  assert.ok(message.blocks[1].text.text.endsWith('…'));
+});
+
+test('shortens built-in messages with too many blocks', () => {
+  const template = { text: 'digest', blocks: Array.from({ length: 60 }, () => ({ type: 'divider' })) };
+  assert.strictEqual(renderMessage(null, template, {}).blocks.length, 50);
+});
+
+test('falls back to the shortened built-in message when a custom template renders past the limits', () => {
+  const message = renderMessage(custom, DEFAULT_TEMPLATES.comment, longVars);
+  assert.deepStrictEqual(validateMessage(message), []);
+  assert.deepStrictEqual(message, renderMessage(null, DEFAULT_TEMPLATES.comment, longVars));
+});
+
+test('uses custom templates within the limits', () => {
+  const vars = { comment: { fallback: 'new comment', quote: '> hi' } };
+  assert.strictEqual(renderMessage(custom, DEFAULT_TEMPLATES.comment, vars).blocks[0].text.text, '> hi');
+});
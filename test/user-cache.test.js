@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createUserCache, flushUserCaches } = require('../src/user-cache');
+
+function createSettings() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'user-cache-'));
+  return { enabled: true, path: path.join(dir, 'users.json'), ttl_hours: 24, negative_ttl_hours: 1 };
+}
+
+test('shares one cache per file between events', async () => {
+  const settings = createSettings();
+  const first = createUserCache({ ...settings });
+  const second = createUserCache({ ...settings });
+
+  first.set('alice', null, 'UALICE', 'github_email');
+  second.set('bob', null, 'UBOB', 'display_name');
+  assert.strictEqual(second.get('alice', null).slack_id, 'UALICE');
+  assert.strictEqual(fs.existsSync(settings.path), false);
+
+  await flushUserCaches();
+  const written = JSON.parse(fs.readFileSync(settings.path, 'utf8'));
+  assert.deepStrictEqual(Object.keys(written).sort(), ['alice', 'bob']);
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(settings.path)), ['users.json']);
+});
+
+test('reads entries written by an earlier run', async () => {
+  const settings = createSettings();
+  fs.writeFileSync(settings.path, JSON.stringify({
+    carol: { slack_id: 'UCAROL', source: 'user_mappings', mapping: 'carol@x', cached_at: new Date().toISOString() }
+  }));
+
+  const cache = createUserCache(settings);
+  assert.strictEqual(cache.get('carol', 'carol@x').slack_id, 'UCAROL');
+  assert.strictEqual(cache.get('carol', 'other@x'), undefined);
+  assert.strictEqual(cache.findUsername('UCAROL'), 'carol');
+});
+
+test('ignores a disabled cache', async () => {
+  const cache = createUserCache({ enabled: false });
+  cache.set('dave', null, 'UDAVE', null);
+  assert.strictEqual(cache.get('dave', null), undefined);
+  await cache.flush();
+});
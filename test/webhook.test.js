@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { verifySignature, verifySlackSignature, createWebhookContext, readServerSettings, createWebhookServer } = require('../src/webhook');
+
+const secret = 'webhook-secret';
+const body = Buffer.from(JSON.stringify({ action: 'opened', number: 7 }));
+const sign = (key, payload) => `sha256=${crypto.createHmac('sha256', key).update(payload).digest('hex')}`;
+
+test('accepts a delivery signed with the secret', () => {
+  assert.strictEqual(verifySignature(secret, body, sign(secret, body)), true);
+});
+
+test('rejects a tampered body', () => {
+  const tampered = Buffer.from(JSON.stringify({ action: 'opened', number: 8 }));
+  assert.strictEqual(verifySignature(secret, tampered, sign(secret, body)), false);
+});
+
+test('rejects a delivery signed with another secret', () => {
+  assert.strictEqual(verifySignature(secret, body, sign('other', body)), false);
+});
+
+test('rejects a missing or malformed signature header', () => {
+  assert.strictEqual(verifySignature(secret, body, undefined), false);
+  assert.strictEqual(verifySignature(secret, body, ''), false);
+  assert.strictEqual(verifySignature(secret, body, sign(secret, body).replace('sha256=', 'sha1=')), false);
+  assert.strictEqual(verifySignature(secret, body, 'sha256=abc'), false);
+});
+
+const signingSecret = 'slack-signing-secret';
+const slackBody = Buffer.from('payload=%7B%22type%22%3A%22block_actions%22%7D');
+const now = 1760000000 * 1000;
+const slackSign = (timestamp, payload = slackBody) => (
+  `v0=${crypto.createHmac('sha256', signingSecret).update(`v0:${timestamp}:`).update(payload).digest('hex')}`
+);
+
+test('accepts a recent Slack request signed with the signing secret', () => {
+  const timestamp = String(now / 1000 - 10);
+  assert.strictEqual(verifySlackSignature(signingSecret, slackBody, timestamp, slackSign(timestamp), now), true);
+});
+
+test('rejects a tampered Slack request body', () => {
+  const timestamp = String(now / 1000);
+  const tampered = Buffer.from('payload=%7B%22type%22%3A%22view_submission%22%7D');
+  assert.strictEqual(verifySlackSignature(signingSecret, tampered, timestamp, slackSign(timestamp), now), false);
+});
+
+test('rejects a stale Slack request', () => {
+  const timestamp = String(now / 1000 - 6 * 60);
+  assert.strictEqual(verifySlackSignature(signingSecret, slackBody, timestamp, slackSign(timestamp), now), false);
+});
+
+test('rejects a malformed Slack timestamp', () => {
+  const timestamp = 'not-a-number';
+  assert.strictEqual(verifySlackSignature(signingSecret, slackBody, timestamp, slackSign(timestamp), now), false);
+});
+
+test('rejects a Slack request without signature or timestamp headers', () => {
+  const timestamp = String(now / 1000);
+  assert.strictEqual(verifySlackSignature(signingSecret, slackBody, timestamp, undefined, now), false);
+  assert.strictEqual(verifySlackSignature(signingSecret, slackBody, undefined, slackSign(timestamp), now), false);
+});
+
+const settings = { secret, path: '/webhook', signingSecret, interactivityPath: '/slack/actions' };
+const payload = { action: 'opened', number: 7, pull_request: { number: 7 }, repository: { name: 'r', owner: { login: 'o' } } };
+
+async function withServer(onEvent, onAction, callback) {
+  const webhook = createWebhookServer(settings, onEvent, onAction);
+  const { server } = webhook;
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  try {
+    await callback(url);
+    // Wait for the queued handlers before the caller checks what they received
+    await webhook.exclusive(() => {});
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+function postDelivery(url, eventName, raw, signature = sign(secret, raw)) {
+  return fetch(`${url}/webhook`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-GitHub-Event': eventName,
+      'X-GitHub-Delivery': 'delivery-1',
+      'X-Hub-Signature-256': signature
+    },
+    body: raw
+  });
+}
+
+test('builds the handler context from a webhook payload', () => {
+  const context = createWebhookContext('pull_request', payload);
+  assert.deepStrictEqual(context.repo, { owner: 'o', repo: 'r' });
+  assert.deepStrictEqual(context.issue, { owner: 'o', repo: 'r', number: 7 });
+  assert.strictEqual(context.payload, payload);
+});
+
+test('requires the tokens and channel in the server settings', () => {
+  const serverConfig = { port: 3000, path: '/webhook', interactivity_path: '/slack/actions' };
+  assert.throws(() => readServerSettings({ SLACK_BOT_TOKEN: 'xoxb' }, serverConfig), /GITHUB_TOKEN, SLACK_CHANNEL/);
+
+  const read = readServerSettings({ SLACK_BOT_TOKEN: 'xoxb', GITHUB_TOKEN: 'ghp', SLACK_CHANNEL: '#reviews', PORT: '8080' }, serverConfig);
+  assert.strictEqual(read.port, 8080);
+  assert.strictEqual(read.secret, null);
+});
+
+test('queues signed deliveries and rejects unsigned ones', async () => {
+  const events = [];
+  await withServer(async (...args) => events.push(args), null, async url => {
+    const raw = JSON.stringify(payload);
+
+    const rejected = await postDelivery(url, 'pull_request', raw, sign('other', raw));
+    assert.strictEqual(rejected.status, 401);
+
+    const accepted = await postDelivery(url, 'pull_request', raw);
+    assert.strictEqual(accepted.status, 202);
+
+    const ping = await postDelivery(url, 'ping', JSON.stringify({ hook_id: 1 }));
+    assert.strictEqual(await ping.text(), 'pong');
+
+    assert.strictEqual((await fetch(`${url}/other`, { method: 'POST' })).status, 404);
+    assert.strictEqual((await fetch(`${url}/webhook`)).status, 405);
+  });
+
+  assert.deepStrictEqual(events, [['pull_request', payload, 'delivery-1']]);
+});
+
+test('handles queued deliveries one at a time', async () => {
+  const order = [];
+  const { enqueue } = createWebhookServer(settings, async (eventName, body, deliveryId) => {
+    order.push(`start ${deliveryId}`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    order.push(`end ${deliveryId}`);
+  });
+
+  enqueue('pull_request', payload, 'a');
+  await enqueue('pull_request', payload, 'b');
+  assert.deepStrictEqual(order, ['start a', 'end a', 'start b', 'end b']);
+});
+
+test('passes signed Slack button clicks to the action handler', async () => {
+  const actions = [];
+  await withServer(async () => {}, async action => actions.push(action), async url => {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const post = signature => fetch(`${url}/slack/actions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'X-Slack-Request-Timestamp': timestamp,
+        'X-Slack-Signature': signature
+      },
+      body: slackBody
+    });
+
+    assert.strictEqual((await post('v0=abc')).status, 401);
+    assert.strictEqual((await post(slackSign(timestamp))).status, 200);
+  });
+
+  assert.deepStrictEqual(actions, [{ type: 'block_actions' }]);
+});